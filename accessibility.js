@@ -0,0 +1,81 @@
+/**
+ * Depth Tour Accessibility Helpers
+ *
+ * Small DOM helpers for keyboard and screen-reader use of the tour: telling
+ * text entry apart from shortcut keys, keeping Tab inside a dialog, and a
+ * polite live region for announcements.
+ */
+
+// Elements Tab can reach inside a dialog
+const FOCUSABLE_SELECTOR = [
+    'a[href]',
+    'button:not([disabled])',
+    'input:not([disabled])',
+    'select:not([disabled])',
+    'textarea:not([disabled])',
+    'audio[controls]',
+    'video[controls]',
+    '[tabindex]:not([tabindex="-1"])'
+].join(', ');
+
+/**
+ * Whether key presses on an element are typing rather than shortcuts
+ */
+export function isTextEntry(element) {
+    if (!element || !element.closest) return false;
+    return element.isContentEditable || element.closest('input, textarea, select, [contenteditable]') !== null;
+}
+
+/**
+ * Keep Tab and Shift+Tab cycling through the focusable elements of a dialog.
+ * Returns true when the key was handled.
+ */
+export function trapFocus(container, event) {
+    if (event.key !== 'Tab') return false;
+
+    // Hidden elements (e.g. display: none) have no client rects
+    const focusable = [...container.querySelectorAll(FOCUSABLE_SELECTOR)]
+        .filter(element => element.getClientRects().length > 0);
+    if (focusable.length === 0) {
+        event.preventDefault();
+        return true;
+    }
+
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+    const active = document.activeElement;
+    if (event.shiftKey && (active === first || !container.contains(active))) {
+        event.preventDefault();
+        last.focus();
+        return true;
+    }
+    if (!event.shiftKey && (active === last || !container.contains(active))) {
+        event.preventDefault();
+        first.focus();
+        return true;
+    }
+    return false;
+}
+
+/**
+ * Visually hidden status element whose text changes screen readers read out
+ */
+export function createLiveRegion(parent) {
+    const region = document.createElement('div');
+    region.className = 'live-region';
+    region.setAttribute('role', 'status');
+    region.setAttribute('aria-live', 'polite');
+    parent.appendChild(region);
+    return region;
+}
+
+/**
+ * Announce a message through a live region
+ */
+export function announce(region, message) {
+    // Cleared first so the same message twice in a row is read again
+    region.textContent = '';
+    setTimeout(() => {
+        region.textContent = message;
+    }, 100);
+}
@@ -0,0 +1,146 @@
+/**
+ * Depth Tour Depth Encodings
+ *
+ * How a scene's depth texture values turn into distances from the sphere
+ * center. Normalized depth keeps the original artistic model (unit sphere
+ * pushed out by depthScale); the other encodings give true-to-scale
+ * geometry in meters, so hotspot positions and head motion are in meters too.
+ *
+ *   normalized  [0,1] values, radius = 1 + (depth + depthBias) * depthScale
+ *   metric      distances in depthUnit, e.g. Blender or LiDAR EXR
+ *   linear      [0,1] values spread linearly between depthNear and depthFar
+ *   inverse     [0,1] disparity (MiDaS style, 1 = near) between 1 / depthFar and 1 / depthNear
+ *
+ * Distances are measured along the view ray from the camera, not along its
+ * forward axis. depthToRadius() mirrors depthToRadius() in shaders.js.
+ */
+
+export const DepthEncoding = {
+    NORMALIZED: 'normalized',
+    METRIC: 'metric',
+    LINEAR: 'linear',
+    INVERSE: 'inverse'
+};
+
+// Shader values of the encodings (depthEncoding uniform)
+export const DEPTH_ENCODING_IDS = {
+    [DepthEncoding.NORMALIZED]: 0,
+    [DepthEncoding.METRIC]: 1,
+    [DepthEncoding.LINEAR]: 2,
+    [DepthEncoding.INVERSE]: 3
+};
+
+// Meters per depthUnit
+export const DEPTH_UNITS = {
+    m: 1,
+    cm: 0.01,
+    mm: 0.001,
+    ft: 0.3048,
+    in: 0.0254
+};
+
+// Farthest surface distance, keeps sky values (often huge or infinite in EXR) inside the camera's far plane
+export const MAX_DEPTH_RADIUS = 500;
+
+// Floor samples for the camera height calibration: everything below this latitude (degrees)
+const FLOOR_LATITUDE = -60;
+const FLOOR_SAMPLES = { columns: 64, rows: 12 };
+
+// Parameters of a scene's depth, as DepthTour.getDepthModel() returns them
+export function createDepthModel(settings = {}) {
+    return {
+        encoding: settings.encoding ?? DepthEncoding.NORMALIZED,
+        scale: settings.scale ?? 3.0,      // Normalized only
+        bias: settings.bias ?? 0.0,        // Normalized only
+        flip: settings.flip ?? false,      // All but metric
+        near: settings.near ?? 1,          // Linear and inverse, in depthUnit
+        far: settings.far ?? 100,
+        metricScale: settings.metricScale ?? 1 // Meters per depthUnit including calibration
+    };
+}
+
+/**
+ * Distance from the sphere center for a depth texture value
+ */
+export function depthToRadius(depth, model) {
+    if (model.encoding === DepthEncoding.METRIC) {
+        return Math.min(depth * model.metricScale, MAX_DEPTH_RADIUS);
+    }
+
+    if (model.flip) {
+        depth = 1.0 - depth;
+    }
+
+    let radius;
+    if (model.encoding === DepthEncoding.LINEAR) {
+        radius = (model.near + depth * (model.far - model.near)) * model.metricScale;
+    } else if (model.encoding === DepthEncoding.INVERSE) {
+        radius = model.metricScale / (1 / model.far + depth * (1 / model.near - 1 / model.far));
+    } else {
+        radius = (1.0 + (depth + model.bias) * model.scale) * model.metricScale;
+    }
+    return Math.min(radius, MAX_DEPTH_RADIUS);
+}
+
+/**
+ * Depth texture value for a distance from the sphere center, the inverse of depthToRadius()
+ */
+export function radiusToDepth(radius, model) {
+    const distance = radius / model.metricScale;
+    if (model.encoding === DepthEncoding.METRIC) {
+        return Math.max(0, distance);
+    }
+
+    let depth;
+    if (model.encoding === DepthEncoding.LINEAR) {
+        depth = (distance - model.near) / (model.far - model.near);
+    } else if (model.encoding === DepthEncoding.INVERSE) {
+        depth = (1 / Math.max(distance, 1e-6) - 1 / model.far) / (1 / model.near - 1 / model.far);
+    } else {
+        depth = (distance - 1.0) / model.scale - model.bias;
+    }
+
+    if (model.flip) {
+        depth = 1.0 - depth;
+    }
+    return Math.max(0.0, Math.min(1.0, depth));
+}
+
+/**
+ * Nearest and farthest surface distance. valueRange is the { min, max } of the
+ * depth map's values; normalized depth assumes the whole [0,1] range instead.
+ */
+export function getRadiusRange(model, valueRange = { min: 0, max: 1 }) {
+    const values = model.encoding === DepthEncoding.NORMALIZED ? { min: 0, max: 1 } : valueRange;
+    const a = depthToRadius(values.min, model);
+    const b = depthToRadius(values.max, model);
+    return { min: Math.min(a, b), max: Math.max(a, b) };
+}
+
+/**
+ * Height of the camera above the floor according to the depth, in the model's
+ * units: the median height of the surface below FLOOR_LATITUDE, assuming it is
+ * level floor. sampleDepth(u, v) reads the depth map at panorama coordinates.
+ * Returns null when nothing below the camera has depth.
+ */
+export function measureCameraHeight(sampleDepth, model) {
+    const heights = [];
+    const maxV = (FLOOR_LATITUDE + 90) / 180;
+
+    for (let row = 0; row < FLOOR_SAMPLES.rows; row++) {
+        const v = (row + 0.5) / FLOOR_SAMPLES.rows * maxV;
+        // Height below the camera of a point straight along this latitude
+        const drop = Math.cos(v * Math.PI);
+        for (let column = 0; column < FLOOR_SAMPLES.columns; column++) {
+            const depth = sampleDepth((column + 0.5) / FLOOR_SAMPLES.columns, v);
+            const radius = depth === null ? NaN : depthToRadius(depth, model);
+            if (radius > 0 && radius < MAX_DEPTH_RADIUS) {
+                heights.push(radius * drop);
+            }
+        }
+    }
+
+    if (heights.length === 0) return null;
+    heights.sort((a, b) => a - b);
+    return heights[Math.floor(heights.length / 2)];
+}
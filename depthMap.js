@@ -0,0 +1,272 @@
+/**
+ * Depth Tour Depth Map
+ *
+ * CPU-side copy of a scene's depth texture, so geometry and hotspot math
+ * can read the same depth values the vertex shader displaces by.
+ */
+
+import * as THREE from 'three';
+
+// Largest width kept when reading image-based depth maps through a canvas
+const MAX_CANVAS_WIDTH = 2048;
+
+/**
+ * Single-channel depth values in texture coordinate order (row 0 is v = 0)
+ */
+export class DepthMap {
+    constructor(width, height, data) {
+        this.width = width;
+        this.height = height;
+        this.data = data; // Float32Array, one normalized value per texel
+    }
+
+    /**
+     * Read the red channel of a loaded depth texture
+     */
+    static fromTexture(texture) {
+        const image = texture.image;
+
+        // DataTexture (EXR): typed array, already in texture coordinate order
+        if (image && image.data) {
+            return DepthMap.fromTypedArray(image.width, image.height, image.data, texture.type);
+        }
+
+        // Image or canvas: read back through a 2D canvas
+        if (image && image.width && image.height) {
+            return DepthMap.fromImage(image, texture.flipY);
+        }
+
+        console.warn('Depth texture has no readable image data, using flat depth');
+        return new DepthMap(1, 1, new Float32Array([1.0]));
+    }
+
+    /**
+     * Extract the red channel from RGBA/RG/R float, half-float or 8-bit texel data
+     */
+    static fromTypedArray(width, height, source, type) {
+        const texelCount = width * height;
+        const channels = Math.max(1, Math.round(source.length / texelCount));
+        const isHalfFloat = type === THREE.HalfFloatType || source instanceof Uint16Array;
+        const isByte = type === THREE.UnsignedByteType || source instanceof Uint8Array;
+        const data = new Float32Array(texelCount);
+
+        for (let i = 0; i < texelCount; i++) {
+            const value = source[i * channels];
+            data[i] = isHalfFloat ? THREE.DataUtils.fromHalfFloat(value) : isByte ? value / 255 : value;
+        }
+
+        return new DepthMap(width, height, data);
+    }
+
+    /**
+     * Decode a 16-bit PNG file, whose precision a canvas readback would cut to 8 bits.
+     * Returns null for other PNGs, which the browser decodes just as well.
+     */
+    static async fromPng16(buffer) {
+        const png = await decodePng16(new Uint8Array(buffer));
+        if (!png) return null;
+
+        const { width, height, channels, pixels } = png;
+        const data = new Float32Array(width * height);
+        for (let y = 0; y < height; y++) {
+            // PNG rows run top-down, like an image texture with flipY
+            const row = height - 1 - y;
+            for (let x = 0; x < width; x++) {
+                const offset = (y * width + x) * channels * 2;
+                data[row * width + x] = ((pixels[offset] << 8) | pixels[offset + 1]) / 65535;
+            }
+        }
+
+        return new DepthMap(width, height, data);
+    }
+
+    /**
+     * Read 16-bit depth split over the red (high byte) and green (low byte) channels of
+     * an image, as in the lossless WebP files of convert-textures. Grey 8-bit images
+     * read the same as through fromImage, since (v * 256 + v) / 65535 = v / 255.
+     */
+    static fromRedGreen16(image) {
+        // Drawn at full size: blending neighbours would mix high and low bytes
+        const { width, height } = image;
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        const ctx = canvas.getContext('2d', { willReadFrequently: true });
+        ctx.drawImage(image, 0, 0);
+        const pixels = ctx.getImageData(0, 0, width, height).data;
+
+        const data = new Float32Array(width * height);
+        for (let y = 0; y < height; y++) {
+            // Canvas rows run top-down, the top row is v = 1
+            const row = height - 1 - y;
+            for (let x = 0; x < width; x++) {
+                const offset = (y * width + x) * 4;
+                data[row * width + x] = (pixels[offset] * 256 + pixels[offset + 1]) / 65535;
+            }
+        }
+
+        return new DepthMap(width, height, data);
+    }
+
+    /**
+     * Draw an image into a canvas and read its red channel
+     */
+    static fromImage(image, flipY = true) {
+        const scale = Math.min(1, MAX_CANVAS_WIDTH / image.width);
+        const width = Math.max(1, Math.round(image.width * scale));
+        const height = Math.max(1, Math.round(image.height * scale));
+
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        const ctx = canvas.getContext('2d', { willReadFrequently: true });
+        ctx.drawImage(image, 0, 0, width, height);
+        const pixels = ctx.getImageData(0, 0, width, height).data;
+
+        const data = new Float32Array(width * height);
+        for (let y = 0; y < height; y++) {
+            // Canvas rows run top-down; flipped textures map the top row to v = 1
+            const row = flipY ? height - 1 - y : y;
+            for (let x = 0; x < width; x++) {
+                data[row * width + x] = pixels[(y * width + x) * 4] / 255;
+            }
+        }
+
+        return new DepthMap(width, height, data);
+    }
+
+    /**
+     * Single-channel float texture holding exactly these values
+     */
+    toTexture() {
+        const texture = new THREE.DataTexture(this.data, this.width, this.height, THREE.RedFormat, THREE.FloatType);
+        texture.needsUpdate = true;
+        return texture;
+    }
+
+    /**
+     * Bilinearly sample the normalized depth at texture coordinates (u, v)
+     */
+    sample(u, v) {
+        // Wrap horizontally (RepeatWrapping), clamp vertically (ClampToEdgeWrapping)
+        const x = (u - Math.floor(u)) * this.width - 0.5;
+        const y = Math.min(Math.max(v, 0), 1) * this.height - 0.5;
+
+        const x0 = Math.floor(x);
+        const y0 = Math.floor(y);
+        const fx = x - x0;
+        const fy = y - y0;
+
+        const d00 = this.texel(x0, y0);
+        const d10 = this.texel(x0 + 1, y0);
+        const d01 = this.texel(x0, y0 + 1);
+        const d11 = this.texel(x0 + 1, y0 + 1);
+
+        return (d00 * (1 - fx) + d10 * fx) * (1 - fy) + (d01 * (1 - fx) + d11 * fx) * fy;
+    }
+
+    /**
+     * Smallest and largest finite value, { min: 0, max: 1 } for an empty map
+     */
+    getRange() {
+        let min = Infinity;
+        let max = -Infinity;
+        for (const value of this.data) {
+            if (Number.isFinite(value)) {
+                min = Math.min(min, value);
+                max = Math.max(max, value);
+            }
+        }
+        return min <= max ? { min, max } : { min: 0, max: 1 };
+    }
+
+    /**
+     * Read a single texel with horizontal wrapping and vertical clamping
+     */
+    texel(x, y) {
+        const wrappedX = ((x % this.width) + this.width) % this.width;
+        const clampedY = Math.min(Math.max(y, 0), this.height - 1);
+        return this.data[clampedY * this.width + wrappedX];
+    }
+}
+
+// Samples per pixel for the PNG color types that can hold 16-bit samples
+const PNG_CHANNELS = { 0: 1, 2: 3, 4: 2, 6: 4 };
+
+// Parse and inflate a non-interlaced 16-bit PNG into unfiltered big-endian samples
+async function decodePng16(bytes) {
+    const signature = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+    if (bytes.length < 8 || signature.some((value, i) => bytes[i] !== value)) return null;
+
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const chunks = [];
+    let header = null;
+    let offset = 8;
+
+    while (offset + 8 <= bytes.length) {
+        const length = view.getUint32(offset);
+        const type = String.fromCharCode(...bytes.subarray(offset + 4, offset + 8));
+        const data = bytes.subarray(offset + 8, offset + 8 + length);
+        offset += length + 12;
+
+        if (type === 'IHDR') {
+            const fields = new DataView(data.buffer, data.byteOffset, data.byteLength);
+            header = {
+                width: fields.getUint32(0),
+                height: fields.getUint32(4),
+                bitDepth: data[8],
+                colorType: data[9],
+                interlace: data[12]
+            };
+        } else if (type === 'IDAT') {
+            chunks.push(data);
+        } else if (type === 'IEND') {
+            break;
+        }
+    }
+
+    const channels = header && PNG_CHANNELS[header.colorType];
+    if (!channels || header.bitDepth !== 16 || header.interlace !== 0) return null;
+
+    // Image data is a zlib stream split across IDAT chunks
+    const stream = new Blob(chunks).stream().pipeThrough(new DecompressionStream('deflate'));
+    const inflated = new Uint8Array(await new Response(stream).arrayBuffer());
+
+    const { width, height } = header;
+    const bytesPerPixel = channels * 2;
+    const stride = width * bytesPerPixel;
+    if (inflated.length < (stride + 1) * height) return null;
+
+    const pixels = new Uint8Array(stride * height);
+    for (let y = 0; y < height; y++) {
+        const filter = inflated[y * (stride + 1)];
+        const source = inflated.subarray(y * (stride + 1) + 1, (y + 1) * (stride + 1));
+        const rowStart = y * stride;
+
+        for (let i = 0; i < stride; i++) {
+            const left = i >= bytesPerPixel ? pixels[rowStart + i - bytesPerPixel] : 0;
+            const up = y > 0 ? pixels[rowStart + i - stride] : 0;
+            const upLeft = y > 0 && i >= bytesPerPixel ? pixels[rowStart + i - stride - bytesPerPixel] : 0;
+
+            let predictor = 0;
+            if (filter === 1) predictor = left;
+            else if (filter === 2) predictor = up;
+            else if (filter === 3) predictor = (left + up) >> 1;
+            else if (filter === 4) predictor = paeth(left, up, upLeft);
+
+            pixels[rowStart + i] = (source[i] + predictor) & 0xff;
+        }
+    }
+
+    return { width, height, channels, pixels };
+}
+
+// PNG Paeth predictor: whichever neighbour is closest to left + up - upLeft
+function paeth(left, up, upLeft) {
+    const estimate = left + up - upLeft;
+    const toLeft = Math.abs(estimate - left);
+    const toUp = Math.abs(estimate - up);
+    const toUpLeft = Math.abs(estimate - upLeft);
+    if (toLeft <= toUp && toLeft <= toUpLeft) return left;
+    return toUp <= toUpLeft ? up : upLeft;
+}
@@ -9,76 +9,271 @@ import * as THREE from 'three';
 import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls.js';
 import { CSS2DRenderer, CSS2DObject } from 'three/examples/jsm/renderers/CSS2DRenderer.js';
 import { EXRLoader } from 'three/examples/jsm/loaders/EXRLoader.js';
+import { KTX2Loader } from 'three/examples/jsm/loaders/KTX2Loader.js';
+import { VRButton } from 'three/examples/jsm/webxr/VRButton.js';
 import { 
     createDepthMaterial, 
     createPickingMaterial, 
+    createBackgroundMaterial, 
+    DisocclusionMode, 
     uvDepthToWorld, 
     worldToUvDepth 
 } from './shaders.js';
+import { 
+    createHotspotSprite, 
+    disposeHotspotSprite, 
+    createControllerRay 
+} from './webxr.js';
+import { DepthMap } from './depthMap.js';
+import { TextureFormat, SCENE_IMAGES, sniffTextureFormat, checkSceneImageFormat } from './textureFormats.js';
+import { Projection, ProjectedDepthMap, DEFAULT_FISHEYE_FOV } from './projections.js';
+import { DepthEncoding, DEPTH_UNITS, createDepthModel, depthToRadius, getRadiusRange, measureCameraHeight } from './depthEncoding.js';
+import { TiledPanorama } from './tiledPanorama.js';
+import { getHotspotType } from './hotspotTypes.js';
+import { createAdaptiveSphereGeometry } from './tessellation.js';
+import { HOTSPOT_UV_VERSION, needsUvMigration, migrateHotspot } from './hotspotUv.js';
+import { 
+    TransitionRenderer, 
+    TransitionType, 
+    DEFAULT_TRANSITION_DURATIONS, 
+    easeInOutCubic 
+} from './transitions.js';
+import { parseUrlState, formatUrlState, getLanguageParam, setLanguageParam } from './urlState.js';
+import { HotspotEditor } from './hotspotEditor.js';
+import { Minimap } from './minimap.js';
+import { GuidedTour } from './guidedTour.js';
+import { HeadMotion } from './headMotion.js';
+import { GyroLook, PinchZoom, LongPress, requestOrientationPermission } from './mobileControls.js';
+import { validateConfig, validateHotspots } from './tourValidation.js';
+import { isTextEntry, trapFocus, createLiveRegion, announce } from './accessibility.js';
+import { HotspotOcclusion, OCCLUDED_OPACITY, isOccluded, getDistanceStyle, declutterLabels } from './hotspotLayout.js';
+import { registerOfflineCache } from './offline.js';
+import {
+    DEFAULT_LANGUAGE,
+    LOCALIZED_HOTSPOT_FIELDS,
+    localize,
+    localizeFields,
+    matchLanguage,
+    translate,
+    translatePlural,
+    translateElement,
+    getLanguageName
+} from './i18n.js';
+
+// Per-scene settings used when neither the scene nor the scenes.json "defaults" set them
+const SCENE_DEFAULTS = {
+    depthScale: 3.0,
+    depthBias: 0.0,
+    depthFlip: false,
+    seamFix: 0.0,
+    exposure: 1.0,
+    projection: Projection.EQUIRECT, // Layout of the scene's images, see projections.js
+    fisheyeFov: DEFAULT_FISHEYE_FOV,
+    depthEncoding: DepthEncoding.NORMALIZED, // Meaning of the depth values, see depthEncoding.js
+    depthUnit: 'm',
+    depthNear: null,
+    depthFar: null,
+    cameraHeight: null,    // Scales the depth so the floor below the camera is this far away
+    hotspotOcclusion: HotspotOcclusion.DIM, // Hotspots behind the depth surface, see hotspotLayout.js
+    hotspotScaling: true,  // Smaller, fainter labels for farther hotspots
+    hotspotDeclutter: true // Hide labels that overlap a nearer one
+};
+
+// Constructor options, see the README's "Embedding" section
+const DEFAULT_OPTIONS = {
+    config: 'scenes.json', // URL of the scenes config, or the config object itself
+    keyboard: true,        // true: shortcuts while the tour has focus, 'document': page-wide, false: off
+    disabledKeys: [],      // KeyboardEvent.code values to ignore, e.g. ['KeyA']
+    history: false,        // Mirror scene and view in the URL hash (one tour per page)
+    language: null,        // Language of text and UI, defaults to ?lang= (with history), the browser's, or the config's
+    trustedHtml: false,    // Insert HTML hotspot content as-is instead of sanitizing it
+    serviceWorker: null,   // URL of a packaged tour's service worker (npm run package-tour), for offline use
+    basisTranscoderPath: 'basis/', // Folder of three's Basis transcoder for KTX2 textures, served by vite.config.js
+    ui: true               // Overlays, true/false for all or an object with UI_OVERLAYS keys
+};
+
+// Overlays that can be switched off through the "ui" option
+const UI_OVERLAYS = ['hud', 'hotkeys', 'instructions', 'loading', 'errors', 'vrButton', 'minimap', 'guidedTour', 'gyroButton', 'languageSwitcher', 'offlineStatus'];
+
+// Depth parameters settable through setDepthParams()
+const DEPTH_PARAMS = ['depthScale', 'depthBias', 'depthFlip', 'seamFix', 'exposure'];
+
+// Per-scene view limits in degrees ("view" object in scenes.json)
+const VIEW_DEFAULTS = {
+    minFov: 30,
+    maxFov: 100,
+    minPolarAngle: 18,  // 10% of 180 degrees from the top
+    maxPolarAngle: 162  // 10% of 180 degrees from the bottom
+};
+
+// Arrow keys looking around: key code -> [yaw, pitch] direction, in steps of KEY_PAN_STEP degrees
+const ARROW_PAN_KEYS = {
+    ArrowLeft: [-1, 0],
+    ArrowRight: [1, 0],
+    ArrowUp: [0, 1],
+    ArrowDown: [0, -1]
+};
+const KEY_PAN_STEP = 5;
 
 /**
  * Main DepthTour class
+ * 
+ * Renders a tour into a container element. Emits 'sceneloaded', 'hotspotclick',
+ * 'viewchange' and 'error' events through addEventListener().
  */
-class DepthTour {
-    constructor() {
+export class DepthTour extends THREE.EventDispatcher {
+    constructor(container, options = {}) {
+        super();
+        
+        // Embedding
+        this.container = container;
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+        this.ui = Object.fromEntries(UI_OVERLAYS.map(name => [
+            name,
+            this.options.ui && typeof this.options.ui === 'object' ? this.options.ui[name] !== false : !!this.options.ui
+        ]));
+        this.root = null; // Element holding the canvas and overlays, inside the container
+        this.abortController = new AbortController(); // Removes window/document listeners on destroy
+        this.resizeObserver = null;
+        this.isDestroyed = false;
+        
         // Core Three.js components
         this.scene = null;
         this.camera = null;
         this.renderer = null;
         this.css2dRenderer = null;
         this.controls = null;
+        this.transitionRenderer = null;
+        this.transitionCamera = null;
         
         // Scene management
         this.scenesData = null;
+        this.configUrl = null; // Where the scenes config was loaded from, null when given inline
         this.currentScene = null;
+        this.sceneGroup = null; // Holds the meshes and hotspots of the current scene
+        this.scenePreloads = new Map(); // Scene name -> promise of preloaded assets
+        this.isSceneLoading = false;
+        this.transition = null;
+        
+        // URL hash / browser history
+        this.openHotspotId = null;
+        this.historyEnabled = false; // Set once the initial scene is shown
+        this.historyUpdateTimer = null;
+        this.pendingPopState = false; // Back/forward pressed while a scene was loading
         this.currentMaterial = null;
         this.currentMesh = null;
         this.pickingMesh = null;
+        this.backgroundMesh = null;
+        this.tiledPanorama = null; // Streams the color tiles of tiled scenes
+        this.depthMap = null;
         this.hotspots = [];
         
+        // WebXR
+        this.xrControllers = [];
+        this.xrSavedCameraPosition = new THREE.Vector3();
+        
+        // Head motion (bounded translation away from the sphere center)
+        this.headMotion = new HeadMotion({ radius: 0.5 });
+        this.appliedHeadOffset = new THREE.Vector3();
+        this.clock = new THREE.Clock();
+        
+        // Touch and device orientation input
+        this.gyroLook = new GyroLook();
+        this.pinchZoom = new PinchZoom();
+        this.longPress = new LongPress((point) => this.onLongPress(point));
+        
         // State
         this.isAuthoringMode = false;
-        this.depthScale = 3.0;
-        this.depthBias = 0.0;
-        this.depthFlip = false;
+        this.depthScale = SCENE_DEFAULTS.depthScale;
+        this.depthBias = SCENE_DEFAULTS.depthBias;
+        this.depthFlip = SCENE_DEFAULTS.depthFlip;
         this.debugDepth = false;
-        this.seamFix = 0.0;
-        this.exposure = 1.0;
+        this.seamFix = SCENE_DEFAULTS.seamFix;
+        this.exposure = SCENE_DEFAULTS.exposure;
+        this.projection = SCENE_DEFAULTS.projection;
+        this.fisheyeFov = SCENE_DEFAULTS.fisheyeFov;
+        this.depthEncoding = SCENE_DEFAULTS.depthEncoding;
+        this.depthUnit = SCENE_DEFAULTS.depthUnit;
+        this.depthNear = SCENE_DEFAULTS.depthNear;
+        this.depthFar = SCENE_DEFAULTS.depthFar;
+        this.cameraHeight = SCENE_DEFAULTS.cameraHeight;
+        this.hotspotOcclusion = SCENE_DEFAULTS.hotspotOcclusion;
+        this.hotspotScaling = SCENE_DEFAULTS.hotspotScaling;
+        this.hotspotDeclutter = SCENE_DEFAULTS.hotspotDeclutter;
+        this.metricScale = 1.0; // Meters per depth unit, see updateDepthCalibration()
+        this.depthValueRange = { min: 0, max: 1 }; // Smallest and largest value in the depth map
+        this.fovLimits = { min: VIEW_DEFAULTS.minFov, max: VIEW_DEFAULTS.maxFov };
+        this.sceneStartYaw = 0; // Where the hotspot Tab order starts
+        this.language = DEFAULT_LANGUAGE;        // Language of text and UI
+        this.defaultLanguage = DEFAULT_LANGUAGE; // Fallback for text without the current language
+        this.disocclusionMode = DisocclusionMode.OFF;
+        this.edgeThreshold = 0.1;
+        this.holeFill = false;
         
         // UI elements
         this.hudElements = {};
         this.loadingOverlay = null;
         this.instructionsOverlay = null;
         this.infoPopup = null;
+        this.infoContent = null;
+        this.hotspotEditor = null;
+        this.minimap = null; // Floor plan overlay, for configs with a "floorPlan"
+        this.guidedTour = null;
+        this.gyroButton = null;
+        this.liveRegion = null;         // Screen-reader announcements
+        this.languageSelect = null;
+        this.offlineStatus = null;
+        this.offlineStatusTimer = null;
+        this.popupReturnFocus = null;   // Element focused before the popup took focus
+        this.saveStatusTimer = null;
+        
+        // Positional audio for audio hotspots, created on first use
+        this.audioListener = null;
         
         // Raycasting
         this.raycaster = new THREE.Raycaster();
         this.mouse = new THREE.Vector2();
+        this.labelPoint = new THREE.Vector3(); // Screen position of a hotspot label
         
         // Loaders
         this.textureLoader = new THREE.TextureLoader();
         this.exrLoader = new EXRLoader();
+        this.exrLoader.setDataType(THREE.FloatType);
+        this.ktx2Loader = null; // See getKtx2Loader()
         
-        this.init();
+        // Resolves once the first scene is shown, rejects when the tour fails to start
+        this.ready = this.init();
+        // The failure is already shown and reported as an 'error' event to pages that don't wait for it
+        this.ready.catch(() => {});
     }
     
     /**
-     * Initialize the application
+     * Initialize the application, rethrowing failures after reporting them
      */
     async init() {
         try {
+            this.setupRoot();
             this.setupRenderer();
             this.setupScene();
             this.setupCamera();
             this.setupControls();
             this.setupUI();
             this.setupEventListeners();
+            this.setupXR();
             
             // Load scenes configuration
             await this.loadScenesConfig();
             
-            // Load initial scene
-            await this.loadScene(this.scenesData.start);
+            // Load initial scene, restoring a deep-linked scene and view if present
+            const urlState = this.options.history ? parseUrlState(window.location.hash) : {};
+            const isDeepLink = !!(urlState.scene && this.scenesData.scenes[urlState.scene]);
+            await this.loadScene(isDeepLink ? urlState.scene : this.scenesData.start);
+            if (this.isDestroyed) return;
+            if (isDeepLink) {
+                this.applyViewState(urlState);
+            }
+            this.historyEnabled = this.options.history;
+            this.updateHistory('replace');
             
             // Start render loop
             this.animate();
@@ -86,18 +281,46 @@ class DepthTour {
             // Hide loading overlay
             this.hideLoading();
             
+            // Download the rest of a packaged tour once the first scene is up
+            if (this.options.serviceWorker) {
+                registerOfflineCache(this.options.serviceWorker, (status) => this.onOfflineStatus(status), this.abortController.signal);
+            }
+            
             console.log('Depth Tour initialized successfully');
         } catch (error) {
-            console.error('Failed to initialize Depth Tour:', error);
-            this.showError('Failed to initialize application');
+            this.showError('Failed to initialize application', error);
+            throw error;
+        }
+    }
+    
+    /**
+     * Create the element that holds the canvas and overlays
+     */
+    setupRoot() {
+        this.root = document.createElement('div');
+        this.root.className = 'depth-tour';
+        // Focusable so keyboard shortcuts can be scoped to this tour and Tab leads into its hotspots;
+        // an application to screen readers, which then pass the arrow keys through for looking around.
+        // Tours without keyboard control stay out of the page's tab order.
+        if (this.options.keyboard) {
+            this.root.tabIndex = 0;
+            this.root.setAttribute('role', 'application');
         }
+        this.container.appendChild(this.root);
+    }
+    
+    /**
+     * Current size of the tour element in CSS pixels
+     */
+    getSize() {
+        return { width: this.root.clientWidth, height: this.root.clientHeight };
     }
     
     /**
      * Setup WebGL and CSS2D renderers
      */
     setupRenderer() {
-        const container = document.getElementById('container');
+        const { width, height } = this.getSize();
         
         // WebGL renderer
         this.renderer = new THREE.WebGLRenderer({ 
@@ -105,19 +328,29 @@ class DepthTour {
             alpha: false,
             powerPreference: 'high-performance'
         });
-        this.renderer.setSize(window.innerWidth, window.innerHeight);
+        this.renderer.setSize(width, height);
         this.renderer.setPixelRatio(window.devicePixelRatio);
         this.renderer.outputColorSpace = THREE.SRGBColorSpace;
         this.renderer.toneMapping = THREE.NoToneMapping;
-        container.appendChild(this.renderer.domElement);
+        
+        // WebXR - the displaced sphere is rendered once per eye, giving stereo parallax
+        this.renderer.xr.enabled = true;
+        this.renderer.xr.setReferenceSpaceType('local');
+        this.root.appendChild(this.renderer.domElement);
         
         // CSS2D renderer for hotspots
         this.css2dRenderer = new CSS2DRenderer();
-        this.css2dRenderer.setSize(window.innerWidth, window.innerHeight);
+        this.css2dRenderer.setSize(width, height);
         this.css2dRenderer.domElement.style.position = 'absolute';
         this.css2dRenderer.domElement.style.top = '0';
         this.css2dRenderer.domElement.style.pointerEvents = 'none';
-        document.getElementById('css2d-container').appendChild(this.css2dRenderer.domElement);
+        const css2dContainer = document.createElement('div');
+        css2dContainer.className = 'css2d-container';
+        css2dContainer.appendChild(this.css2dRenderer.domElement);
+        this.root.appendChild(css2dContainer);
+        
+        // Offscreen blending for scene transitions
+        this.transitionRenderer = new TransitionRenderer(this.renderer);
     }
     
     /**
@@ -126,21 +359,28 @@ class DepthTour {
     setupScene() {
         this.scene = new THREE.Scene();
         this.scene.background = new THREE.Color(0x000000);
+        
+        this.sceneGroup = new THREE.Group();
+        this.scene.add(this.sceneGroup);
     }
     
     /**
      * Setup camera
      */
     setupCamera() {
+        const { width, height } = this.getSize();
         this.camera = new THREE.PerspectiveCamera(
             75, 
-            window.innerWidth / window.innerHeight, 
+            width / height, 
             0.01, 
             1000
         );
         // Position camera slightly off center to ensure controls work
         this.camera.position.set(0, 0, 0.001);
         this.camera.lookAt(0, 0, -1); // Look forward
+        
+        // Views the incoming scene from its center during transitions
+        this.transitionCamera = this.camera.clone();
     }
     
     /**
@@ -156,16 +396,18 @@ class DepthTour {
         this.controls.enablePan = false;
         this.controls.autoRotate = false;
         
-        // Rotation limits
-        this.controls.minPolarAngle = Math.PI * 0.1; // 10 degrees from top
-        this.controls.maxPolarAngle = Math.PI * 0.9; // 10 degrees from bottom
+        // Rotation limits (scenes can override these through their "view" settings)
+        this.controls.minPolarAngle = THREE.MathUtils.degToRad(VIEW_DEFAULTS.minPolarAngle);
+        this.controls.maxPolarAngle = THREE.MathUtils.degToRad(VIEW_DEFAULTS.maxPolarAngle);
         
         // Sensitivity
         this.controls.rotateSpeed = 1.0;
         this.controls.enableRotate = true;
         
         // Target and position
-        this.controls.target.set(0, 0, -1); // Look forward into the sphere
+        // Orbit around the sphere center so the eye stays pinned there; head motion
+        // translates camera and target together to move the eye
+        this.controls.target.set(0, 0, 0);
         // Camera position is already set in setupCamera
         
         // Force update
@@ -175,70 +417,216 @@ class DepthTour {
     }
     
     /**
-     * Setup UI elements and references
+     * Create the overlays enabled in the "ui" option and keep references to them
      */
     setupUI() {
-        this.hudElements = {
-            sceneName: document.getElementById('scene-name'),
-            depthScale: document.getElementById('depth-scale'),
-            authoringStatus: document.getElementById('authoring-status')
-        };
+        if (this.ui.hud) {
+            const hud = this.createOverlay('hud', `
+                <div class="scene-name" data-i18n="hud.loading"></div>
+                <div class="depth-scale"></div>
+                <div class="authoring-status"></div>
+                <div class="head-motion-status"></div>
+                <div class="save-status"></div>
+            `);
+            this.hudElements = {
+                sceneName: hud.querySelector('.scene-name'),
+                depthScale: hud.querySelector('.depth-scale'),
+                authoringStatus: hud.querySelector('.authoring-status'),
+                headMotionStatus: hud.querySelector('.head-motion-status'),
+                saveStatus: hud.querySelector('.save-status')
+            };
+        }
+        
+        // Hotspot popup, always available since info and media hotspots need it
+        this.infoPopup = this.createOverlay('info-popup hidden', `
+            <div class="info-content"></div>
+            <button type="button" class="info-close" data-i18n="popup.close"></button>
+        `);
+        this.infoPopup.setAttribute('role', 'dialog');
+        this.infoPopup.setAttribute('aria-modal', 'true');
+        this.infoContent = this.infoPopup.querySelector('.info-content');
+        this.infoPopup.querySelector('.info-close').addEventListener('click', () => {
+            this.hideInfoPopup();
+        });
+        // Keyboard focus stays in the popup until it is closed
+        this.infoPopup.addEventListener('keydown', (event) => {
+            if (event.key === 'Escape') {
+                event.preventDefault();
+                this.hideInfoPopup();
+            } else {
+                trapFocus(this.infoPopup, event);
+            }
+        });
         
-        this.loadingOverlay = document.getElementById('loading');
-        this.instructionsOverlay = document.getElementById('instructions');
-        this.infoPopup = document.getElementById('info-popup');
+        // Scene changes read out by screen readers
+        this.liveRegion = createLiveRegion(this.root);
+        
+        if (this.ui.loading) {
+            this.loadingOverlay = this.createOverlay('loading-overlay', `
+                <div class="loading-spinner"></div>
+                <div class="loading-text" data-i18n="loading.panorama"></div>
+            `);
+        }
+        
+        if (this.ui.instructions) {
+            this.instructionsOverlay = this.createOverlay('instructions', `
+                <h3 data-i18n="help.title"></h3>
+                <ul>
+                    <li><strong><span data-i18n="key.mouse"></span>:</strong> <span data-i18n="help.mouse"></span></li>
+                    <li><strong><span data-i18n="key.touch"></span>:</strong> <span data-i18n="help.touch"></span></li>
+                    <li><strong>A:</strong> <span data-i18n="help.authoring"></span></li>
+                    <li><strong>D:</strong> <span data-i18n="help.debugDepth"></span></li>
+                    <li><strong>F:</strong> <span data-i18n="help.flipDepth"></span></li>
+                    <li><strong>K/L:</strong> <span data-i18n="help.depthScale"></span></li>
+                    <li><strong>O/P:</strong> <span data-i18n="help.exposure"></span></li>
+                    <li><strong>G:</strong> <span data-i18n="help.edgeMode"></span></li>
+                    <li><strong>[ / ]:</strong> <span data-i18n="help.edgeThreshold"></span></li>
+                    <li><strong>H:</strong> <span data-i18n="help.holeFill"></span></li>
+                    <li><strong>E:</strong> <span data-i18n="help.exportHotspots"></span></li>
+                    <li><strong>C:</strong> <span data-i18n="help.exportConfig"></span></li>
+                    <li><strong>Ctrl+S:</strong> <span data-i18n="help.save"></span></li>
+                    <li><strong>M:</strong> <span data-i18n="help.headMotion"></span></li>
+                    <li><strong>R:</strong> <span data-i18n="help.recenter"></span></li>
+                    <li><strong><span data-i18n="key.space"></span>:</strong> <span data-i18n="help.guidedTour"></span></li>
+                    <li><strong>N:</strong> <span data-i18n="help.recordStep"></span></li>
+                    <li><strong>ESC:</strong> <span data-i18n="help.hide"></span></li>
+                </ul>
+                <button type="button" class="instructions-close" data-i18n="help.close"></button>
+            `);
+            this.instructionsOverlay.querySelector('.instructions-close').addEventListener('click', () => {
+                this.hideInstructions();
+            });
+        }
         
         // Create hotkeys display
-        this.createHotkeysDisplay();
+        if (this.ui.hotkeys) {
+            this.createHotkeysDisplay();
+        }
         
-        // Setup info popup close button
-        document.getElementById('info-close').addEventListener('click', () => {
-            this.hideInfoPopup();
-        });
+        // Hotspot editor panel (shown in authoring mode)
+        this.hotspotEditor = new HotspotEditor(this);
         
-        // Setup instructions close button
-        document.getElementById('instructions-close').addEventListener('click', () => {
-            this.hideInstructions();
-        });
+        // Floor plan minimap, built once the config is loaded
+        if (this.ui.minimap) {
+            this.minimap = new Minimap(this);
+        }
         
-        this.updateHUD();
+        // Guided tour player, its controls only show for configs with a "guidedTour"
+        this.guidedTour = new GuidedTour(this, { controls: this.ui.guidedTour });
+        
+        // Device orientation toggle, only on touch devices that can report it
+        if (this.ui.gyroButton && typeof DeviceOrientationEvent !== 'undefined' &&
+            window.matchMedia('(pointer: coarse)').matches) {
+            const overlay = this.createOverlay('gyro-toggle', `
+                <button type="button" aria-pressed="false" data-i18n="gyro.button" data-i18n-title="gyro.title"></button>
+            `);
+            this.gyroButton = overlay.querySelector('button');
+            this.gyroButton.addEventListener('click', () => this.setGyroEnabled(!this.gyroLook.enabled));
+        }
+        
+        // Offline download progress of packaged tours
+        if (this.ui.offlineStatus && this.options.serviceWorker) {
+            this.offlineStatus = this.createOverlay('offline-status hidden', `
+                <span class="offline-text"></span>
+                <progress max="1" value="0" data-i18n-label="offline.progress"></progress>
+            `);
+        }
+        
+        // Language picker, filled in once the config lists its languages
+        if (this.ui.languageSwitcher) {
+            const overlay = this.createOverlay('language-switcher hidden', `
+                <select data-i18n-label="language.label" data-i18n-title="language.label"></select>
+            `);
+            this.languageSelect = overlay.querySelector('select');
+            this.languageSelect.addEventListener('change', () => this.setLanguage(this.languageSelect.value));
+        }
+        
+        this.applyUiLanguage();
+    }
+    
+    /**
+     * Add an overlay element with the given classes and markup to the tour element
+     */
+    createOverlay(className, html) {
+        const element = document.createElement('div');
+        element.className = className;
+        element.innerHTML = html;
+        this.root.appendChild(element);
+        return element;
     }
     
     /**
      * Create hotkeys display in bottom right
      */
     createHotkeysDisplay() {
-        const hotkeysDiv = document.createElement('div');
-        hotkeysDiv.id = 'hotkeys-display';
-        hotkeysDiv.innerHTML = `
-            <div class="hotkeys-title">Controls:</div>
-            <div class="hotkey-item"><span class="key">Mouse</span> Look around</div>
-            <div class="hotkey-item"><span class="key">A</span> Authoring mode</div>
-            <div class="hotkey-item"><span class="key">D</span> Debug depth</div>
-            <div class="hotkey-item"><span class="key">F</span> Flip depth</div>
-            <div class="hotkey-item"><span class="key">K/L</span> Depth scale</div>
-            <div class="hotkey-item"><span class="key">O/P</span> Exposure</div>
-            <div class="hotkey-item"><span class="key">E</span> Export hotspots</div>
-            <div class="hotkey-item"><span class="key">T</span> Test controls</div>
-            <div class="hotkey-item"><span class="key">ESC</span> Close overlays</div>
-        `;
-        document.body.appendChild(hotkeysDiv);
+        this.createOverlay('hotkeys-display', `
+            <div class="hotkeys-title" data-i18n="hotkeys.title"></div>
+            <div class="hotkey-item"><span class="key" data-i18n="key.mouse"></span> <span data-i18n="hotkeys.look"></span></div>
+            <div class="hotkey-item"><span class="key">A</span> <span data-i18n="hotkeys.authoring"></span></div>
+            <div class="hotkey-item"><span class="key">D</span> <span data-i18n="hotkeys.debugDepth"></span></div>
+            <div class="hotkey-item"><span class="key">F</span> <span data-i18n="hotkeys.flipDepth"></span></div>
+            <div class="hotkey-item"><span class="key">K/L</span> <span data-i18n="hotkeys.depthScale"></span></div>
+            <div class="hotkey-item"><span class="key">O/P</span> <span data-i18n="hotkeys.exposure"></span></div>
+            <div class="hotkey-item"><span class="key">G</span> <span data-i18n="hotkeys.edgeMode"></span></div>
+            <div class="hotkey-item"><span class="key">[ / ]</span> <span data-i18n="hotkeys.edgeThreshold"></span></div>
+            <div class="hotkey-item"><span class="key">H</span> <span data-i18n="hotkeys.holeFill"></span></div>
+            <div class="hotkey-item"><span class="key">E</span> <span data-i18n="hotkeys.exportHotspots"></span></div>
+            <div class="hotkey-item"><span class="key">C</span> <span data-i18n="hotkeys.exportConfig"></span></div>
+            <div class="hotkey-item"><span class="key">M</span> <span data-i18n="hotkeys.headMotion"></span></div>
+            <div class="hotkey-item"><span class="key">R</span> <span data-i18n="hotkeys.recenter"></span></div>
+            <div class="hotkey-item"><span class="key" data-i18n="key.space"></span> <span data-i18n="hotkeys.guidedTour"></span></div>
+            <div class="hotkey-item"><span class="key">N</span> <span data-i18n="hotkeys.recordStep"></span></div>
+            <div class="hotkey-item"><span class="key">T</span> <span data-i18n="hotkeys.test"></span></div>
+            <div class="hotkey-item"><span class="key">ESC</span> <span data-i18n="hotkeys.close"></span></div>
+        `);
     }
     
     /**
      * Setup event listeners
      */
     setupEventListeners() {
-        // Window resize
-        window.addEventListener('resize', () => this.onWindowResize());
+        // Window and document listeners are removed by destroy() through this signal
+        const signal = this.abortController.signal;
         
-        // Mouse events for hotspot interaction and authoring
+        // Follow the tour element's size, whether the window or the embedding layout changes it
+        this.resizeObserver = new ResizeObserver(() => this.onResize());
+        this.resizeObserver.observe(this.root);
+        
+        // Mouse events for hotspot interaction
         // Use separate canvas for these to avoid conflicts with OrbitControls
-        this.renderer.domElement.addEventListener('click', (event) => this.onMouseClick(event), false);
         this.renderer.domElement.addEventListener('mousemove', (event) => this.onMouseMove(event), false);
         
-        // Keyboard controls
-        document.addEventListener('keydown', (event) => this.onKeyDown(event), false);
+        // Browser back/forward and view changes reflected in the URL
+        if (this.options.history) {
+            window.addEventListener('popstate', () => this.onPopState(), { signal });
+        }
+        this.controls.addEventListener('change', () => this.onViewChange());
+        
+        // Tab walks through the hotspots in spatial order once it has reached the tour
+        this.root.addEventListener('keydown', (event) => this.onTabKey(event));
+        
+        // Keyboard controls, scoped to the focused tour unless page-wide shortcuts are requested
+        if (this.options.keyboard) {
+            const keyTarget = this.options.keyboard === 'document' ? document : this.root;
+            keyTarget.addEventListener('keydown', (event) => this.onKeyDown(event), { signal });
+            keyTarget.addEventListener('keyup', (event) => this.headMotion.onKeyUp(event), { signal });
+        }
+        
+        // Head motion drags, pinch zoom and authoring long-presses; moves and releases
+        // are followed on the window so they end even outside the canvas
+        this.renderer.domElement.addEventListener('pointerdown', (event) => this.onPointerDown(event), false);
+        window.addEventListener('pointermove', (event) => this.onPointerMove(event), { signal });
+        window.addEventListener('pointerup', (event) => this.onPointerUp(event), { signal });
+        window.addEventListener('pointercancel', (event) => this.onPointerUp(event), { signal });
+        
+        // Device tilt turns the view in gyro mode, otherwise it moves the head
+        window.addEventListener('deviceorientation', (event) => {
+            if (this.gyroLook.enabled) {
+                this.gyroLook.onDeviceOrientation(event);
+            } else {
+                this.headMotion.onDeviceOrientation(event, this.camera);
+            }
+        }, { signal });
         
         // Prevent context menu on canvas only
         this.renderer.domElement.addEventListener('contextmenu', (event) => {
@@ -250,398 +638,1732 @@ class DepthTour {
     }
     
     /**
-     * Load scenes configuration from JSON
+     * Setup WebXR immersive-vr session support and controllers
      */
-    async loadScenesConfig() {
-        try {
-            const response = await fetch('scenes.json');
-            if (!response.ok) {
-                throw new Error(`Failed to load scenes.json: ${response.status}`);
-            }
-            this.scenesData = await response.json();
-            console.log('Scenes configuration loaded:', this.scenesData);
-        } catch (error) {
-            console.error('Error loading scenes configuration:', error);
-            throw error;
+    setupXR() {
+        // VRButton shows "VR NOT SUPPORTED" itself when navigator.xr is unavailable
+        if (this.ui.vrButton) {
+            this.root.appendChild(VRButton.createButton(this.renderer));
+        }
+        
+        for (let i = 0; i < 2; i++) {
+            const controller = this.renderer.xr.getController(i);
+            controller.addEventListener('selectstart', () => this.onXRSelect(controller));
+            controller.addEventListener('connected', (event) => {
+                // Only pointing devices get a ray; gaze/screen input has no visual
+                if (event.data.targetRayMode === 'tracked-pointer') {
+                    controller.add(createControllerRay());
+                }
+            });
+            controller.addEventListener('disconnected', () => {
+                const ray = controller.getObjectByName('ray');
+                if (ray) {
+                    controller.remove(ray);
+                    ray.geometry.dispose();
+                    ray.material.dispose();
+                }
+            });
+            this.scene.add(controller);
+            this.xrControllers.push(controller);
         }
+        
+        this.renderer.xr.addEventListener('sessionstart', () => this.onXRSessionStart());
+        this.renderer.xr.addEventListener('sessionend', () => this.onXRSessionEnd());
     }
     
     /**
-     * Load a scene by name
+     * Switch hotspots to WebGL sprites when entering VR
      */
-    async loadScene(sceneName) {
-        if (!this.scenesData || !this.scenesData.scenes[sceneName]) {
-            throw new Error(`Scene "${sceneName}" not found`);
+    onXRSessionStart() {
+        // Transitions are not rendered in XR, jump straight to the new scene
+        if (this.transition) {
+            this.finishTransition();
         }
         
-        this.showLoading();
+        // The XR pose overrides the camera, remember where OrbitControls left it
+        this.setHeadMotionEnabled(false);
+        this.resetHeadOffset();
+        this.xrSavedCameraPosition.copy(this.camera.position);
+        this.controls.enabled = false;
         
-        try {
-            const sceneConfig = this.scenesData.scenes[sceneName];
-            const scenePath = sceneConfig.path;
-            
-            console.log(`Loading scene: ${sceneName} from ${scenePath}`);
-            
-            // Dispose old resources
-            this.disposeCurrentScene();
-            
-            // Load textures
-            const { colorTexture, depthTexture } = await this.loadSceneTextures(scenePath);
-            
-            // Create depth material and mesh
-            this.createSceneMesh(colorTexture, depthTexture);
-            
-            // Load hotspots
-            await this.loadHotspots(scenePath);
-            
-            // Update state
-            this.currentScene = sceneName;
-            this.updateHUD();
-            
-            console.log(`Scene "${sceneName}" loaded successfully`);
-        } catch (error) {
-            console.error(`Error loading scene "${sceneName}":`, error);
-            throw error;
-        } finally {
-            this.hideLoading();
-        }
+        this.hideInfoPopup();
+        this.setHotspotSpritesVisible(true);
     }
     
     /**
-     * Load color and depth textures for a scene
+     * Restore desktop view and CSS2D hotspots when leaving VR
      */
-    async loadSceneTextures(scenePath) {
-        const loadPromises = [];
+    onXRSessionEnd() {
+        this.camera.position.copy(this.xrSavedCameraPosition);
+        this.controls.enabled = true;
+        this.controls.update();
+        // Device turns during the session are not applied to the restored view
+        this.gyroLook.reset();
         
-        // Load color texture (try PNG first, then JPG)
-        const colorPromise = this.loadColorTexture(scenePath);
-        loadPromises.push(colorPromise);
+        this.setHotspotSpritesVisible(false);
+    }
+    
+    /**
+     * Show or hide the XR sprite stand-ins and the CSS2D hotspot overlay
+     */
+    setHotspotSpritesVisible(visible) {
+        this.hotspots.forEach(hotspot => {
+            hotspot.sprite.visible = visible;
+            hotspot.css2dObject.visible = !visible;
+        });
+    }
+    
+    /**
+     * Handle XR controller select - ray-pick hotspot sprites
+     */
+    onXRSelect(controller) {
+        if (this.hotspots.length === 0) return;
         
-        // Try to load EXR depth first, fallback to PNG
-        const depthPromise = this.loadDepthTexture(scenePath);
-        loadPromises.push(depthPromise);
+        this.raycaster.setFromXRController(controller);
+        // Sprite raycasting needs the camera to orient the sprite quads
+        this.raycaster.camera = this.renderer.xr.getCamera();
         
-        const [colorTexture, depthTexture] = await Promise.all(loadPromises);
+        const sprites = this.hotspots.map(hotspot => hotspot.sprite);
+        const intersects = this.raycaster.intersectObjects(sprites, false);
         
-        return { colorTexture, depthTexture };
+        if (intersects.length > 0) {
+            const hotspot = intersects[0].object.userData.hotspot;
+            this.onHotspotClick(hotspot.data);
+        }
     }
     
     /**
-     * Load color texture (PNG or JPG fallback)
+     * Current view as yaw/pitch in degrees (yaw 0 looks down -Z, positive turns right)
      */
-    async loadColorTexture(scenePath) {
-        // Try PNG first
-        try {
-            const pngTexture = await new Promise((resolve, reject) => {
-                this.textureLoader.load(
-                    `${scenePath}/pano.png`,
-                    (texture) => {
-                        texture.colorSpace = THREE.SRGBColorSpace;
-                        texture.wrapS = THREE.RepeatWrapping;
-                        texture.wrapT = THREE.ClampToEdgeWrapping;
-                        texture.minFilter = THREE.LinearFilter;
-                        texture.magFilter = THREE.LinearFilter;
-                        resolve(texture);
-                    },
-                    undefined,
-                    () => reject(new Error('PNG load failed'))
-                );
-            });
-            console.log('Loaded PNG panorama texture');
-            return pngTexture;
-        } catch (pngError) {
-            console.log('PNG not found, trying JPG panorama...');
-            
-            // Fallback to JPG
-            try {
-                const jpgTexture = await new Promise((resolve, reject) => {
-                    this.textureLoader.load(
-                        `${scenePath}/pano.jpg`,
-                        (texture) => {
-                            texture.colorSpace = THREE.SRGBColorSpace;
-                            texture.wrapS = THREE.RepeatWrapping;
-                            texture.wrapT = THREE.ClampToEdgeWrapping;
-                            texture.minFilter = THREE.LinearFilter;
-                            texture.magFilter = THREE.LinearFilter;
-                            resolve(texture);
-                        },
-                        undefined,
-                        reject
-                    );
-                });
-                console.log('Loaded JPG panorama texture');
-                return jpgTexture;
-            } catch (jpgError) {
-                throw new Error('No panorama texture found (tried PNG and JPG)');
-            }
-        }
+    getViewAngles() {
+        const direction = this.camera.getWorldDirection(new THREE.Vector3());
+        return {
+            yaw: THREE.MathUtils.radToDeg(Math.atan2(direction.x, -direction.z)),
+            pitch: THREE.MathUtils.radToDeg(Math.asin(THREE.MathUtils.clamp(direction.y, -1, 1)))
+        };
     }
     
     /**
-     * Load depth texture (EXR or PNG fallback)
+     * Point the camera at yaw/pitch in degrees, keeping the eye position
      */
-    async loadDepthTexture(scenePath) {
-        // Try EXR first
-        try {
-            const exrTexture = await new Promise((resolve, reject) => {
-                this.exrLoader.load(
-                    `${scenePath}/depth.exr`,
-                    (texture) => {
-                        texture.type = THREE.FloatType;
-                        texture.wrapS = THREE.RepeatWrapping;
-                        texture.wrapT = THREE.ClampToEdgeWrapping;
-                        texture.minFilter = THREE.NearestFilter;
-                        texture.magFilter = THREE.NearestFilter;
-                        resolve(texture);
-                    },
-                    undefined,
-                    () => reject(new Error('EXR load failed'))
-                );
-            });
-            console.log('Loaded EXR depth texture');
-            return exrTexture;
-        } catch (exrError) {
-            console.log('EXR not found, trying PNG depth...');
-            
-            // Fallback to PNG
-            try {
-                const pngTexture = await new Promise((resolve, reject) => {
-                    this.textureLoader.load(
-                        `${scenePath}/depth.png`,
-                        (texture) => {
-                            texture.wrapS = THREE.RepeatWrapping;
-                            texture.wrapT = THREE.ClampToEdgeWrapping;
-                            texture.minFilter = THREE.NearestFilter;
-                            texture.magFilter = THREE.NearestFilter;
-                            resolve(texture);
-                        },
-                        undefined,
-                        reject
-                    );
-                });
-                console.log('Loaded PNG depth texture');
-                return pngTexture;
-            } catch (pngError) {
-                console.warn('No depth texture found, using flat panorama');
-                // Create a flat white texture as fallback
-                const canvas = document.createElement('canvas');
-                canvas.width = canvas.height = 1;
-                const ctx = canvas.getContext('2d');
-                ctx.fillStyle = '#ffffff';
-                ctx.fillRect(0, 0, 1, 1);
-                
-                const fallbackTexture = new THREE.CanvasTexture(canvas);
-                fallbackTexture.minFilter = THREE.NearestFilter;
-                fallbackTexture.magFilter = THREE.NearestFilter;
-                return fallbackTexture;
-            }
-        }
+    setViewAngles(yaw, pitch) {
+        const yawRad = THREE.MathUtils.degToRad(yaw);
+        const pitchRad = THREE.MathUtils.degToRad(pitch);
+        const direction = new THREE.Vector3(
+            Math.sin(yawRad) * Math.cos(pitchRad),
+            Math.sin(pitchRad),
+            -Math.cos(yawRad) * Math.cos(pitchRad)
+        );
+        
+        // OrbitControls looks from the camera towards the target
+        const distance = this.camera.position.distanceTo(this.controls.target);
+        this.camera.position.copy(this.controls.target).addScaledVector(direction, -distance);
+        this.controls.update();
     }
     
     /**
-     * Create the scene mesh with depth material
+     * Snapshot of scene, view and open hotspot for the URL
      */
-    createSceneMesh(colorTexture, depthTexture) {
-        // Create sphere geometry (inverted so camera is inside)
-        const geometry = new THREE.SphereGeometry(1, 64, 32);
-        
-        // Create depth material
-        this.currentMaterial = createDepthMaterial(colorTexture, depthTexture, {
-            depthScale: this.depthScale,
-            depthBias: this.depthBias,
-            depthFlip: this.depthFlip,
-            debugDepth: this.debugDepth,
-            seamFix: this.seamFix,
-            exposure: this.exposure
-        });
-        
-        // Create mesh
-        this.currentMesh = new THREE.Mesh(geometry, this.currentMaterial);
-        this.scene.add(this.currentMesh);
-        
-        // Create picking mesh for authoring mode
-        const pickingMaterial = createPickingMaterial();
-        this.pickingMesh = new THREE.Mesh(geometry.clone(), pickingMaterial);
-        this.scene.add(this.pickingMesh);
+    getViewState() {
+        const { yaw, pitch } = this.getViewAngles();
+        return {
+            scene: this.currentScene,
+            yaw: yaw,
+            pitch: pitch,
+            fov: this.camera.fov,
+            hotspot: this.openHotspotId
+        };
     }
     
     /**
-     * Load hotspots for the current scene
+     * Apply a (partial) view state parsed from the URL to the current scene
      */
-    async loadHotspots(scenePath) {
-        try {
-            const response = await fetch(`${scenePath}/hotspots.json`);
-            if (!response.ok) {
-                console.log('No hotspots.json found for this scene');
-                return;
-            }
-            
-            const hotspotsData = await response.json();
-            
-            // Clear existing hotspots
-            this.clearHotspots();
-            
-            // Create hotspot objects
-            hotspotsData.forEach(hotspotData => {
-                this.createHotspot(hotspotData);
-            });
-            
-            console.log(`Loaded ${hotspotsData.length} hotspots`);
-        } catch (error) {
-            console.log('No hotspots found for this scene:', error.message);
+    applyViewState(state) {
+        if (state.yaw !== undefined || state.pitch !== undefined) {
+            const current = this.getViewAngles();
+            this.setViewAngles(state.yaw ?? current.yaw, state.pitch ?? current.pitch);
+        }
+        
+        if (state.fov !== undefined) {
+            this.camera.fov = THREE.MathUtils.clamp(state.fov, this.fovLimits.min, this.fovLimits.max);
+            this.camera.updateProjectionMatrix();
+        }
+        
+        if (state.hotspot) {
+            this.openHotspot(state.hotspot);
+        } else if (this.openHotspotId) {
+            this.hideInfoPopup();
         }
     }
     
     /**
-     * Create a hotspot from data
+     * Open a hotspot's popup by id (links and other actions are not triggered)
      */
-    createHotspot(hotspotData) {
-        // Determine 3D position
-        let position;
-        if (hotspotData.position) {
-            // World coordinates provided - use directly
-            position = new THREE.Vector3(...hotspotData.position);
-        } else if (hotspotData.uv && hotspotData.d !== undefined) {
-            // UV + depth provided - convert to world coordinates
-            position = uvDepthToWorld(
-                hotspotData.uv[0], 
-                hotspotData.uv[1], 
-                hotspotData.d,
-                this.depthScale,
-                this.depthBias,
-                this.depthFlip
-            );
-        } else {
-            console.warn('Hotspot missing position data:', hotspotData);
+    openHotspot(hotspotId) {
+        const hotspot = this.hotspots.find(hotspot => hotspot.data.id === hotspotId);
+        if (!hotspot) {
+            console.warn('Hotspot not found:', hotspotId);
             return;
         }
-        
-        // Create DOM element
-        const element = document.createElement('div');
-        element.className = `hotspot ${hotspotData.type || 'info'}`;
-        element.textContent = hotspotData.title || 'Untitled';
-        element.addEventListener('click', () => this.onHotspotClick(hotspotData));
-        
-        // Create CSS2D object
-        const css2dObject = new CSS2DObject(element);
-        css2dObject.position.copy(position);
-        
-        // Store hotspot data with original UV/depth info for recalculation
-        const hotspot = {
-            data: hotspotData,
-            position: position,
-            css2dObject: css2dObject,
-            element: element,
-            // Store original parameters for updates
-            originalUV: hotspotData.uv ? [...hotspotData.uv] : null,
-            originalDepth: hotspotData.d !== undefined ? hotspotData.d : null,
-            isWorldCoords: !!hotspotData.position // Flag to know if using world coords
-        };
-        
-        this.hotspots.push(hotspot);
-        this.scene.add(css2dObject);
+        // Only types with popup content can be opened; links and actions are not triggered
+        const hotspotType = getHotspotType(hotspot.data.type || 'info');
+        if (hotspotType && hotspotType.render) {
+            const data = this.localizeHotspot(hotspot.data);
+            this.showHotspotPopup(data, hotspotType.render(data, this));
+        }
     }
     
     /**
-     * Handle hotspot click
+     * Write the current state to the URL as a new ('push') or the current ('replace') history entry
      */
-    onHotspotClick(hotspotData) {
-        switch (hotspotData.type) {
-            case 'link':
-                if (hotspotData.target && this.scenesData.scenes[hotspotData.target]) {
-                    this.loadScene(hotspotData.target);
-                } else {
-                    console.warn('Invalid link target:', hotspotData.target);
-                }
-                break;
-                
-            case 'info':
-                this.showInfoPopup(hotspotData.title, hotspotData.content || 'No additional information available.');
-                break;
-                
-            default:
-                console.warn('Unknown hotspot type:', hotspotData.type);
+    updateHistory(mode = 'replace') {
+        if (!this.historyEnabled || !this.currentScene) return;
+        
+        clearTimeout(this.historyUpdateTimer);
+        this.historyUpdateTimer = null;
+        
+        const state = this.getViewState();
+        const url = formatUrlState(state);
+        if (mode === 'push') {
+            history.pushState({ scene: state.scene }, '', url);
+        } else {
+            history.replaceState({ scene: state.scene }, '', url);
         }
     }
     
     /**
-     * Clear all hotspots
+     * Report a view change to listeners and the URL
      */
-    clearHotspots() {
-        this.hotspots.forEach(hotspot => {
-            this.scene.remove(hotspot.css2dObject);
-        });
-        this.hotspots = [];
+    onViewChange() {
+        if (this.transition) return;
+        this.dispatchEvent({ type: 'viewchange', ...this.getViewState() });
+        this.scheduleHistoryUpdate();
     }
     
     /**
-     * Update hotspot positions when depth parameters change
+     * Debounced URL update while the user looks around
      */
-    updateHotspotPositions() {
-        this.hotspots.forEach(hotspot => {
-            // Only update hotspots that were created from UV+depth coordinates
-            if (!hotspot.isWorldCoords && hotspot.originalUV && hotspot.originalDepth !== null) {
-                // Recalculate position with current depth parameters
-                const newPosition = uvDepthToWorld(
-                    hotspot.originalUV[0],
-                    hotspot.originalUV[1], 
-                    hotspot.originalDepth,
-                    this.depthScale,
-                    this.depthBias,
-                    this.depthFlip
-                );
-                
-                // Update the CSS2D object position
-                hotspot.css2dObject.position.copy(newPosition);
-                hotspot.position.copy(newPosition);
-            }
-            // World coordinate hotspots stay fixed in their absolute positions
-        });
+    scheduleHistoryUpdate() {
+        if (!this.historyEnabled || this.transition || this.pendingPopState) return;
+        
+        clearTimeout(this.historyUpdateTimer);
+        this.historyUpdateTimer = setTimeout(() => this.updateHistory('replace'), 300);
     }
     
     /**
-     * Dispose current scene resources
+     * Restore scene and view when navigating with back/forward
      */
-    disposeCurrentScene() {
-        if (this.currentMesh) {
-            this.scene.remove(this.currentMesh);
-            this.currentMesh.geometry.dispose();
-            this.currentMesh = null;
-        }
+    async onPopState() {
+        clearTimeout(this.historyUpdateTimer);
         
-        if (this.pickingMesh) {
-            this.scene.remove(this.pickingMesh);
-            this.pickingMesh.geometry.dispose();
-            this.pickingMesh = null;
+        // loadScene would ignore the change, so restore the entry once the current one settles
+        if (this.isSceneLoading || this.transition) {
+            this.pendingPopState = true;
+            return;
         }
+        this.pendingPopState = false;
         
-        if (this.currentMaterial) {
-            // Dispose textures
-            if (this.currentMaterial.uniforms.tColor.value) {
-                this.currentMaterial.uniforms.tColor.value.dispose();
-            }
-            if (this.currentMaterial.uniforms.tDepth.value) {
-                this.currentMaterial.uniforms.tDepth.value.dispose();
+        const state = parseUrlState(window.location.hash);
+        const sceneName = state.scene && this.scenesData.scenes[state.scene] ? state.scene : this.scenesData.start;
+        
+        if (sceneName !== this.currentScene) {
+            try {
+                await this.loadScene(sceneName, { transition: TransitionType.CROSSFADE, pushHistory: false });
+            } catch (error) {
+                // Keep the URL on the scene still shown
+                this.updateHistory('replace');
+                return;
+            }
+        }
+        
+        this.applyViewState(state);
+    }
+    
+    /**
+     * Go to a scene, crossfading unless options.transition says otherwise.
+     * Takes the same options as loadScene and reports failures as 'error' events.
+     */
+    async goToScene(sceneName, options = {}) {
+        try {
+            await this.loadScene(sceneName, { transition: TransitionType.CROSSFADE, ...options });
+        } catch (error) {
+            this.showError(`Failed to load scene "${sceneName}"`, error);
+            throw error;
+        }
+    }
+    
+    /**
+     * Look at yaw/pitch in degrees, optionally changing the field of view
+     */
+    lookAt(yaw, pitch, fov) {
+        this.setViewAngles(yaw, pitch);
+        if (fov !== undefined) {
+            this.camera.fov = THREE.MathUtils.clamp(fov, this.fovLimits.min, this.fovLimits.max);
+            this.camera.updateProjectionMatrix();
+        }
+        this.onViewChange();
+    }
+    
+    /**
+     * Current depth parameters of the scene
+     */
+    getDepthParams() {
+        return Object.fromEntries(DEPTH_PARAMS.map(key => [key, this[key]]));
+    }
+    
+    /**
+     * Change depth parameters (depthScale, depthBias, depthFlip, seamFix, exposure), omitted ones are kept
+     */
+    setDepthParams(params) {
+        DEPTH_PARAMS.forEach(key => {
+            if (params[key] !== undefined) {
+                this[key] = params[key];
+            }
+        });
+        
+        if (this.currentMaterial) {
+            DEPTH_PARAMS.forEach(key => {
+                this.currentMaterial.uniforms[key].value = this[key];
+            });
+        }
+        this.updateDepthCalibration();
+        this.updateBackgroundLayer();
+        // Keep hotspots on the displaced surface
+        this.updateHotspotPositions();
+        this.updateHUD();
+    }
+    
+    /**
+     * Stop rendering, release GPU resources and remove the tour from its container
+     */
+    destroy() {
+        if (this.isDestroyed) return;
+        this.isDestroyed = true;
+        
+        this.renderer.setAnimationLoop(null);
+        const session = this.renderer.xr.getSession();
+        if (session) {
+            session.end();
+        }
+        
+        this.abortController.abort();
+        if (this.resizeObserver) {
+            this.resizeObserver.disconnect();
+        }
+        this.historyEnabled = false;
+        clearTimeout(this.historyUpdateTimer);
+        clearTimeout(this.saveStatusTimer);
+        clearTimeout(this.offlineStatusTimer);
+        this.guidedTour.stop();
+        this.longPress.cancel();
+        
+        if (this.transition) {
+            this.finishTransition();
+        }
+        this.disposeCurrentScene();
+        this.scenePreloads.forEach(assetsPromise => {
+            assetsPromise.then(assets => this.disposeSceneAssets(assets)).catch(() => {});
+        });
+        this.scenePreloads.clear();
+        
+        if (this.audioListener) {
+            this.audioListener.removeFromParent();
+        }
+        this.controls.dispose();
+        if (this.ktx2Loader) {
+            this.ktx2Loader.dispose();
+        }
+        this.transitionRenderer.dispose();
+        this.renderer.dispose();
+        this.root.remove();
+    }
+    
+    /**
+     * Load scenes configuration from JSON, or take it from the "config" option
+     */
+    async loadScenesConfig() {
+        const config = this.options.config;
+        let scenesData;
+        if (typeof config === 'object') {
+            scenesData = config;
+            console.log('Scenes configuration provided inline:', scenesData);
+        } else {
+            try {
+                this.configUrl = new URL(config, document.baseURI);
+                const response = await fetch(config);
+                if (!response.ok) {
+                    throw new Error(`Failed to load ${config}: ${response.status}`);
+                }
+                scenesData = await response.json();
+                console.log('Scenes configuration loaded:', scenesData);
+            } catch (error) {
+                console.error('Error loading scenes configuration:', error);
+                throw error;
+            }
+        }
+        
+        // The tour can't start from a config it doesn't understand
+        const errors = validateConfig(scenesData);
+        if (errors.length > 0) {
+            throw new Error(`Invalid scenes configuration:\n- ${errors.join('\n- ')}`);
+        }
+        this.scenesData = scenesData;
+        this.defaultLanguage = scenesData.defaultLanguage || (scenesData.languages && scenesData.languages[0]) || DEFAULT_LANGUAGE;
+        
+        if (this.minimap) {
+            this.minimap.setConfig(scenesData);
+        }
+        this.guidedTour.setConfig(scenesData);
+        
+        this.updateLanguageSwitcher();
+        this.setLanguage(this.resolveLanguage());
+    }
+    
+    /**
+     * Languages the config offers, empty when it doesn't list any
+     */
+    getLanguages() {
+        return (this.scenesData && this.scenesData.languages) || [];
+    }
+    
+    /**
+     * Starting language: the language option, ?lang= in the page URL, then the
+     * browser's languages when the config lists its languages, otherwise the
+     * config's default language. Only tours that own the URL write ?lang= back.
+     */
+    resolveLanguage() {
+        const requested = [this.options.language, getLanguageParam(window.location.search)];
+        
+        const languages = this.getLanguages();
+        if (languages.length === 0) {
+            return requested.find(Boolean) || this.defaultLanguage;
+        }
+        return matchLanguage([...requested, ...navigator.languages], languages) || this.defaultLanguage;
+    }
+    
+    /**
+     * Switch text and UI to another language. Emits 'languagechange'.
+     */
+    setLanguage(language) {
+        const languages = this.getLanguages();
+        if (languages.length > 0 && !languages.includes(language)) {
+            console.warn(`Language "${language}" is not one of the tour's languages:`, languages);
+            return;
+        }
+        if (language === this.language) return;
+        
+        this.language = language;
+        this.applyUiLanguage();
+        
+        // Content in the new language
+        this.hotspots.forEach(hotspot => this.updateHotspotText(hotspot));
+        if (this.openHotspotId) {
+            this.openHotspot(this.openHotspotId);
+        }
+        if (this.minimap && this.scenesData) {
+            this.minimap.setConfig(this.scenesData);
+        }
+        this.guidedTour.refresh();
+        this.hotspotEditor.refresh();
+        
+        // Shared links keep the language
+        if (this.options.history && languages.length > 1) {
+            history.replaceState(history.state, '', setLanguageParam(window.location.href, language));
+        }
+        
+        this.dispatchEvent({ type: 'languagechange', language: language });
+    }
+    
+    /**
+     * Fill the UI strings of the overlays in the current language
+     */
+    applyUiLanguage() {
+        this.root.lang = this.language;
+        if (this.options.keyboard) {
+            this.root.setAttribute('aria-roledescription', this.t('root.description'));
+            this.root.setAttribute('aria-label', this.t('root.label'));
+        }
+        translateElement(this.root, this.language);
+        if (this.languageSelect) {
+            this.languageSelect.value = this.language;
+        }
+        this.updateHUD();
+    }
+    
+    /**
+     * List the config's languages in the language switcher, hidden for single-language tours
+     */
+    updateLanguageSwitcher() {
+        if (!this.languageSelect) return;
+        
+        const languages = this.getLanguages();
+        this.languageSelect.replaceChildren(...languages.map(language => {
+            const option = document.createElement('option');
+            option.value = language;
+            option.lang = language;
+            option.textContent = getLanguageName(language);
+            return option;
+        }));
+        this.languageSelect.value = this.language;
+        this.languageSelect.parentElement.classList.toggle('hidden', languages.length < 2);
+    }
+    
+    /**
+     * UI string in the current language, see uiStrings.js
+     */
+    t(key, params = {}) {
+        return translate(this.language, key, params);
+    }
+    
+    /**
+     * Text of a plain string or locale map in the current language
+     */
+    localize(value) {
+        return localize(value, this.language, this.defaultLanguage);
+    }
+    
+    /**
+     * Copy of hotspot data with its text in the current language
+     */
+    localizeHotspot(hotspotData) {
+        return localizeFields(hotspotData, LOCALIZED_HOTSPOT_FIELDS, this.language, this.defaultLanguage);
+    }
+    
+    /**
+     * Load a scene by name
+     * 
+     * Options: transition (TransitionType), duration (seconds), focus
+     * (world position the fly-through transition heads towards), view
+     * ({ yaw, pitch, fov } overriding the scene's initial view) and
+     * pushHistory (false when navigating through browser history)
+     */
+    async loadScene(sceneName, options = {}) {
+        if (!this.scenesData || !this.scenesData.scenes[sceneName]) {
+            throw new Error(`Scene "${sceneName}" not found`);
+        }
+        
+        if (this.isSceneLoading || this.transition) {
+            console.warn(`Ignoring scene change to "${sceneName}", another scene is still loading`);
+            return;
+        }
+        
+        this.isSceneLoading = true;
+        
+        // Remember where we were looking so Back returns to the same view
+        // (on popstate the URL already belongs to the entry being restored)
+        if (options.pushHistory !== false) {
+            this.updateHistory('replace');
+        }
+        
+        // Keep authoring tweaks of the scene we are leaving for the config export
+        if (this.isAuthoringMode && this.currentScene) {
+            this.captureSceneSettings(false);
+        }
+        
+        // Preloaded scenes are ready immediately, everything else shows the loading overlay
+        let assetsPromise = this.scenePreloads.get(sceneName);
+        this.scenePreloads.delete(sceneName);
+        if (!assetsPromise) {
+            this.showLoading();
+            assetsPromise = this.loadSceneAssets(sceneName);
+        }
+        
+        try {
+            const sceneConfig = this.scenesData.scenes[sceneName];
+            
+            console.log(`Loading scene: ${sceneName} from ${sceneConfig.path}`);
+            
+            // Load textures and hotspots
+            const assets = await assetsPromise;
+            const { colorTexture, tiles, depthTexture, backgroundTexture, hotspotsData } = assets;
+            
+            // The tour may have been destroyed while the assets were loading
+            if (this.isDestroyed) {
+                this.disposeSceneAssets(assets);
+                return;
+            }
+            
+            // Keep the previous scene alive until the new one has replaced it
+            const previousState = this.detachSceneState();
+            
+            // Depth parameters and view limits of the new scene
+            const initialView = { ...this.applySceneSettings(sceneConfig), ...options.view };
+            
+            // Create depth material and mesh
+            this.createSceneMesh(colorTexture, depthTexture, backgroundTexture, sceneConfig.tessellation, tiles);
+            
+            // Create hotspots
+            this.createHotspots(hotspotsData);
+            this.hotspotEditor.reset();
+            
+            // Update state
+            this.currentScene = sceneName;
+            this.updateHUD();
+            if (this.minimap) {
+                this.minimap.setScene(sceneName);
+            }
+            this.hideLoading();
+            
+            const transitionType = this.resolveTransitionType(options.transition);
+            if (previousState.mesh && transitionType !== TransitionType.CUT && !this.renderer.xr.isPresenting) {
+                await this.playTransition(previousState, transitionType, { ...options, initialView });
+            } else {
+                this.disposeSceneState(previousState);
+                this.applyInitialView(initialView);
+            }
+            
+            // Warm up the scenes one click away
+            this.preloadLinkedScenes();
+            
+            // Not when the user has moved through the history in the meantime
+            if (options.pushHistory !== false && !this.pendingPopState) {
+                this.updateHistory('push');
+            }
+            
+            console.log(`Scene "${sceneName}" loaded successfully`);
+            const sceneTitle = this.localize(sceneConfig.title) || sceneName;
+            announce(this.liveRegion, translatePlural(this.language, 'scene.loaded', this.hotspots.length, { title: sceneTitle }));
+            this.dispatchEvent({ type: 'sceneloaded', scene: sceneName });
+        } catch (error) {
+            console.error(`Error loading scene "${sceneName}":`, error);
+            throw error;
+        } finally {
+            this.isSceneLoading = false;
+            this.hideLoading();
+            
+            if (this.pendingPopState && !this.isDestroyed) {
+                this.onPopState();
+            }
+        }
+    }
+    
+    /**
+     * Load all assets of a scene: textures and hotspot data
+     */
+    async loadSceneAssets(sceneName) {
+        const sceneConfig = this.scenesData.scenes[sceneName];
+        const scenePath = sceneConfig.path;
+        const [textures, hotspotsData] = await Promise.all([
+            this.loadSceneTextures(scenePath, sceneConfig),
+            this.loadHotspots(scenePath, this.getSceneSetting(sceneConfig, 'depthEncoding'))
+        ]);
+        return { ...textures, hotspotsData };
+    }
+    
+    /**
+     * Dispose textures of scene assets that were loaded but never shown
+     */
+    disposeSceneAssets(assets) {
+        assets.colorTexture.dispose();
+        if (assets.tiles) {
+            assets.tiles.dispose();
+        }
+        assets.depthTexture.dispose();
+        if (assets.backgroundTexture) {
+            assets.backgroundTexture.dispose();
+        }
+    }
+    
+    /**
+     * Preload scenes reachable through link hotspots of the current scene
+     */
+    preloadLinkedScenes() {
+        if (this.isDestroyed) return;
+        
+        const linkedScenes = new Set(
+            this.hotspots
+                .map(hotspot => hotspot.data)
+                .filter(data => data.type === 'link' && data.target !== this.currentScene &&
+                    this.scenesData.scenes[data.target])
+                .map(data => data.target)
+        );
+        
+        // Drop preloads that are no longer one click away
+        this.scenePreloads.forEach((assetsPromise, sceneName) => {
+            if (!linkedScenes.has(sceneName)) {
+                this.scenePreloads.delete(sceneName);
+                assetsPromise.then(assets => this.disposeSceneAssets(assets)).catch(() => {});
+            }
+        });
+        
+        linkedScenes.forEach(sceneName => {
+            if (this.scenePreloads.has(sceneName)) return;
+            
+            const assetsPromise = this.loadSceneAssets(sceneName);
+            this.scenePreloads.set(sceneName, assetsPromise);
+            assetsPromise.catch(error => {
+                // Forget failed preloads so a click retries the load
+                console.warn(`Failed to preload scene "${sceneName}":`, error);
+                if (this.scenePreloads.get(sceneName) === assetsPromise) {
+                    this.scenePreloads.delete(sceneName);
+                }
+            });
+        });
+    }
+    
+    /**
+     * Validate a transition type from hotspot data
+     */
+    resolveTransitionType(type) {
+        if (!type) {
+            return TransitionType.CUT;
+        }
+        if (!Object.values(TransitionType).includes(type)) {
+            console.warn('Unknown transition type:', type);
+            return TransitionType.CROSSFADE;
+        }
+        return type;
+    }
+    
+    /**
+     * Animate from a detached previous scene into the current one
+     */
+    playTransition(previousState, type, options = {}) {
+        return new Promise(resolve => {
+            const camera = this.camera;
+            const duration = options.duration ?? DEFAULT_TRANSITION_DURATIONS[type];
+            
+            this.transition = {
+                type: type,
+                duration: Math.max(0.01, duration),
+                elapsed: 0,
+                previousState: previousState,
+                resolve: resolve,
+                startPosition: camera.position.clone(),
+                startQuaternion: camera.quaternion.clone(),
+                endQuaternion: camera.quaternion.clone(),
+                startFov: camera.fov,
+                flyTarget: camera.position.clone(),
+                initialView: options.initialView || {},
+                // Orientation of the incoming scene, its initial view if it defines one
+                targetQuaternion: this.getInitialViewQuaternion(options.initialView || {})
+            };
+            
+            // Fly-through turns towards the clicked hotspot and dollies most of the way to it
+            if (type === TransitionType.FLY_THROUGH && options.focus) {
+                const lookMatrix = new THREE.Matrix4().lookAt(camera.position, options.focus, camera.up);
+                this.transition.endQuaternion.setFromRotationMatrix(lookMatrix);
+                this.transition.flyTarget.lerp(options.focus, 0.6);
+            }
+            
+            this.controls.enabled = false;
+            this.css2dRenderer.domElement.style.visibility = 'hidden';
+        });
+    }
+    
+    /**
+     * Advance and render the running transition
+     */
+    updateTransition(deltaTime) {
+        const transition = this.transition;
+        const camera = this.camera;
+        
+        // Scene construction can stall a frame, don't let it skip the animation
+        transition.elapsed += Math.min(deltaTime, 0.05);
+        const progress = Math.min(transition.elapsed / transition.duration, 1);
+        
+        const zoomedFov = transition.startFov * 0.6;
+        let mixRatio;
+        
+        if (transition.type === TransitionType.FLY_THROUGH) {
+            // Turn and dolly-zoom through the old scene, blend over the second half
+            const turn = easeInOutCubic(Math.min(progress / 0.3, 1));
+            const move = easeInOutCubic(Math.min(progress / 0.7, 1));
+            camera.quaternion.slerpQuaternions(transition.startQuaternion, transition.endQuaternion, turn);
+            camera.position.lerpVectors(transition.startPosition, transition.flyTarget, move);
+            camera.fov = THREE.MathUtils.lerp(transition.startFov, zoomedFov, move);
+            camera.updateProjectionMatrix();
+            
+            mixRatio = easeInOutCubic(THREE.MathUtils.clamp((progress - 0.5) / 0.5, 0, 1));
+            // The incoming scene is seen from its center, zooming back out as it appears
+            this.transitionCamera.fov = THREE.MathUtils.lerp(zoomedFov, transition.startFov, mixRatio);
+        } else {
+            mixRatio = easeInOutCubic(progress);
+            this.transitionCamera.fov = camera.fov;
+        }
+        
+        this.transitionCamera.position.set(0, 0, 0);
+        this.transitionCamera.quaternion.copy(transition.targetQuaternion || camera.quaternion);
+        this.transitionCamera.aspect = camera.aspect;
+        this.transitionCamera.updateProjectionMatrix();
+        
+        this.transitionRenderer.render(
+            this.scene,
+            transition.previousState.group, camera,
+            this.sceneGroup, this.transitionCamera,
+            mixRatio
+        );
+        
+        if (progress >= 1) {
+            this.finishTransition();
+        }
+    }
+    
+    /**
+     * Dispose the previous scene and hand the camera back to OrbitControls
+     */
+    finishTransition() {
+        const transition = this.transition;
+        this.transition = null;
+        
+        this.disposeSceneState(transition.previousState);
+        this.sceneGroup.visible = true;
+        
+        // Land at the sphere center, keeping the final view direction
+        const direction = this.camera.getWorldDirection(new THREE.Vector3());
+        this.camera.fov = transition.startFov;
+        this.camera.updateProjectionMatrix();
+        this.appliedHeadOffset.set(0, 0, 0);
+        this.headMotion.offset.set(0, 0, 0);
+        this.headMotion.recenter();
+        this.controls.target.set(0, 0, 0);
+        this.camera.position.copy(direction).multiplyScalar(-0.001);
+        this.controls.enabled = true;
+        this.controls.update();
+        this.applyInitialView(transition.initialView);
+        
+        this.css2dRenderer.domElement.style.visibility = '';
+        transition.resolve();
+    }
+    
+    /**
+     * Resolve a scene setting from the scene entry, then scenes.json "defaults", then built-in defaults
+     */
+    getSceneSetting(sceneConfig, key) {
+        const defaults = this.scenesData.defaults || {};
+        return sceneConfig[key] ?? defaults[key] ?? SCENE_DEFAULTS[key];
+    }
+    
+    /**
+     * Apply a scene's depth settings and view limits, returning its initial view
+     */
+    applySceneSettings(sceneConfig) {
+        this.depthScale = this.getSceneSetting(sceneConfig, 'depthScale');
+        this.depthBias = this.getSceneSetting(sceneConfig, 'depthBias');
+        this.depthFlip = this.getSceneSetting(sceneConfig, 'depthFlip');
+        this.seamFix = this.getSceneSetting(sceneConfig, 'seamFix');
+        this.exposure = this.getSceneSetting(sceneConfig, 'exposure');
+        this.projection = this.getSceneSetting(sceneConfig, 'projection');
+        this.fisheyeFov = this.getSceneSetting(sceneConfig, 'fisheyeFov');
+        this.depthEncoding = this.getSceneSetting(sceneConfig, 'depthEncoding');
+        this.depthUnit = this.getSceneSetting(sceneConfig, 'depthUnit');
+        this.depthNear = this.getSceneSetting(sceneConfig, 'depthNear');
+        this.depthFar = this.getSceneSetting(sceneConfig, 'depthFar');
+        this.cameraHeight = this.getSceneSetting(sceneConfig, 'cameraHeight');
+        this.hotspotOcclusion = this.getSceneSetting(sceneConfig, 'hotspotOcclusion');
+        this.hotspotScaling = this.getSceneSetting(sceneConfig, 'hotspotScaling');
+        this.hotspotDeclutter = this.getSceneSetting(sceneConfig, 'hotspotDeclutter');
+        
+        const view = {
+            ...VIEW_DEFAULTS,
+            ...(this.scenesData.defaults && this.scenesData.defaults.view),
+            ...sceneConfig.view
+        };
+        this.controls.minPolarAngle = THREE.MathUtils.degToRad(view.minPolarAngle);
+        this.controls.maxPolarAngle = THREE.MathUtils.degToRad(view.maxPolarAngle);
+        this.fovLimits = { min: view.minFov, max: view.maxFov };
+        this.sceneStartYaw = view.yaw ?? 0;
+        
+        this.updateHUD();
+        
+        return { yaw: view.yaw, pitch: view.pitch, fov: view.fov };
+    }
+    
+    /**
+     * Point the camera at a scene's initial view; unset fields keep the current view
+     */
+    applyInitialView(initialView) {
+        if (initialView.yaw !== undefined || initialView.pitch !== undefined) {
+            this.setViewAngles(initialView.yaw ?? 0, initialView.pitch ?? 0);
+        }
+        
+        const fov = initialView.fov ?? this.camera.fov;
+        this.camera.fov = THREE.MathUtils.clamp(fov, this.fovLimits.min, this.fovLimits.max);
+        this.camera.updateProjectionMatrix();
+    }
+    
+    /**
+     * Camera orientation for an initial view, or null if it keeps the current direction
+     */
+    getInitialViewQuaternion(initialView) {
+        if (initialView.yaw === undefined && initialView.pitch === undefined) {
+            return null;
+        }
+        // Yaw turns right around Y, pitch tilts up around X (matches setViewAngles)
+        const euler = new THREE.Euler(
+            THREE.MathUtils.degToRad(initialView.pitch ?? 0),
+            -THREE.MathUtils.degToRad(initialView.yaw ?? 0),
+            0,
+            'YXZ'
+        );
+        return new THREE.Quaternion().setFromEuler(euler);
+    }
+    
+    /**
+     * Write the current depth settings (and optionally the view) into the in-memory scene config
+     */
+    captureSceneSettings(includeView) {
+        const sceneConfig = this.scenesData.scenes[this.currentScene];
+        const round = (value, digits) => parseFloat(value.toFixed(digits));
+        
+        sceneConfig.depthScale = round(this.depthScale, 3);
+        sceneConfig.depthBias = round(this.depthBias, 3);
+        sceneConfig.depthFlip = this.depthFlip;
+        sceneConfig.seamFix = round(this.seamFix, 4);
+        sceneConfig.exposure = round(this.exposure, 2);
+        
+        if (includeView) {
+            const { yaw, pitch } = this.getViewAngles();
+            sceneConfig.view = {
+                ...sceneConfig.view,
+                yaw: round(yaw, 1),
+                pitch: round(pitch, 1),
+                fov: round(this.camera.fov, 1)
+            };
+        }
+    }
+    
+    /**
+     * Load color and depth textures for a scene
+     * 
+     * Tiled scenes ("tiles": true) return the tile pyramid as "tiles" and its
+     * preview as the color texture.
+     */
+    async loadSceneTextures(scenePath, sceneConfig = {}) {
+        const loadPromises = [];
+        
+        // Tile pyramid made with tools/cutTiles.js, streamed as the view changes
+        const tilesPromise = sceneConfig.tiles
+            ? TiledPanorama.load(`${scenePath}/tiles`, this.renderer, this.textureLoader)
+            : Promise.resolve(null);
+        
+        const colorPromise = tilesPromise.then(tiles => tiles ? tiles.preview : this.loadColorTexture(scenePath, sceneConfig));
+        loadPromises.push(colorPromise);
+        
+        const depthPromise = this.loadDepthTexture(scenePath, sceneConfig);
+        loadPromises.push(depthPromise);
+        
+        // Optional inpainted background for filling disocclusion holes
+        const backgroundPromise = this.loadBackgroundTexture(scenePath, sceneConfig);
+        loadPromises.push(backgroundPromise);
+        
+        const [colorTexture, depthTexture, backgroundTexture] = await Promise.all(loadPromises);
+        const tiles = await tilesPromise;
+        
+        return { colorTexture, tiles, depthTexture, backgroundTexture };
+    }
+    
+    /**
+     * Fetch a scene image (a SCENE_IMAGES key): the file named in the scene's "files",
+     * or else the first default file name that exists. Resolves to { url, buffer, format }
+     * with the format read from the file, or null when there is none.
+     */
+    async fetchSceneImage(scenePath, sceneConfig, role) {
+        const declared = sceneConfig.files && sceneConfig.files[role];
+        for (const name of declared ? [declared] : SCENE_IMAGES[role].files) {
+            const url = `${scenePath}/${name}`;
+            const response = await fetch(url).catch(error => {
+                if (declared) throw error;
+                return null;
+            });
+            if (!response || !response.ok) {
+                if (declared) throw new Error(`Failed to load ${url}: ${response.status}`);
+                continue;
+            }
+            
+            const buffer = await response.arrayBuffer();
+            const format = sniffTextureFormat(buffer);
+            const problem = checkSceneImageFormat(role, format, buffer);
+            if (!problem) {
+                return { url, buffer, format };
+            }
+            // Dev servers answer missing files with index.html
+            if (declared || format) {
+                throw new Error(`${url} ${problem}`);
+            }
+        }
+        return null;
+    }
+    
+    /**
+     * Load a texture from fetched file contents with one of the three.js loaders
+     */
+    async loadTextureBuffer(loader, buffer) {
+        const objectUrl = URL.createObjectURL(new Blob([buffer]));
+        try {
+            return await loader.loadAsync(objectUrl);
+        } finally {
+            URL.revokeObjectURL(objectUrl);
+        }
+    }
+    
+    /**
+     * KTX2 loader, created on first use since it starts transcoder workers
+     */
+    getKtx2Loader() {
+        if (!this.ktx2Loader) {
+            this.ktx2Loader = new KTX2Loader()
+                .setTranscoderPath(this.options.basisTranscoderPath)
+                .detectSupport(this.renderer);
+        }
+        return this.ktx2Loader;
+    }
+    
+    /**
+     * Load a color texture: the panorama, or the background (role). Basis compressed
+     * KTX2 files stay compressed on the GPU, PNG, JPEG and WebP are decoded to RGBA.
+     */
+    async loadColorTexture(scenePath, sceneConfig = {}, role = 'panorama') {
+        const image = await this.fetchSceneImage(scenePath, sceneConfig, role);
+        if (!image) {
+            if (role === 'panorama') {
+                throw new Error(`No panorama texture found (tried ${SCENE_IMAGES.panorama.files.join(', ')})`);
+            }
+            return null;
+        }
+        
+        const isKtx2 = image.format === TextureFormat.KTX2;
+        const texture = await this.loadTextureBuffer(isKtx2 ? this.getKtx2Loader() : this.textureLoader, image.buffer);
+        texture.colorSpace = THREE.SRGBColorSpace;
+        texture.wrapS = THREE.RepeatWrapping;
+        texture.wrapT = THREE.ClampToEdgeWrapping;
+        texture.magFilter = THREE.LinearFilter;
+        // Compressed textures keep the mipmaps stored in the file, if any
+        if (!isKtx2) {
+            texture.minFilter = THREE.LinearFilter;
+        }
+        console.log(`Loaded ${image.format.toUpperCase()} ${role} texture`);
+        return texture;
+    }
+    
+    /**
+     * Load optional background texture (inpainted panorama without foreground objects)
+     */
+    async loadBackgroundTexture(scenePath, sceneConfig = {}) {
+        try {
+            return await this.loadColorTexture(scenePath, sceneConfig, 'background');
+        } catch (error) {
+            // Holes are filled from the panorama itself when no background is provided
+            console.warn(`${error.message}, filling holes from the panorama`);
+            return null;
+        }
+    }
+    
+    /**
+     * Load the depth texture, or a flat one when the scene has no usable depth map
+     */
+    async loadDepthTexture(scenePath, sceneConfig = {}) {
+        let texture = null;
+        try {
+            const image = await this.fetchSceneImage(scenePath, sceneConfig, 'depth');
+            if (image) {
+                texture = await this.decodeDepthImage(image);
+                console.log(`Loaded ${image.format.toUpperCase()} depth texture`);
+            }
+        } catch (error) {
+            console.warn(error.message);
+        }
+        
+        if (texture) {
+            texture.wrapS = THREE.RepeatWrapping;
+            texture.wrapT = THREE.ClampToEdgeWrapping;
+            texture.minFilter = THREE.NearestFilter;
+            texture.magFilter = THREE.NearestFilter;
+            return texture;
+        }
+        
+        console.warn('No depth texture found, using flat panorama');
+        // Create a flat white texture as fallback
+        const canvas = document.createElement('canvas');
+        canvas.width = canvas.height = 1;
+        const ctx = canvas.getContext('2d');
+        ctx.fillStyle = '#ffffff';
+        ctx.fillRect(0, 0, 1, 1);
+        
+        const fallbackTexture = new THREE.CanvasTexture(canvas);
+        fallbackTexture.minFilter = THREE.NearestFilter;
+        fallbackTexture.magFilter = THREE.NearestFilter;
+        return fallbackTexture;
+    }
+    
+    /**
+     * Decode a fetched depth map, keeping the full precision of 16-bit and float files
+     */
+    async decodeDepthImage({ buffer, format }) {
+        switch (format) {
+            case TextureFormat.EXR:
+                return this.loadTextureBuffer(this.exrLoader, buffer);
+            
+            // Uncompressed single-channel data (see KTX2_DEPTH_FORMATS), a DataTexture
+            case TextureFormat.KTX2:
+                return this.loadTextureBuffer(this.getKtx2Loader(), buffer);
+            
+            // 16 bits split over red and green, see DepthMap.fromRedGreen16
+            case TextureFormat.WEBP: {
+                const bitmap = await createImageBitmap(new Blob([buffer], { type: 'image/webp' }), {
+                    colorSpaceConversion: 'none',
+                    premultiplyAlpha: 'none'
+                });
+                try {
+                    return DepthMap.fromRedGreen16(bitmap).toTexture();
+                } finally {
+                    bitmap.close();
+                }
+            }
+            
+            default: {
+                // Browsers decode PNGs to 8 bits per channel, so 16-bit files are decoded here
+                const depthMap = await DepthMap.fromPng16(buffer);
+                return depthMap ? depthMap.toTexture() : this.loadTextureBuffer(this.textureLoader, buffer);
+            }
+        }
+    }
+    
+    /**
+     * Create the scene mesh with depth material (tiles: TiledPanorama of tiled scenes)
+     */
+    createSceneMesh(colorTexture, depthTexture, backgroundTexture = null, tessellationOptions = {}, tiles = null) {
+        // Read depth on the CPU and build a sphere that is dense where depth varies
+        const depthMap = DepthMap.fromTexture(depthTexture);
+        this.depthMap = new ProjectedDepthMap(depthMap, this.projection, this.fisheyeFov);
+        this.depthValueRange = depthMap.getRange();
+        const geometry = createAdaptiveSphereGeometry(this.depthMap, tessellationOptions);
+        this.updateDepthCalibration();
+        
+        // Create depth material
+        this.currentMaterial = createDepthMaterial(colorTexture, depthTexture, {
+            depthScale: this.depthScale,
+            depthBias: this.depthBias,
+            depthFlip: this.depthFlip,
+            depthEncoding: this.depthEncoding,
+            depthNear: this.depthNear,
+            depthFar: this.depthFar,
+            metricScale: this.metricScale,
+            debugDepth: this.debugDepth,
+            seamFix: this.seamFix,
+            exposure: this.exposure,
+            disocclusionMode: this.disocclusionMode,
+            edgeThreshold: this.edgeThreshold,
+            projection: this.projection,
+            fisheyeFov: this.fisheyeFov,
+            tiles: tiles
+        });
+        this.tiledPanorama = tiles;
+        
+        // Create mesh
+        this.currentMesh = new THREE.Mesh(geometry, this.currentMaterial);
+        this.sceneGroup.add(this.currentMesh);
+        
+        // Create picking mesh for authoring mode
+        const pickingMaterial = createPickingMaterial();
+        this.pickingMesh = new THREE.Mesh(geometry.clone(), pickingMaterial);
+        this.sceneGroup.add(this.pickingMesh);
+        
+        // Create background layer behind the farthest surface, seen through torn edges
+        const backgroundMaterial = createBackgroundMaterial(backgroundTexture || colorTexture, {
+            seamFix: this.seamFix,
+            exposure: this.exposure,
+            projection: this.projection,
+            fisheyeFov: this.fisheyeFov
+        });
+        // The background is not displaced, so a regular sphere is enough
+        this.backgroundMesh = new THREE.Mesh(new THREE.SphereGeometry(1, 64, 32), backgroundMaterial);
+        this.backgroundMesh.userData.ownsTexture = !!backgroundTexture;
+        this.sceneGroup.add(this.backgroundMesh);
+        this.updateBackgroundLayer();
+    }
+    
+    /**
+     * Parameters of the current scene's depth values, see depthEncoding.js
+     */
+    getDepthModel() {
+        return createDepthModel({
+            encoding: this.depthEncoding,
+            scale: this.depthScale,
+            bias: this.depthBias,
+            flip: this.depthFlip,
+            near: this.depthNear,
+            far: this.depthFar,
+            metricScale: this.metricScale
+        });
+    }
+    
+    /**
+     * Set the meters per depth unit. With a cameraHeight the depth is scaled so the
+     * floor below the camera is that far away, which makes relative depth metric
+     */
+    updateDepthCalibration() {
+        const unitScale = DEPTH_UNITS[this.depthUnit] ?? 1;
+        const baseScale = this.depthEncoding === DepthEncoding.NORMALIZED ? 1 : unitScale;
+        this.metricScale = baseScale;
+        
+        if (this.cameraHeight && this.depthMap) {
+            const measuredHeight = measureCameraHeight((u, v) => this.sampleDepth(u, v), this.getDepthModel());
+            if (measuredHeight > 0) {
+                this.metricScale = baseScale * this.cameraHeight * unitScale / measuredHeight;
+            } else {
+                console.warn('No depth below the camera, cameraHeight is ignored');
+            }
+        }
+        
+        if (this.currentMaterial) {
+            this.currentMaterial.uniforms.metricScale.value = this.metricScale;
+        }
+    }
+    
+    /**
+     * Resize and show/hide the hole-filling background layer
+     */
+    updateBackgroundLayer() {
+        if (!this.backgroundMesh) return;
+        
+        // Slightly beyond the farthest displaced surface to avoid z-fighting
+        const radius = getRadiusRange(this.getDepthModel(), this.depthValueRange).max * 1.01;
+        this.backgroundMesh.scale.setScalar(radius);
+        this.backgroundMesh.visible = this.holeFill && this.disocclusionMode !== DisocclusionMode.OFF;
+        this.backgroundMesh.material.uniforms.exposure.value = this.exposure;
+        this.backgroundMesh.material.uniforms.seamFix.value = this.seamFix;
+    }
+    
+    /**
+     * Load hotspot data for a scene, checking depth values against its depth encoding
+     */
+    async loadHotspots(scenePath, depthEncoding) {
+        let hotspotsData;
+        try {
+            const response = await fetch(`${scenePath}/hotspots.json`);
+            if (!response.ok) {
+                console.log('No hotspots.json found for this scene');
+                return [];
+            }
+            
+            hotspotsData = await response.json();
+        } catch (error) {
+            console.log('No hotspots found for this scene:', error.message);
+            return [];
+        }
+        
+        // Report problems up front; hotspots that can't be placed are skipped in createHotspot()
+        const errors = validateHotspots(hotspotsData, Object.keys(this.scenesData.scenes), depthEncoding);
+        if (errors.length > 0) {
+            console.warn(`Problems in ${scenePath}/hotspots.json:\n- ${errors.join('\n- ')}`);
+        }
+        if (!Array.isArray(hotspotsData)) return [];
+        
+        // Older uv coordinates are placed where they used to be, saving writes them converted
+        const outdated = hotspotsData.filter(needsUvMigration).length;
+        if (outdated > 0) {
+            console.warn(`${scenePath}/hotspots.json: converted ${outdated} hotspots from uv version 1, ` +
+                'save or run "npm run validate-tour -- --fix" to update the file');
+        }
+        return hotspotsData.map(migrateHotspot);
+    }
+    
+    /**
+     * Replace the current hotspots with objects created from data
+     */
+    createHotspots(hotspotsData) {
+        // Clear existing hotspots
+        this.clearHotspots();
+        
+        // Create hotspot objects
+        hotspotsData.forEach(hotspotData => {
+            this.createHotspot(hotspotData);
+        });
+        
+        console.log(`Loaded ${hotspotsData.length} hotspots`);
+    }
+    
+    /**
+     * Create a hotspot from data, inserted at index (appended by default)
+     */
+    createHotspot(hotspotData, index = this.hotspots.length) {
+        if (!hotspotData || typeof hotspotData !== 'object') {
+            console.warn('Skipping invalid hotspot entry:', hotspotData);
+            return;
+        }
+        
+        // Depth under the hotspot, read from the depth map when one is loaded
+        const depth = hotspotData.uv
+            ? this.sampleDepth(hotspotData.uv[0], hotspotData.uv[1]) ?? hotspotData.d
+            : undefined;
+        
+        // Determine 3D position
+        let position;
+        if (hotspotData.uv && depth !== undefined) {
+            // UV + depth provided - place on the depth surface so the hotspot follows depth changes
+            position = uvDepthToWorld(
+                hotspotData.uv[0], 
+                hotspotData.uv[1], 
+                depth,
+                this.getDepthModel()
+            );
+        } else if (hotspotData.position) {
+            // World coordinates provided - use directly
+            position = new THREE.Vector3(...hotspotData.position);
+        } else {
+            console.warn('Hotspot missing position data:', hotspotData);
+            return;
+        }
+        
+        // Create DOM element, its text is filled in by updateHotspotText()
+        const element = document.createElement('div');
+        element.className = `hotspot ${hotspotData.type || 'info'}`;
+        // A button to keyboards and screen readers, announced with its type and title
+        element.tabIndex = -1;
+        element.setAttribute('role', 'button');
+        element.addEventListener('click', () => this.onHotspotElementClick(hotspot));
+        element.addEventListener('keydown', (event) => {
+            if (event.key === 'Enter' || event.key === ' ') {
+                event.preventDefault();
+                this.onHotspotElementClick(hotspot);
+            }
+        });
+        element.addEventListener('pointerdown', (event) => {
+            // Authoring mode drags hotspots across the depth mesh
+            if (this.isAuthoringMode) {
+                this.hotspotEditor.beginDrag(hotspot, event);
+            }
+        });
+        
+        // Create CSS2D object
+        const css2dObject = new CSS2DObject(element);
+        css2dObject.position.copy(position);
+        
+        // CSS2D does not render in XR, a WebGL sprite stands in (created by updateHotspotText())
+        css2dObject.visible = !this.renderer.xr.isPresenting;
+        
+        // Store hotspot data with original UV/depth info for recalculation
+        const hotspot = {
+            data: hotspotData,
+            position: position,
+            css2dObject: css2dObject,
+            sprite: null,
+            element: element,
+            labelSize: null, // Unscaled { width, height } of the element, for decluttering
+            // Store original parameters for updates
+            originalUV: hotspotData.uv ? [...hotspotData.uv] : null,
+            originalDepth: depth !== undefined ? depth : null,
+            isWorldCoords: depth === undefined // Flag to know if using world coords
+        };
+        
+        this.hotspots.splice(index, 0, hotspot);
+        this.sceneGroup.add(css2dObject);
+        this.updateHotspotText(hotspot);
+        
+        return hotspot;
+    }
+    
+    /**
+     * Write a hotspot's title into its marker and XR sprite in the current language
+     */
+    updateHotspotText(hotspot) {
+        const data = this.localizeHotspot(hotspot.data);
+        const element = hotspot.element;
+        const title = data.title || this.t('hotspot.untitled');
+        element.textContent = title;
+        const hotspotType = getHotspotType(data.type || 'info');
+        if (hotspotType && hotspotType.decorate) {
+            hotspotType.decorate(element, data);
+        }
+        element.setAttribute('aria-label', this.getHotspotLabel(hotspot.data));
+        
+        // Sprites draw their title into a texture, so a new title needs a new sprite
+        const sprite = createHotspotSprite({ ...data, title });
+        sprite.position.copy(hotspot.position);
+        sprite.visible = this.renderer.xr.isPresenting;
+        sprite.userData.hotspot = hotspot;
+        if (hotspot.sprite) {
+            hotspot.sprite.removeFromParent();
+            disposeHotspotSprite(hotspot.sprite);
+        }
+        hotspot.sprite = sprite;
+        this.sceneGroup.add(sprite);
+        
+        // Measured again for decluttering
+        hotspot.labelSize = null;
+    }
+    
+    /**
+     * Spoken name of a hotspot: its type's label and its title
+     */
+    getHotspotLabel(hotspotData) {
+        const typeName = hotspotData.type || 'info';
+        const hotspotType = getHotspotType(typeName);
+        // Built-in types are translated, custom ones use their own label
+        const label = translate(this.language, `hotspotType.${typeName}`, {}, (hotspotType && hotspotType.label) || typeName);
+        return `${label}: ${this.localize(hotspotData.title) || this.t('hotspot.untitled')}`;
+    }
+    
+    /**
+     * Hotspots in Tab order: clockwise around the viewer from the scene's
+     * initial view direction, top to bottom at the same yaw
+     */
+    getHotspotTabOrder() {
+        const angles = new Map(this.hotspots.map(hotspot => {
+            const { yaw, pitch } = this.getDirectionAngles(hotspot.position);
+            return [hotspot, { yaw: THREE.MathUtils.euclideanModulo(yaw - this.sceneStartYaw, 360), pitch }];
+        }));
+        return [...this.hotspots].sort((a, b) => {
+            const angleA = angles.get(a);
+            const angleB = angles.get(b);
+            return (angleA.yaw - angleB.yaw) || (angleB.pitch - angleA.pitch);
+        });
+    }
+    
+    /**
+     * Yaw/pitch in degrees of a world position seen from the sphere center
+     */
+    getDirectionAngles(position) {
+        const direction = position.clone().normalize();
+        return {
+            yaw: THREE.MathUtils.radToDeg(Math.atan2(direction.x, -direction.z)),
+            pitch: THREE.MathUtils.radToDeg(Math.asin(THREE.MathUtils.clamp(direction.y, -1, 1)))
+        };
+    }
+    
+    /**
+     * Move keyboard focus between hotspots with Tab and Shift+Tab. Hotspots
+     * behind the camera have no visible element to tab to, so the tour turns
+     * to each one before focusing it.
+     */
+    onTabKey(event) {
+        if (event.key !== 'Tab' || event.ctrlKey || event.metaKey || event.altKey) return;
+        if (this.renderer.xr.isPresenting) return;
+        
+        const order = this.getHotspotTabOrder();
+        const index = order.findIndex(hotspot => hotspot.element === event.target);
+        if (index === -1 && event.target !== this.root) return;
+        
+        // Into the hotspots from the tour element, out again past either end
+        let next;
+        if (index === -1) {
+            if (event.shiftKey || order.length === 0) return;
+            next = 0;
+        } else {
+            next = index + (event.shiftKey ? -1 : 1);
+        }
+        if (next < 0) {
+            event.preventDefault();
+            this.root.focus();
+            return;
+        }
+        if (next >= order.length) return;
+        
+        event.preventDefault();
+        this.focusHotspot(order[next]);
+    }
+    
+    /**
+     * Turn the view to a hotspot and give it keyboard focus
+     */
+    focusHotspot(hotspot) {
+        const { yaw, pitch } = this.getDirectionAngles(hotspot.position);
+        this.lookAt(yaw, pitch);
+        // Place its element now rather than on the next frame so it can take focus
+        this.renderHotspotLabels();
+        hotspot.element.focus({ preventScroll: true });
+    }
+    
+    /**
+     * Remove a hotspot by id, returns its former index or -1
+     */
+    removeHotspot(hotspotId) {
+        const index = this.hotspots.findIndex(hotspot => hotspot.data.id === hotspotId);
+        if (index !== -1) {
+            this.removeHotspotObjects(this.hotspots[index]);
+            this.hotspots.splice(index, 1);
+        }
+        return index;
+    }
+    
+    /**
+     * Handle a click on a hotspot element: select it in authoring mode, activate it otherwise
+     */
+    onHotspotElementClick(hotspot) {
+        if (this.isAuthoringMode) {
+            this.hotspotEditor.select(hotspot.data.id);
+        } else {
+            this.onHotspotClick(hotspot.data);
+        }
+    }
+    
+    /**
+     * Handle hotspot click through the hotspot's registered type
+     */
+    onHotspotClick(hotspotData) {
+        this.dispatchEvent({ type: 'hotspotclick', hotspot: hotspotData });
+        
+        const hotspotType = getHotspotType(hotspotData.type || 'info');
+        if (!hotspotType) {
+            console.warn('Unknown hotspot type:', hotspotData.type);
+            return;
+        }
+        
+        const hotspot = this.hotspots.find(hotspot => hotspot.data === hotspotData) ||
+            { data: hotspotData, position: null };
+        
+        if (hotspotType.activate) {
+            hotspotType.activate(hotspot, this);
+        } else if (hotspotType.render) {
+            const data = this.localizeHotspot(hotspotData);
+            this.showHotspotPopup(data, hotspotType.render(data, this));
+            this.focusInfoPopup();
+        }
+    }
+    
+    /**
+     * Listener for positional hotspot audio, attached to the camera on first use
+     */
+    getAudioListener() {
+        if (!this.audioListener) {
+            this.audioListener = new THREE.AudioListener();
+            this.camera.add(this.audioListener);
+        }
+        return this.audioListener;
+    }
+    
+    /**
+     * Clear all hotspots
+     */
+    clearHotspots() {
+        this.hotspots.forEach(hotspot => this.removeHotspotObjects(hotspot));
+        this.hotspots = [];
+    }
+    
+    /**
+     * Remove a hotspot's CSS2D element and sprite from the scene and release its type's resources
+     */
+    removeHotspotObjects(hotspot) {
+        // Let the type release media and other resources it attached
+        const hotspotType = getHotspotType(hotspot.data.type || 'info');
+        if (hotspotType && hotspotType.dispose) {
+            hotspotType.dispose(hotspot, this);
+        }
+        
+        // Removing the object directly (not its group) also removes the DOM element
+        hotspot.css2dObject.removeFromParent();
+        hotspot.sprite.removeFromParent();
+        disposeHotspotSprite(hotspot.sprite);
+    }
+    
+    /**
+     * Place the hotspot labels for the current camera and style them by depth
+     */
+    renderHotspotLabels() {
+        this.css2dRenderer.render(this.scene, this.camera);
+        this.updateHotspotLayout();
+    }
+    
+    /**
+     * Dim or hide labels behind the depth surface, scale them by distance and
+     * hide the ones covered by a more important label. Runs right after the
+     * CSS2D renderer, which rewrites each shown label's transform every frame.
+     */
+    updateHotspotLayout() {
+        if (this.hotspots.length === 0) return;
+        
+        const model = this.getDepthModel();
+        const range = getRadiusRange(model, this.depthValueRange);
+        const surfaceRadius = (u, v) => {
+            const depth = this.sampleDepth(u, v);
+            return depth === null ? null : depthToRadius(depth, model);
+        };
+        const eye = this.camera.position;
+        const { width, height } = this.css2dRenderer.getSize();
+        
+        const labels = [];
+        this.hotspots.forEach(hotspot => {
+            const element = hotspot.element;
+            // Off screen or behind the camera
+            if (element.style.display === 'none' || !element.isConnected) return;
+            
+            const position = hotspot.css2dObject.position;
+            if (!hotspot.labelSize) {
+                hotspot.labelSize = { width: element.offsetWidth, height: element.offsetHeight };
+            }
+            const screen = this.labelPoint.copy(position).project(this.camera);
+            const distance = eye.distanceTo(position);
+            const style = this.hotspotScaling ? getDistanceStyle(distance, range) : { scale: 1, opacity: 1 };
+            labels.push({
+                hotspot: hotspot,
+                x: (screen.x + 1) / 2 * width,
+                y: (1 - screen.y) / 2 * height,
+                width: hotspot.labelSize.width * style.scale,
+                height: hotspot.labelSize.height * style.scale,
+                style: style,
+                distance: distance,
+                occluded: this.hotspotOcclusion !== HotspotOcclusion.OFF && isOccluded(eye, position, surfaceRadius),
+                // Labels the visitor is working with never disappear
+                pinned: element === document.activeElement || element.matches(':hover') ||
+                    element.classList.contains('selected') || hotspot.data.id === this.openHotspotId
+            });
+        });
+        
+        // Nearest unoccluded labels win overlaps; authors see every hotspot
+        let decluttered = new Set();
+        if (this.hotspotDeclutter && !this.isAuthoringMode) {
+            labels.sort((a, b) => (b.pinned - a.pinned) || (a.occluded - b.occluded) || (a.distance - b.distance));
+            decluttered = declutterLabels(labels);
+        }
+        const hidesOccluded = this.hotspotOcclusion === HotspotOcclusion.HIDE && !this.isAuthoringMode;
+        
+        labels.forEach(label => {
+            const element = label.hotspot.element;
+            const hidden = decluttered.has(label) || (label.occluded && hidesOccluded && !label.pinned);
+            const opacity = label.style.opacity * (label.occluded ? OCCLUDED_OPACITY : 1);
+            element.style.opacity = hidden ? 0 : opacity.toFixed(2);
+            element.style.transform += ` scale(${label.style.scale.toFixed(3)})`;
+            element.classList.toggle('occluded', label.occluded);
+            element.classList.toggle('concealed', hidden);
+        });
+    }
+    
+    /**
+     * Update hotspot positions when depth parameters change
+     */
+    updateHotspotPositions() {
+        this.hotspots.forEach(hotspot => {
+            // Only update hotspots that were created from UV+depth coordinates
+            if (!hotspot.isWorldCoords && hotspot.originalUV && hotspot.originalDepth !== null) {
+                // Recalculate position with current depth parameters
+                hotspot.originalDepth = this.sampleDepth(...hotspot.originalUV) ?? hotspot.originalDepth;
+                const newPosition = uvDepthToWorld(
+                    hotspot.originalUV[0],
+                    hotspot.originalUV[1], 
+                    hotspot.originalDepth,
+                    this.getDepthModel()
+                );
+                
+                // Update the CSS2D object position
+                hotspot.css2dObject.position.copy(newPosition);
+                hotspot.sprite.position.copy(newPosition);
+                hotspot.position.copy(newPosition);
+            }
+            // World coordinate hotspots stay fixed in their absolute positions
+        });
+    }
+    
+    /**
+     * Detach the current scene's objects so a new scene can be built alongside them
+     */
+    detachSceneState() {
+        const state = {
+            group: this.sceneGroup,
+            mesh: this.currentMesh,
+            material: this.currentMaterial,
+            pickingMesh: this.pickingMesh,
+            backgroundMesh: this.backgroundMesh,
+            tiledPanorama: this.tiledPanorama,
+            hotspots: this.hotspots
+        };
+        
+        this.sceneGroup = new THREE.Group();
+        this.scene.add(this.sceneGroup);
+        this.currentMesh = null;
+        this.currentMaterial = null;
+        this.pickingMesh = null;
+        this.backgroundMesh = null;
+        this.tiledPanorama = null;
+        this.depthMap = null;
+        this.hotspots = [];
+        
+        return state;
+    }
+    
+    /**
+     * Dispose the resources of a detached scene
+     */
+    disposeSceneState(state) {
+        if (state.mesh) {
+            state.mesh.geometry.dispose();
+        }
+        
+        if (state.tiledPanorama) {
+            state.tiledPanorama.dispose();
+        }
+        
+        if (state.pickingMesh) {
+            state.pickingMesh.geometry.dispose();
+            state.pickingMesh.material.dispose();
+        }
+        
+        if (state.backgroundMesh) {
+            state.backgroundMesh.geometry.dispose();
+            // Without a dedicated background the layer shares the color texture
+            if (state.backgroundMesh.userData.ownsTexture) {
+                state.backgroundMesh.material.uniforms.tBackground.value.dispose();
+            }
+            state.backgroundMesh.material.dispose();
+        }
+        
+        if (state.material) {
+            // Dispose textures
+            if (state.material.uniforms.tColor.value) {
+                state.material.uniforms.tColor.value.dispose();
+            }
+            if (state.material.uniforms.tDepth.value) {
+                state.material.uniforms.tDepth.value.dispose();
             }
-            this.currentMaterial.dispose();
-            this.currentMaterial = null;
+            state.material.dispose();
         }
         
-        this.clearHotspots();
+        state.hotspots.forEach(hotspot => this.removeHotspotObjects(hotspot));
+        this.scene.remove(state.group);
+    }
+    
+    /**
+     * Dispose current scene resources
+     */
+    disposeCurrentScene() {
+        this.disposeSceneState(this.detachSceneState());
+    }
+    
+    /**
+     * Handle pointer presses on the canvas (OrbitControls handles look-around itself)
+     */
+    onPointerDown(event) {
+        // Shift+drag translates the head (OrbitControls ignores Shift+drag with pan disabled)
+        if (this.headMotion.onPointerDown(event)) return;
+        
+        this.pinchZoom.onPointerDown(event, this.camera.fov);
+        if (this.isAuthoringMode) {
+            this.longPress.onPointerDown(event);
+        }
+    }
+    
+    /**
+     * Follow pointer drags for head motion, pinch zoom and long-press
+     */
+    onPointerMove(event) {
+        this.headMotion.onPointerMove(event, this.camera);
+        this.longPress.onPointerMove(event);
+        
+        // Pinch within the scene's field of view limits
+        const fov = this.pinchZoom.onPointerMove(event);
+        if (fov !== null) {
+            this.camera.fov = THREE.MathUtils.clamp(fov, this.fovLimits.min, this.fovLimits.max);
+            this.camera.updateProjectionMatrix();
+            this.onViewChange();
+        }
+    }
+    
+    /**
+     * End pointer drags
+     */
+    onPointerUp(event) {
+        this.headMotion.onPointerUp();
+        this.pinchZoom.onPointerUp(event);
+        this.longPress.cancel();
     }
     
     /**
-     * Handle mouse click events
+     * Authoring mode places hotspots on a long-press, so dragging to look around never places one
      */
-    onMouseClick(event) {
-        // Only handle clicks in authoring mode to avoid interfering with controls
+    onLongPress(point) {
         if (this.isAuthoringMode) {
-            // Small delay to ensure it's a click, not a drag
-            setTimeout(() => {
-                this.handleAuthoringClick(event);
-            }, 100);
+            this.handleAuthoringPress(point);
         }
-        // In normal mode, let OrbitControls handle everything
     }
     
     /**
@@ -649,51 +2371,103 @@ class DepthTour {
      */
     onMouseMove(event) {
         // Update mouse coordinates for raycasting
-        this.mouse.x = (event.clientX / window.innerWidth) * 2 - 1;
-        this.mouse.y = -(event.clientY / window.innerHeight) * 2 + 1;
+        this.setMouseFromClient(event.clientX, event.clientY);
     }
     
     /**
-     * Handle authoring mode click
+     * Convert a client point to normalized device coordinates of the canvas
      */
-    handleAuthoringClick(event) {
-        if (!this.pickingMesh) return;
+    setMouseFromClient(clientX, clientY) {
+        const rect = this.renderer.domElement.getBoundingClientRect();
+        this.mouse.x = ((clientX - rect.left) / rect.width) * 2 - 1;
+        this.mouse.y = -((clientY - rect.top) / rect.height) * 2 + 1;
+    }
+    
+    /**
+     * Find the depth mesh surface under a screen point
+     * 
+     * Returns { position, uv, depth } or null when nothing was hit
+     */
+    pickSurface(clientX, clientY) {
+        if (!this.currentMesh) return null;
         
         // Update mouse coordinates
-        this.mouse.x = (event.clientX / window.innerWidth) * 2 - 1;
-        this.mouse.y = -(event.clientY / window.innerHeight) * 2 + 1;
+        this.setMouseFromClient(clientX, clientY);
         
         // Raycast against the displaced mesh (not picking mesh) for accurate positioning
         this.raycaster.setFromCamera(this.mouse, this.camera);
         const intersects = this.raycaster.intersectObject(this.currentMesh);
         
-        if (intersects.length > 0) {
-            const intersection = intersects[0];
-            const position = intersection.point;
-            const uv = intersection.uv;
-            
-            // Sample depth at the intersection point for accurate placement
-            let depth = 0.5; // Default depth
-            if (this.currentMaterial && this.currentMaterial.uniforms.tDepth.value) {
-                // This is an approximation - in a real implementation you'd sample the depth texture
-                // For now, we'll use the distance from center as depth
-                const distance = position.length();
-                depth = Math.max(0, Math.min(1, (distance - 1.0) / this.depthScale));
-            }
+        if (intersects.length === 0) return null;
+        
+        const intersection = intersects[0];
+        
+        // Without a readable depth map, fall back to the point on the mesh triangles
+        if (!intersection.uv || !this.depthMap) {
+            const uvDepth = worldToUvDepth(intersection.point, this.getDepthModel());
+            return {
+                position: intersection.point.clone(),
+                uv: [uvDepth.u, uvDepth.v],
+                depth: uvDepth.d
+            };
+        }
+        
+        // Sample the depth map under the hit so the point lies exactly on the depth surface
+        const uv = [intersection.uv.x, intersection.uv.y];
+        const depth = this.sampleDepth(uv[0], uv[1]);
+        
+        return {
+            position: uvDepthToWorld(uv[0], uv[1], depth, this.getDepthModel()),
+            uv: uv,
+            depth: depth
+        };
+    }
+    
+    /**
+     * Depth map value at panorama coordinates (u, v), as the vertex shader reads it
+     * 
+     * Returns null while no depth map is loaded
+     */
+    sampleDepth(u, v) {
+        if (!this.depthMap) return null;
+        
+        // Cube faces and fisheye lenses wrap around by themselves
+        if (this.projection !== Projection.EQUIRECT) {
+            return this.depthMap.sample(u + this.seamFix, v);
+        }
+        
+        // Same seam offset and edge clamp as sampleDisplacement() in the vertex shader
+        const epsilon = 0.001;
+        const depthU = Math.min(Math.max(u + this.seamFix, epsilon), 1 - epsilon);
+        const depthV = Math.min(Math.max(v, epsilon), 1 - epsilon);
+        return this.depthMap.sample(depthU, depthV);
+    }
+    
+    /**
+     * Place a new hotspot where authoring mode was long-pressed
+     */
+    handleAuthoringPress(point) {
+        if (!this.pickingMesh) return;
+        
+        const surface = this.pickSurface(point.clientX, point.clientY);
+        
+        if (surface) {
+            const { position, uv, depth } = surface;
             
             // Create new hotspot with both world coordinates and UV+depth
             const hotspotData = {
                 id: `hotspot_${Date.now()}`,
-                title: 'New Hotspot',
+                title: this.t('hotspot.newTitle'),
                 type: 'info',
-                content: 'This is a new hotspot created in authoring mode.',
+                content: this.t('hotspot.newContent'),
                 position: [position.x, position.y, position.z],
-                uv: uv ? [uv.x, uv.y] : [0.5, 0.5],
+                uv: uv,
+                uvVersion: HOTSPOT_UV_VERSION,
                 d: depth
             };
             
-            this.createHotspot(hotspotData);
-            console.log('Created hotspot at world position:', position, 'UV:', uv, 'Depth:', depth);
+            // Through the editor so the placement can be undone
+            this.hotspotEditor.createHotspot(hotspotData);
         }
     }
     
@@ -701,6 +2475,53 @@ class DepthTour {
      * Handle keyboard input
      */
     onKeyDown(event) {
+        // Don't treat typing in form fields (e.g. the hotspot editor) as shortcuts
+        if (isTextEntry(event.target)) {
+            return;
+        }
+        
+        // Keys a focused hotspot or the popup already handled
+        if (event.defaultPrevented) {
+            return;
+        }
+        
+        // Keys the embedding app reserved for itself
+        if (this.options.disabledKeys.includes(event.code)) {
+            return;
+        }
+        
+        // Undo/redo and delete in the hotspot editor
+        if (this.isAuthoringMode && this.hotspotEditor.onKeyDown(event)) {
+            return;
+        }
+        
+        // Save to disk through the dev server
+        if (this.isAuthoringMode && (event.ctrlKey || event.metaKey) && event.code === 'KeyS') {
+            event.preventDefault();
+            this.saveTour();
+            return;
+        }
+        
+        // Shortcuts are plain keys; leave browser and system combinations such as Ctrl+C alone
+        if (event.ctrlKey || event.metaKey || event.altKey) {
+            return;
+        }
+        
+        // Movement keys take precedence while head motion is on
+        if (this.headMotion.onKeyDown(event)) {
+            return;
+        }
+        
+        // Arrow keys look around unless a control such as the popup has focus
+        const panStep = ARROW_PAN_KEYS[event.code];
+        if (panStep && this.isViewKeyTarget(event.target)) {
+            event.preventDefault();
+            const view = this.getViewAngles();
+            this.lookAt(view.yaw + panStep[0] * KEY_PAN_STEP,
+                THREE.MathUtils.clamp(view.pitch + panStep[1] * KEY_PAN_STEP, -89, 89));
+            return;
+        }
+        
         switch (event.code) {
             case 'KeyA':
                 this.toggleAuthoringMode();
@@ -734,12 +2555,56 @@ class DepthTour {
                 this.testControls();
                 break;
                 
+            case 'KeyM':
+                this.setHeadMotionEnabled(!this.headMotion.enabled);
+                break;
+                
+            case 'KeyR':
+                this.headMotion.recenter();
+                break;
+                
+            case 'KeyG':
+                this.cycleDisocclusionMode();
+                break;
+                
+            case 'BracketLeft':
+                this.adjustEdgeThreshold(-0.02);
+                break;
+                
+            case 'BracketRight':
+                this.adjustEdgeThreshold(0.02);
+                break;
+                
+            case 'KeyH':
+                this.toggleHoleFill();
+                break;
+                
             case 'KeyE':
                 if (this.isAuthoringMode) {
                     this.exportHotspots();
                 }
                 break;
                 
+            case 'KeyC':
+                if (this.isAuthoringMode) {
+                    this.exportSceneConfig();
+                }
+                break;
+                
+            case 'Space':
+                // Buttons already handle Space themselves
+                if (this.guidedTour.steps.length > 0 && !(event.target.closest && event.target.closest('button, [role="button"]'))) {
+                    event.preventDefault();
+                    this.guidedTour.toggle();
+                }
+                break;
+                
+            case 'KeyN':
+                if (this.isAuthoringMode) {
+                    this.recordGuidedTourStep();
+                }
+                break;
+                
             case 'Escape':
                 this.hideInstructions();
                 this.hideInfoPopup();
@@ -752,13 +2617,106 @@ class DepthTour {
         }
     }
     
+    /**
+     * Whether a key press on this element is meant for the view: the tour
+     * itself, a hotspot, or the page with page-wide shortcuts
+     */
+    isViewKeyTarget(target) {
+        return target === this.root || target === document.body || target === document.documentElement ||
+            (target.classList && target.classList.contains('hotspot'));
+    }
+    
     /**
      * Toggle authoring mode
      */
     toggleAuthoringMode() {
         this.isAuthoringMode = !this.isAuthoringMode;
+        this.hotspotEditor.setVisible(this.isAuthoringMode);
+        this.updateHUD();
+    }
+    
+    /**
+     * Enable or disable head motion
+     */
+    setHeadMotionEnabled(enabled) {
+        this.headMotion.setEnabled(enabled);
+        
+        // iOS only delivers device orientation after an explicit permission grant
+        if (enabled) {
+            requestOrientationPermission();
+        }
+        
         this.updateHUD();
-        console.log('Authoring mode:', this.isAuthoringMode ? 'ON' : 'OFF');
+    }
+    
+    /**
+     * Look around by turning the device, blended with touch drag.
+     * Call from a user gesture: iOS asks for permission first.
+     * Resolves to whether gyro mode is on.
+     */
+    async setGyroEnabled(enabled) {
+        if (enabled && !await requestOrientationPermission()) {
+            enabled = false;
+            this.showError(this.t('gyro.unavailable'));
+        }
+        
+        this.gyroLook.setEnabled(enabled);
+        // Tilt stops moving the head while it turns the view
+        this.headMotion.recenter();
+        
+        if (this.gyroButton) {
+            this.gyroButton.classList.toggle('active', enabled);
+            this.gyroButton.setAttribute('aria-pressed', String(enabled));
+        }
+        return enabled;
+    }
+    
+    /**
+     * Turn the view by how far the device turned since the last frame
+     */
+    updateGyroLook() {
+        const delta = this.gyroLook.consumeDelta();
+        if (!delta || (delta.yaw === 0 && delta.pitch === 0)) return;
+        
+        const view = this.getViewAngles();
+        // OrbitControls applies the scene's pitch limits on top
+        this.setViewAngles(view.yaw + delta.yaw, THREE.MathUtils.clamp(view.pitch + delta.pitch, -89, 89));
+        this.onViewChange();
+    }
+    
+    /**
+     * Largest head offset that keeps the near plane inside the displaced sphere
+     */
+    getSafeHeadRadius() {
+        const nearestRadius = getRadiusRange(this.getDepthModel(), this.depthValueRange).min;
+        return Math.max(0, nearestRadius * 0.8 - this.camera.near);
+    }
+    
+    /**
+     * Apply the head motion offset to camera and orbit target
+     */
+    updateHeadMotion(deltaTime) {
+        this.headMotion.setSafeRadius(this.getSafeHeadRadius());
+        const offset = this.headMotion.update(deltaTime, this.camera);
+        
+        // Move camera and target together so the view direction is preserved
+        const delta = offset.clone().sub(this.appliedHeadOffset);
+        if (delta.lengthSq() > 0) {
+            this.camera.position.add(delta);
+            this.controls.target.add(delta);
+            this.appliedHeadOffset.copy(offset);
+        }
+    }
+    
+    /**
+     * Snap the eye back to the sphere center immediately
+     */
+    resetHeadOffset() {
+        this.camera.position.sub(this.appliedHeadOffset);
+        this.controls.target.sub(this.appliedHeadOffset);
+        this.appliedHeadOffset.set(0, 0, 0);
+        this.headMotion.offset.set(0, 0, 0);
+        this.headMotion.recenter();
     }
     
     /**
@@ -769,46 +2727,78 @@ class DepthTour {
         if (this.currentMaterial) {
             this.currentMaterial.uniforms.debugDepth.value = this.debugDepth;
         }
-        console.log('Debug depth:', this.debugDepth ? 'ON' : 'OFF');
     }
     
     /**
      * Toggle depth flip
      */
     toggleDepthFlip() {
-        this.depthFlip = !this.depthFlip;
-        if (this.currentMaterial) {
-            this.currentMaterial.uniforms.depthFlip.value = this.depthFlip;
-        }
-        // Update hotspot positions to match new depth flip state
-        this.updateHotspotPositions();
-        console.log('Depth flip:', this.depthFlip ? 'ON' : 'OFF');
+        this.setDepthParams({ depthFlip: !this.depthFlip });
     }
     
     /**
      * Adjust depth scale
      */
     adjustDepthScale(delta) {
-        this.depthScale = Math.max(0.5, this.depthScale + delta);
+        // Metric, linear and inverse depth are true to scale
+        if (this.depthEncoding !== DepthEncoding.NORMALIZED) return;
+        this.setDepthParams({ depthScale: Math.max(0.5, this.depthScale + delta) });
+    }
+    
+    /**
+     * Adjust exposure
+     */
+    adjustExposure(delta) {
+        // Remove upper limit, keep minimum at 0.01
+        this.setDepthParams({ exposure: Math.max(0.01, this.exposure + delta) });
+    }
+    
+    /**
+     * Cycle disocclusion handling: off -> discard -> fade
+     */
+    cycleDisocclusionMode() {
+        this.disocclusionMode = (this.disocclusionMode + 1) % 3;
         if (this.currentMaterial) {
-            this.currentMaterial.uniforms.depthScale.value = this.depthScale;
+            this.currentMaterial.uniforms.disocclusionMode.value = this.disocclusionMode;
+            this.currentMaterial.transparent = this.disocclusionMode === DisocclusionMode.FADE;
+            this.currentMaterial.needsUpdate = true;
         }
-        // Update hotspot positions to match new depth scale
-        this.updateHotspotPositions();
+        this.updateBackgroundLayer();
         this.updateHUD();
-        console.log('Depth scale:', this.depthScale);
     }
     
     /**
-     * Adjust exposure
+     * Adjust the relative depth jump above which triangles are torn
      */
-    adjustExposure(delta) {
-        this.exposure = Math.max(0.01, this.exposure + delta); // Remove upper limit, keep minimum at 0.01
+    adjustEdgeThreshold(delta) {
+        this.edgeThreshold = Math.max(0.01, this.edgeThreshold + delta);
         if (this.currentMaterial) {
-            this.currentMaterial.uniforms.exposure.value = this.exposure;
+            this.currentMaterial.uniforms.edgeThreshold.value = this.edgeThreshold;
         }
         this.updateHUD();
-        console.log('Exposure:', this.exposure.toFixed(2));
+    }
+    
+    /**
+     * Toggle filling disocclusion holes from the background layer
+     */
+    toggleHoleFill() {
+        this.holeFill = !this.holeFill;
+        this.updateBackgroundLayer();
+        this.updateHUD();
+    }
+    
+    /**
+     * Human-readable name of the current disocclusion mode
+     */
+    getDisocclusionModeName() {
+        switch (this.disocclusionMode) {
+            case DisocclusionMode.DISCARD:
+                return this.t('edges.discard');
+            case DisocclusionMode.FADE:
+                return this.t('edges.fade');
+            default:
+                return this.t('edges.off');
+        }
     }
     
     /**
@@ -832,7 +2822,23 @@ class DepthTour {
      * Export hotspots to console
      */
     exportHotspots() {
-        const exportData = this.hotspots.map(hotspot => {
+        const exportData = this.serializeHotspots();
+        
+        console.log('Hotspots export (enhanced precision):');
+        console.log(JSON.stringify(exportData, null, 2));
+        
+        // Also copy to clipboard if possible
+        if (navigator.clipboard) {
+            navigator.clipboard.writeText(JSON.stringify(exportData, null, 2));
+            console.log('Hotspots copied to clipboard');
+        }
+    }
+    
+    /**
+     * Current hotspots as hotspots.json data
+     */
+    serializeHotspots() {
+        return this.hotspots.map(hotspot => {
             const data = { ...hotspot.data };
             
             // Always include world coordinates with high precision
@@ -850,27 +2856,158 @@ class DepthTour {
                 ];
                 data.d = parseFloat(hotspot.originalDepth.toFixed(6));
             } else {
-                // Calculate UV+depth from world position if not available
-                const uvDepth = worldToUvDepth(
-                    hotspot.position,
-                    this.depthScale,
-                    this.depthBias,
-                    this.depthFlip
-                );
+                // Calculate UV from the world position's direction if not available,
+                // with the depth map's value there so the hotspot lands on the surface
+                const uvDepth = worldToUvDepth(hotspot.position, this.getDepthModel());
+                const depth = this.sampleDepth(uvDepth.u, uvDepth.v) ?? uvDepth.d;
                 data.uv = [parseFloat(uvDepth.u.toFixed(6)), parseFloat(uvDepth.v.toFixed(6))];
-                data.d = parseFloat(uvDepth.d.toFixed(6));
+                data.d = parseFloat(depth.toFixed(6));
             }
+            data.uvVersion = HOTSPOT_UV_VERSION;
             
             return data;
         });
+    }
+    
+    /**
+     * Save hotspots and scene config to disk through the dev-server endpoints.
+     * The config is only saved when it was loaded from the dev server.
+     */
+    async saveTour() {
+        if (!this.currentScene) return;
         
-        console.log('Hotspots export (enhanced precision):');
-        console.log(JSON.stringify(exportData, null, 2));
+        // Depth tweaks go into the config; the view is only captured by the explicit C export
+        this.captureSceneSettings(false);
+        
+        this.showSaveStatus(this.t('save.saving'));
+        try {
+            await this.postJson('/__tour/hotspots', {
+                scene: this.currentScene,
+                hotspots: this.serializeHotspots()
+            });
+            // An inline config or one from another server has no file here to write back to
+            if (!this.configUrl || this.configUrl.origin !== window.location.origin) {
+                this.showSaveStatus(this.t('save.savedHotspots', { scene: this.currentScene }), 'success');
+                return;
+            }
+            await this.postJson('/__tour/config', { config: this.scenesData, source: this.configUrl.pathname });
+            this.showSaveStatus(this.t('save.saved', { scene: this.currentScene }), 'success');
+        } catch (error) {
+            console.error('Save failed:', error);
+            this.showSaveStatus(this.t('save.failed', { message: error.message }), 'error');
+        }
+    }
+    
+    /**
+     * POST JSON to a dev-server endpoint, throwing on error responses
+     */
+    async postJson(url, body) {
+        let response;
+        try {
+            response = await fetch(url, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(body)
+            });
+        } catch (error) {
+            throw new Error(this.t('save.unreachable'));
+        }
+        
+        const result = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            // Static servers without the save plugin answer 404/405
+            throw new Error(result.error || `${response.status} ${response.statusText} (run "npm run dev")`);
+        }
+        return result;
+    }
+    
+    /**
+     * Add the current view as a guided tour step, saved with the scene config
+     */
+    recordGuidedTourStep() {
+        if (!this.currentScene) return;
+        
+        const index = this.guidedTour.recordStep();
+        const count = this.guidedTour.steps.length;
+        this.showSaveStatus(this.t('guidedTour.recorded', { step: index + 1, count: count }), 'success');
+    }
+    
+    /**
+     * Show a save result in the HUD
+     */
+    showSaveStatus(message, type = '') {
+        const element = this.hudElements.saveStatus;
+        if (!element) return;
+        
+        clearTimeout(this.saveStatusTimer);
+        element.textContent = message;
+        element.classList.remove('success', 'error');
+        if (type) {
+            element.classList.add(type);
+        }
+        
+        if (type) {
+            this.saveStatusTimer = setTimeout(() => {
+                element.textContent = '';
+                element.classList.remove('success', 'error');
+            }, type === 'error' ? 8000 : 4000);
+        }
+    }
+    
+    /**
+     * Show the service worker's download progress; emits 'offlineprogress'
+     * while downloading and 'offlineready' once the tour works offline
+     */
+    onOfflineStatus(status) {
+        if (this.isDestroyed) return;
+        
+        let text = null;
+        if (status.type === 'progress') {
+            const fraction = status.total > 0 ? status.loaded / status.total : 1;
+            text = this.t('offline.downloading', { percent: Math.floor(fraction * 100) });
+            if (this.offlineStatus) {
+                this.offlineStatus.querySelector('progress').value = fraction;
+            }
+            this.dispatchEvent({ type: 'offlineprogress', loaded: status.loaded, total: status.total });
+        } else if (status.type === 'ready') {
+            text = this.t('offline.ready');
+            announce(this.liveRegion, text);
+            this.dispatchEvent({ type: 'offlineready' });
+        } else if (status.type === 'error') {
+            text = this.t('offline.failed', { message: status.message });
+            console.warn('Offline download failed:', status.message);
+        }
+        if (!text || !this.offlineStatus) return;
+        
+        this.offlineStatus.querySelector('.offline-text').textContent = text;
+        this.offlineStatus.classList.remove('hidden');
+        this.offlineStatus.classList.toggle('downloading', status.type === 'progress');
+        this.offlineStatus.classList.toggle('error', status.type === 'error');
+        
+        // Progress stays up until the download ends
+        clearTimeout(this.offlineStatusTimer);
+        if (status.type !== 'progress') {
+            this.offlineStatusTimer = setTimeout(() => {
+                this.offlineStatus.classList.add('hidden');
+            }, status.type === 'error' ? 8000 : 4000);
+        }
+    }
+    
+    /**
+     * Export scenes.json with the current scene's depth settings and view to console
+     */
+    exportSceneConfig() {
+        // The current view becomes the scene's initial view
+        this.captureSceneSettings(true);
+        
+        const json = JSON.stringify(this.scenesData, null, 2);
+        console.log('Scene configuration export:');
+        console.log(json);
         
         // Also copy to clipboard if possible
         if (navigator.clipboard) {
-            navigator.clipboard.writeText(JSON.stringify(exportData, null, 2));
-            console.log('Hotspots copied to clipboard');
+            navigator.clipboard.writeText(json);
+            console.log('Scene configuration copied to clipboard');
         }
     }
     
@@ -879,17 +3016,28 @@ class DepthTour {
      */
     updateHUD() {
         if (this.hudElements.sceneName && this.currentScene && this.scenesData) {
-            const sceneTitle = this.scenesData.scenes[this.currentScene]?.title || this.currentScene;
-            this.hudElements.sceneName.textContent = `Scene: ${sceneTitle}`;
+            const sceneTitle = this.localize(this.scenesData.scenes[this.currentScene]?.title) || this.currentScene;
+            this.hudElements.sceneName.textContent = this.t('hud.scene', { title: sceneTitle });
         }
         
         if (this.hudElements.depthScale) {
-            this.hudElements.depthScale.textContent = `Depth Scale: ${this.depthScale.toFixed(1)} | Exposure: ${this.exposure.toFixed(1)}`;
+            let depthText = this.depthEncoding === DepthEncoding.NORMALIZED
+                ? this.t('hud.depthScale', { value: this.depthScale.toFixed(1) })
+                : this.t('hud.depthEncoding', { encoding: this.depthEncoding });
+            depthText += ` | ${this.t('hud.exposure', { value: this.exposure.toFixed(1) })}`;
+            if (this.disocclusionMode !== DisocclusionMode.OFF) {
+                depthText += ` | ${this.t('hud.edges', { mode: this.getDisocclusionModeName(), threshold: this.edgeThreshold.toFixed(2) })}`;
+                depthText += this.holeFill ? ` ${this.t('hud.holeFill')}` : '';
+            }
+            this.hudElements.depthScale.textContent = depthText;
+        }
+        
+        if (this.hudElements.headMotionStatus) {
+            this.hudElements.headMotionStatus.textContent = this.headMotion.enabled ? this.t('hud.headMotion') : '';
         }
         
         if (this.hudElements.authoringStatus) {
-            this.hudElements.authoringStatus.textContent = this.isAuthoringMode ? 
-                'AUTHORING MODE - Click to place hotspots, Press E to export' : '';
+            this.hudElements.authoringStatus.textContent = this.isAuthoringMode ? this.t('hud.authoring') : '';
         }
     }
     
@@ -930,14 +3078,32 @@ class DepthTour {
     }
     
     /**
-     * Show info popup
+     * Show a hotspot's title and rendered content in the popup
      */
-    showInfoPopup(title, content) {
-        if (this.infoPopup) {
-            const contentElement = document.getElementById('info-content');
-            contentElement.innerHTML = `<h3>${title}</h3><p>${content}</p>`;
-            this.infoPopup.classList.remove('hidden');
+    showHotspotPopup(hotspotData, body) {
+        if (!this.infoPopup) return;
+        
+        const title = document.createElement('h3');
+        title.textContent = hotspotData.title || this.t('hotspot.untitled');
+        this.infoContent.replaceChildren(title, body);
+        this.infoPopup.setAttribute('aria-label', title.textContent);
+        this.infoPopup.classList.remove('hidden');
+        
+        this.openHotspotId = hotspotData.id || null;
+        this.updateHistory('replace');
+    }
+    
+    /**
+     * Move keyboard focus into the open popup, remembering where it came from.
+     * Only for popups the user opened; the guided tour and URLs leave focus alone.
+     */
+    focusInfoPopup() {
+        if (!this.infoPopup || this.infoPopup.classList.contains('hidden')) return;
+        
+        if (!this.infoPopup.contains(document.activeElement)) {
+            this.popupReturnFocus = document.activeElement;
         }
+        this.infoPopup.querySelector('.info-close').focus();
     }
     
     /**
@@ -945,46 +3111,107 @@ class DepthTour {
      */
     hideInfoPopup() {
         if (this.infoPopup) {
+            const hadFocus = this.infoPopup.contains(document.activeElement);
             this.infoPopup.classList.add('hidden');
+            
+            // Stop popup media before it is thrown away
+            this.infoContent.querySelectorAll('video, audio').forEach(media => media.pause());
+            this.infoContent.replaceChildren();
+            
+            // Back to the hotspot that opened it, or the tour if that is gone or off screen
+            if (hadFocus) {
+                const returnFocus = this.popupReturnFocus;
+                if (returnFocus && returnFocus.isConnected) {
+                    returnFocus.focus({ preventScroll: true });
+                }
+                if (document.activeElement !== returnFocus) {
+                    this.root.focus({ preventScroll: true });
+                }
+            }
+            this.popupReturnFocus = null;
+        }
+        if (this.openHotspotId) {
+            this.openHotspotId = null;
+            this.updateHistory('replace');
         }
     }
     
     /**
-     * Show error message
+     * Report an error to 'error' listeners and, if enabled, the user
      */
-    showError(message) {
-        console.error(message);
-        // Could implement a proper error UI here
-        alert(message);
+    showError(message, error = null) {
+        console.error(message, error || '');
+        this.dispatchEvent({ type: 'error', message: message, error: error });
+        if (this.ui.errors) {
+            // Include the details, e.g. the problems found in scenes.json
+            alert(error && error.message ? `${message}\n\n${error.message}` : message);
+        }
     }
     
     /**
-     * Handle window resize
+     * Handle resizes of the tour element
      */
-    onWindowResize() {
-        this.camera.aspect = window.innerWidth / window.innerHeight;
+    onResize() {
+        const { width, height } = this.getSize();
+        // Hidden tours have no size, and the headset owns the drawing buffer in XR
+        if (width === 0 || height === 0 || this.renderer.xr.isPresenting) return;
+        
+        this.camera.aspect = width / height;
         this.camera.updateProjectionMatrix();
         
-        this.renderer.setSize(window.innerWidth, window.innerHeight);
-        this.css2dRenderer.setSize(window.innerWidth, window.innerHeight);
+        this.renderer.setSize(width, height);
+        this.css2dRenderer.setSize(width, height);
+        this.transitionRenderer.setSize(width, height);
+        
+        // Label sizes depend on the viewport's font sizes
+        this.hotspots.forEach(hotspot => {
+            hotspot.labelSize = null;
+        });
     }
     
     /**
      * Animation loop
      */
     animate() {
-        requestAnimationFrame(() => this.animate());
+        // setAnimationLoop keeps rendering inside XR sessions, where requestAnimationFrame stops
+        this.renderer.setAnimationLoop(() => this.render());
+    }
+    
+    /**
+     * Render a single frame
+     */
+    render() {
+        const isPresenting = this.renderer.xr.isPresenting;
+        const deltaTime = this.clock.getDelta();
         
-        // Update controls
-        this.controls.update();
+        // Transitions take over camera and rendering until they finish
+        if (this.transition && !isPresenting) {
+            this.updateTransition(deltaTime);
+            return;
+        }
+        
+        // Update head motion and controls (the headset drives the camera in XR)
+        if (!isPresenting) {
+            this.updateHeadMotion(deltaTime);
+            this.updateGyroLook();
+            this.guidedTour.update(deltaTime);
+            this.controls.update();
+        }
+        
+        // Stream the tiles the camera now looks at
+        if (this.tiledPanorama) {
+            this.tiledPanorama.update(this.camera, this.seamFix);
+        }
         
         // Render
         this.renderer.render(this.scene, this.camera);
-        this.css2dRenderer.render(this.scene, this.camera);
+        if (!isPresenting) {
+            this.renderHotspotLabels();
+            if (this.minimap) {
+                this.minimap.update();
+            }
+        }
     }
 }
 
-// Initialize application when DOM is loaded
-document.addEventListener('DOMContentLoaded', () => {
-    new DepthTour();
-});
+export { registerHotspotType } from './hotspotTypes.js';
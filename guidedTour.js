@@ -0,0 +1,380 @@
+/**
+ * Depth Tour Guided Tour
+ *
+ * Plays the "guidedTour" steps of scenes.json as a presentation. Each step
+ * goes to a scene, moves the camera to a view, can open a hotspot, shows
+ * narration text and plays narration audio, then waits before the next
+ * step. Dragging the view pauses playback. In authoring mode the current
+ * view can be recorded as a new step.
+ */
+
+import { easeInOutCubic } from './transitions.js';
+import { renderContent } from './hotspotContent.js';
+
+// Seconds a step stays when it sets no duration (narration audio may keep it longer)
+const DEFAULT_STEP_DURATION = 6;
+
+// Camera moves within a scene take longer the farther they turn, within these limits
+const MOVE_SPEED = 60; // degrees per second
+const MIN_MOVE_DURATION = 0.8;
+const MAX_MOVE_DURATION = 3;
+
+// Yaw difference in degrees along the shorter way round
+const yawDelta = (from, to) => ((to - from) % 360 + 540) % 360 - 180;
+
+const round = (value) => parseFloat(value.toFixed(1));
+
+/**
+ * Guided tour player bound to a DepthTour instance
+ */
+export class GuidedTour {
+    constructor(tour, options = {}) {
+        this.tour = tour;
+        this.config = null;      // The "guidedTour" object of scenes.json
+        this.index = -1;         // Current step, -1 before the tour starts
+        this.isActive = false;   // Started and not stopped
+        this.isPlaying = false;  // Advancing on its own (false while paused)
+        this.move = null;        // Running camera move
+        this.remaining = 0;      // Seconds left in the current step once the camera arrived
+        this.hasArrived = false;
+        this.stepToken = 0;      // Tells a step's async scene load whether it is still current
+        this.audio = null;       // Narration of the current step
+        this.shownStep = null;   // Step whose text the panel shows
+
+        this.element = null;
+        this.textElement = null;
+        this.counterElement = null;
+        this.toggleButton = null;
+        if (options.controls) {
+            this.buildControls();
+        }
+
+        // Taking over the camera pauses the presentation and ends its camera move
+        tour.controls.addEventListener('start', () => {
+            if (!this.isActive) return;
+            this.pause();
+            if (this.move) {
+                this.arrive();
+            }
+        });
+    }
+
+    /**
+     * Create the start button and playback controls
+     */
+    buildControls() {
+        this.element = this.tour.createOverlay('guided-tour hidden', `
+            <button type="button" class="guided-tour-start" data-action="start" data-i18n="guidedTour.start"></button>
+            <div class="guided-tour-panel">
+                <div class="guided-tour-text"></div>
+                <div class="guided-tour-controls">
+                    <button type="button" data-action="prev" data-i18n-title="guidedTour.previous" data-i18n-label="guidedTour.previous">&#x23EE;</button>
+                    <button type="button" data-action="toggle">&#x23F8;</button>
+                    <button type="button" data-action="next" data-i18n-title="guidedTour.next" data-i18n-label="guidedTour.next">&#x23ED;</button>
+                    <span class="guided-tour-counter"></span>
+                    <button type="button" data-action="stop" data-i18n-title="guidedTour.stop" data-i18n-label="guidedTour.stop">&#x2715;</button>
+                </div>
+            </div>
+        `);
+        this.textElement = this.element.querySelector('.guided-tour-text');
+        // Read each step's narration out to screen readers
+        this.textElement.setAttribute('aria-live', 'polite');
+        this.counterElement = this.element.querySelector('.guided-tour-counter');
+        this.toggleButton = this.element.querySelector('[data-action="toggle"]');
+
+        const actions = {
+            start: () => this.play(),
+            prev: () => this.previous(),
+            toggle: () => this.toggle(),
+            next: () => this.next(),
+            stop: () => this.stop()
+        };
+        this.element.addEventListener('click', (event) => {
+            const button = event.target.closest('[data-action]');
+            if (button && actions[button.dataset.action]) {
+                actions[button.dataset.action]();
+            }
+        });
+    }
+
+    /**
+     * Use the "guidedTour" of a scenes.json config, stopping any tour in progress
+     */
+    setConfig(config) {
+        this.stop();
+        this.config = config.guidedTour || null;
+        this.updateControls();
+    }
+
+    get steps() {
+        return this.config ? this.config.steps : [];
+    }
+
+    /**
+     * Start or resume playback
+     */
+    play() {
+        if (this.steps.length === 0) return;
+
+        this.isPlaying = true;
+        if (!this.isActive || this.index < 0) {
+            this.isActive = true;
+            this.goToStep(0);
+        } else if (this.audio && this.hasArrived && !this.audio.ended) {
+            this.audio.play().catch(() => {});
+        }
+        this.updateControls();
+    }
+
+    /**
+     * Stop advancing, keeping the current step on screen
+     */
+    pause() {
+        this.isPlaying = false;
+        if (this.audio) {
+            this.audio.pause();
+        }
+        this.updateControls();
+    }
+
+    toggle() {
+        if (this.isPlaying) {
+            this.pause();
+        } else {
+            this.play();
+        }
+    }
+
+    next() {
+        if (!this.isActive) return;
+        if (this.index + 1 < this.steps.length) {
+            this.goToStep(this.index + 1);
+        } else if (this.config.loop) {
+            this.goToStep(0);
+        } else {
+            this.finish();
+        }
+    }
+
+    previous() {
+        if (this.isActive) {
+            this.goToStep(Math.max(this.index - 1, 0));
+        }
+    }
+
+    /**
+     * End the tour and hide its controls' panel
+     */
+    stop() {
+        this.stepToken++;
+        this.stopNarration();
+        this.isActive = false;
+        this.isPlaying = false;
+        this.index = -1;
+        this.move = null;
+        this.shownStep = null;
+        this.updateControls();
+    }
+
+    // Last step done: stop and tell listeners
+    finish() {
+        this.stop();
+        this.tour.dispatchEvent({ type: 'guidedtourend' });
+    }
+
+    /**
+     * Show step `index`: change scene or turn the camera, then start its narration
+     */
+    async goToStep(index) {
+        const step = this.steps[index];
+        if (!step) return;
+
+        const token = ++this.stepToken;
+        this.isActive = true;
+        this.index = index;
+        this.move = null;
+        this.hasArrived = false;
+        this.stopNarration();
+        this.tour.hideInfoPopup();
+        this.updateControls();
+        this.tour.dispatchEvent({ type: 'guidedtourstep', index: index, step: step });
+
+        // Only the parts of the view the step sets
+        const view = {};
+        ['yaw', 'pitch', 'fov'].forEach(key => {
+            if (step[key] !== undefined) view[key] = step[key];
+        });
+
+        if (step.scene && step.scene !== this.tour.currentScene) {
+            // Without a transition the tour's default crossfade is used
+            const options = { view: view };
+            if (step.transition) {
+                options.transition = step.transition;
+            }
+            try {
+                await this.tour.goToScene(step.scene, options);
+            } catch (error) {
+                if (token === this.stepToken) this.pause();
+                return;
+            }
+            if (token !== this.stepToken) return;
+
+            // The scene change is ignored while another scene is loading
+            if (this.tour.currentScene !== step.scene) {
+                this.pause();
+                return;
+            }
+            this.arrive();
+        } else {
+            this.startMove(view);
+        }
+    }
+
+    // Animate the camera from the current view to `view`
+    startMove(view) {
+        const from = { ...this.tour.getViewAngles(), fov: this.tour.camera.fov };
+        const to = {
+            yaw: from.yaw + yawDelta(from.yaw, view.yaw ?? from.yaw),
+            pitch: view.pitch ?? from.pitch,
+            fov: view.fov ?? from.fov
+        };
+        const distance = Math.max(Math.abs(to.yaw - from.yaw), Math.abs(to.pitch - from.pitch), Math.abs(to.fov - from.fov));
+        const duration = Math.min(Math.max(distance / MOVE_SPEED, MIN_MOVE_DURATION), MAX_MOVE_DURATION);
+        this.move = { from, to, elapsed: 0, duration };
+    }
+
+    // Camera is at the step's view: open its hotspot, start narration and the countdown
+    arrive() {
+        const step = this.steps[this.index];
+        this.move = null;
+        this.hasArrived = true;
+        this.remaining = step.duration ?? DEFAULT_STEP_DURATION;
+
+        if (step.hotspot) {
+            this.tour.openHotspot(step.hotspot);
+        }
+        const audio = this.tour.localize(step.audio);
+        if (audio) {
+            this.audio = new Audio(audio);
+            if (this.isPlaying) {
+                // Browsers may block audio until the user interacted with the page
+                this.audio.play().catch(error => console.warn('Narration audio blocked:', error.message));
+            }
+        }
+        this.tour.onViewChange();
+    }
+
+    stopNarration() {
+        if (this.audio) {
+            this.audio.pause();
+            this.audio.removeAttribute('src');
+            this.audio = null;
+        }
+    }
+
+    /**
+     * Advance camera moves and step timing, called every frame.
+     * Moves also run while paused so stepping through by hand works.
+     */
+    update(deltaTime) {
+        if (!this.isActive) return;
+
+        if (this.move) {
+            const move = this.move;
+            move.elapsed += Math.min(deltaTime, 0.05);
+            const t = easeInOutCubic(Math.min(move.elapsed / move.duration, 1));
+            const lerp = (key) => move.from[key] + (move.to[key] - move.from[key]) * t;
+
+            this.tour.setViewAngles(lerp('yaw'), lerp('pitch'));
+            this.tour.camera.fov = lerp('fov');
+            this.tour.camera.updateProjectionMatrix();
+
+            if (t >= 1) {
+                this.arrive();
+            }
+            return;
+        }
+
+        if (!this.isPlaying || !this.hasArrived) return;
+
+        // Wait for the step's time and its narration, whichever ends later
+        this.remaining -= deltaTime;
+        const isNarrating = this.audio && !this.audio.paused && !this.audio.ended;
+        if (this.remaining <= 0 && !isNarrating) {
+            this.next();
+        }
+    }
+
+    /**
+     * Authoring: add the current view (and open hotspot) as a step after the current one
+     */
+    recordStep() {
+        const tour = this.tour;
+        const { yaw, pitch } = tour.getViewAngles();
+        const step = {
+            scene: tour.currentScene,
+            yaw: round(yaw),
+            pitch: round(pitch),
+            fov: round(tour.camera.fov)
+        };
+        if (tour.openHotspotId) {
+            step.hotspot = tour.openHotspotId;
+        }
+
+        if (!tour.scenesData.guidedTour) {
+            tour.scenesData.guidedTour = { steps: [] };
+        }
+        const steps = tour.scenesData.guidedTour.steps;
+        const index = this.isActive ? this.index + 1 : steps.length;
+        steps.splice(index, 0, step);
+        this.config = tour.scenesData.guidedTour;
+        if (this.isActive) {
+            this.index = index;
+        }
+        this.updateControls();
+        return index;
+    }
+
+    /**
+     * Reflect the current step and playback state in the controls
+     */
+    updateControls() {
+        if (!this.element) return;
+
+        this.element.classList.toggle('hidden', this.steps.length === 0);
+        this.element.classList.toggle('active', this.isActive);
+        if (!this.isActive) return;
+
+        // Rebuilt only when the step changes, the live region reads every change out
+        const step = this.steps[this.index];
+        if (step && step !== this.shownStep) {
+            this.shownStep = step;
+            const parts = [];
+            if (step.title) {
+                const title = document.createElement('div');
+                title.className = 'guided-tour-title';
+                title.textContent = this.tour.localize(step.title);
+                parts.push(title);
+            }
+            if (step.text) {
+                parts.push(renderContent(this.tour.localize(step.text), 'markdown'));
+            }
+            this.textElement.replaceChildren(...parts);
+            this.textElement.classList.toggle('hidden', parts.length === 0);
+        }
+        this.counterElement.textContent = `${this.index + 1} / ${this.steps.length}`;
+
+        const label = this.tour.t(this.isPlaying ? 'guidedTour.pause' : 'guidedTour.play');
+        this.toggleButton.innerHTML = this.isPlaying ? '&#x23F8;' : '&#x25B6;';
+        this.toggleButton.title = this.tour.t('guidedTour.shortcut', { action: label });
+        this.toggleButton.setAttribute('aria-label', label);
+    }
+
+    /**
+     * Show the current step again, e.g. in a new language
+     */
+    refresh() {
+        this.shownStep = null;
+        this.updateControls();
+    }
+}
@@ -0,0 +1,202 @@
+/**
+ * Depth Tour Head Motion
+ *
+ * Bounded six-degree-of-freedom translation inside the displaced sphere.
+ * Moving the eye away from the sphere center is what makes the depth
+ * displacement visible as parallax on desktop and mobile.
+ */
+
+import * as THREE from 'three';
+
+// Keyboard bindings: key code -> [right, up, forward] direction
+const MOVE_KEYS = {
+    KeyW: [0, 0, 1],
+    KeyS: [0, 0, -1],
+    KeyA: [-1, 0, 0],
+    KeyD: [1, 0, 0]
+};
+
+// Degrees of device tilt that map to the full translation radius
+const GYRO_TILT_RANGE = 30;
+
+/**
+ * Tracks translation input and produces a smoothed, clamped head offset
+ */
+export class HeadMotion {
+    constructor(options = {}) {
+        // Configuration
+        this.radius = options.radius ?? 0.5;          // max distance from center (world units)
+        this.speed = options.speed ?? 0.6;            // keyboard speed (units per second)
+        this.dragSpeed = options.dragSpeed ?? 0.002;  // drag speed (units per pixel)
+        this.smoothing = options.smoothing ?? 10.0;   // follow rate of the offset towards its target
+        this.autoRecenter = options.autoRecenter ?? true;
+        this.recenterDelay = options.recenterDelay ?? 1.5; // idle seconds before recentering
+        this.recenterSpeed = options.recenterSpeed ?? 1.5;
+
+        // State
+        this.enabled = false;
+        this.limit = this.radius;         // effective radius after safety clamping
+        this.offset = new THREE.Vector3(); // current smoothed offset
+        this.target = new THREE.Vector3(); // offset requested by keyboard and drag
+        this.gyroTarget = new THREE.Vector3();
+        this.pressedKeys = new Set();
+        this.isDragging = false;
+        this.lastPointer = new THREE.Vector2();
+        this.idleTime = 0;
+        this.gyroBaseline = null;
+
+        // Scratch vectors
+        this._forward = new THREE.Vector3();
+        this._right = new THREE.Vector3();
+        this._up = new THREE.Vector3();
+        this._desired = new THREE.Vector3();
+    }
+
+    /**
+     * Enable or disable head motion, recentering when disabled
+     */
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        this.pressedKeys.clear();
+        this.isDragging = false;
+        this.gyroBaseline = null;
+        this.gyroTarget.set(0, 0, 0);
+        if (!enabled) {
+            this.target.set(0, 0, 0);
+        }
+    }
+
+    /**
+     * Set the safe radius imposed by the scene geometry
+     */
+    setSafeRadius(safeRadius) {
+        this.limit = Math.max(0, Math.min(this.radius, safeRadius));
+    }
+
+    /**
+     * Request a smooth return to the sphere center
+     */
+    recenter() {
+        this.target.set(0, 0, 0);
+        this.gyroBaseline = null;
+        this.gyroTarget.set(0, 0, 0);
+    }
+
+    /**
+     * Handle key press, returns true if the key was consumed
+     */
+    onKeyDown(event) {
+        if (!this.enabled || !MOVE_KEYS[event.code]) return false;
+        this.pressedKeys.add(event.code);
+        return true;
+    }
+
+    /**
+     * Handle key release
+     */
+    onKeyUp(event) {
+        this.pressedKeys.delete(event.code);
+    }
+
+    /**
+     * Start a translation drag (pointer down with Shift held)
+     */
+    onPointerDown(event) {
+        if (!this.enabled || !event.shiftKey) return false;
+        this.isDragging = true;
+        this.lastPointer.set(event.clientX, event.clientY);
+        return true;
+    }
+
+    /**
+     * Continue a translation drag in the camera's screen plane
+     */
+    onPointerMove(event, camera) {
+        if (!this.isDragging) return;
+
+        const dx = event.clientX - this.lastPointer.x;
+        const dy = event.clientY - this.lastPointer.y;
+        this.lastPointer.set(event.clientX, event.clientY);
+
+        this.updateBasis(camera);
+        this.target.addScaledVector(this._right, dx * this.dragSpeed);
+        this.target.addScaledVector(this._up, -dy * this.dragSpeed);
+        this.target.clampLength(0, this.limit);
+        this.idleTime = 0;
+    }
+
+    /**
+     * End a translation drag
+     */
+    onPointerUp() {
+        this.isDragging = false;
+    }
+
+    /**
+     * Map device tilt relative to the first reading onto a lateral/vertical offset
+     */
+    onDeviceOrientation(event, camera) {
+        if (!this.enabled || event.beta === null || event.gamma === null) return;
+
+        if (!this.gyroBaseline) {
+            this.gyroBaseline = { beta: event.beta, gamma: event.gamma };
+            return;
+        }
+
+        const tiltX = THREE.MathUtils.clamp((event.gamma - this.gyroBaseline.gamma) / GYRO_TILT_RANGE, -1, 1);
+        const tiltY = THREE.MathUtils.clamp((event.beta - this.gyroBaseline.beta) / GYRO_TILT_RANGE, -1, 1);
+
+        this.updateBasis(camera);
+        this.gyroTarget.set(0, 0, 0)
+            .addScaledVector(this._right, tiltX * this.limit)
+            .addScaledVector(this._up, -tiltY * this.limit);
+    }
+
+    /**
+     * Advance the offset by deltaTime seconds and return it
+     */
+    update(deltaTime, camera) {
+        const isActive = this.enabled && (this.pressedKeys.size > 0 || this.isDragging);
+
+        if (this.enabled && this.pressedKeys.size > 0) {
+            this.updateBasis(camera);
+            this.pressedKeys.forEach(code => {
+                const [right, up, forward] = MOVE_KEYS[code];
+                this.target.addScaledVector(this._right, right * this.speed * deltaTime);
+                this.target.addScaledVector(this._up, up * this.speed * deltaTime);
+                this.target.addScaledVector(this._forward, forward * this.speed * deltaTime);
+            });
+        }
+
+        // Drift back to center after a period without input
+        this.idleTime = isActive ? 0 : this.idleTime + deltaTime;
+        if (!this.enabled || (this.autoRecenter && this.idleTime > this.recenterDelay)) {
+            this.target.multiplyScalar(Math.exp(-this.recenterSpeed * deltaTime));
+        }
+
+        // Keep the requested offset inside the safe volume
+        this.target.clampLength(0, this.limit);
+        this._desired.copy(this.target).add(this.gyroTarget).clampLength(0, this.limit);
+
+        // Exponential smoothing towards the desired offset
+        const alpha = 1 - Math.exp(-this.smoothing * deltaTime);
+        this.offset.lerp(this._desired, alpha);
+        this.offset.clampLength(0, this.limit);
+
+        return this.offset;
+    }
+
+    /**
+     * Compute the horizontal forward, right and world-up vectors for the camera
+     */
+    updateBasis(camera) {
+        camera.getWorldDirection(this._forward);
+        this._forward.y = 0;
+        if (this._forward.lengthSq() < 1e-6) {
+            this._forward.set(0, 0, -1);
+        }
+        this._forward.normalize();
+        this._up.set(0, 1, 0);
+        this._right.crossVectors(this._forward, this._up).normalize();
+    }
+}
@@ -0,0 +1,202 @@
+/**
+ * Depth Tour Hotspot Content
+ *
+ * Turns author-provided hotspot text into DOM nodes without ever passing it
+ * to innerHTML: a small markdown subset (bold, italic, links, images, lists)
+ * and an allowlist sanitizer for HTML content. Raw HTML is only inserted when
+ * the embedding app opts in with the tour's "trustedHtml" option.
+ */
+
+// Elements and attributes kept by sanitizeHtml(); everything else is dropped or unwrapped
+const ALLOWED_TAGS = new Set([
+    'a', 'b', 'blockquote', 'br', 'code', 'div', 'em', 'figcaption', 'figure',
+    'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'hr', 'i', 'img', 'li', 'ol', 'p',
+    'pre', 's', 'small', 'span', 'strong', 'sub', 'sup', 'u', 'ul'
+]);
+const ALLOWED_ATTRIBUTES = {
+    a: ['href', 'title'],
+    img: ['src', 'alt', 'title', 'width', 'height']
+};
+
+// Elements whose content is dropped along with them instead of being unwrapped
+const DROPPED_TAGS = new Set(['script', 'style', 'template', 'iframe', 'object', 'embed', 'noscript', 'svg', 'math']);
+
+// Inline markdown: image, link, bold, italic
+const INLINE_PATTERN = /!\[([^\]]*)\]\(([^)\s]+)\)|\[([^\]]+)\]\(([^)\s]+)\)|\*\*(.+?)\*\*|\*(.+?)\*/g;
+
+// List item markers: "- item", "* item", "+ item" and "1. item"
+const UNORDERED_ITEM = /^\s*[-*+]\s+(.*)$/;
+const ORDERED_ITEM = /^\s*\d+[.)]\s+(.*)$/;
+
+/**
+ * Whether a link or image URL is safe to use: relative, http(s), mailto for
+ * links and raster data URLs for images. Rejects javascript: and friends.
+ */
+export function isSafeUrl(url, isImage = false) {
+    // Browsers ignore control characters and whitespace inside schemes ("java\tscript:")
+    const cleaned = String(url).replace(/[\u0000- \u007f]/g, '');
+    if (isImage && /^data:image\/(png|jpe?g|gif|webp);/i.test(cleaned)) {
+        return true;
+    }
+
+    let protocol;
+    try {
+        protocol = new URL(cleaned, 'https://relative.invalid/').protocol;
+    } catch (error) {
+        return false;
+    }
+    return protocol === 'https:' || protocol === 'http:' || (!isImage && protocol === 'mailto:');
+}
+
+// Links open outside the tour and don't get access to it
+function openInNewTab(link) {
+    link.target = '_blank';
+    link.rel = 'noopener noreferrer';
+    return link;
+}
+
+// Append markdown inline content to an element
+function appendInline(parent, text) {
+    // Own regex state per call, since bold and link text are rendered recursively
+    const pattern = new RegExp(INLINE_PATTERN);
+    let lastIndex = 0;
+
+    for (let match = pattern.exec(text); match; match = pattern.exec(text)) {
+        parent.appendChild(document.createTextNode(text.slice(lastIndex, match.index)));
+        lastIndex = pattern.lastIndex;
+
+        const [source, imageAlt, imageSrc, linkText, linkHref, bold, italic] = match;
+
+        if (imageSrc !== undefined) {
+            if (isSafeUrl(imageSrc, true)) {
+                const image = document.createElement('img');
+                image.src = imageSrc;
+                image.alt = imageAlt;
+                parent.appendChild(image);
+            } else {
+                parent.appendChild(document.createTextNode(imageAlt));
+            }
+        } else if (linkHref !== undefined) {
+            if (isSafeUrl(linkHref)) {
+                const link = openInNewTab(document.createElement('a'));
+                link.href = linkHref;
+                appendInline(link, linkText);
+                parent.appendChild(link);
+            } else {
+                appendInline(parent, linkText);
+            }
+        } else if (bold !== undefined) {
+            const strong = document.createElement('strong');
+            appendInline(strong, bold);
+            parent.appendChild(strong);
+        } else if (italic !== undefined) {
+            const em = document.createElement('em');
+            appendInline(em, italic);
+            parent.appendChild(em);
+        } else {
+            parent.appendChild(document.createTextNode(source));
+        }
+    }
+
+    parent.appendChild(document.createTextNode(text.slice(lastIndex)));
+}
+
+/**
+ * Render the markdown subset into a container element.
+ *
+ * Blank lines separate paragraphs, single line breaks are kept, "-"/"*"/"1."
+ * lines form lists. Any HTML in the text is shown as text.
+ */
+export function renderMarkdown(text) {
+    const container = document.createElement('div');
+    container.className = 'hotspot-text';
+
+    let block = null; // Current paragraph or list element
+    String(text ?? '').replace(/\r\n?/g, '\n').split('\n').forEach(line => {
+        const unordered = line.match(UNORDERED_ITEM);
+        const ordered = !unordered && line.match(ORDERED_ITEM);
+
+        if (!line.trim()) {
+            block = null;
+        } else if (unordered || ordered) {
+            const listTag = unordered ? 'UL' : 'OL';
+            if (!block || block.tagName !== listTag) {
+                block = container.appendChild(document.createElement(listTag.toLowerCase()));
+            }
+            const item = block.appendChild(document.createElement('li'));
+            appendInline(item, (unordered || ordered)[1]);
+        } else {
+            if (!block || block.tagName !== 'P') {
+                block = container.appendChild(document.createElement('p'));
+            } else {
+                block.appendChild(document.createElement('br'));
+            }
+            appendInline(block, line);
+        }
+    });
+
+    return container;
+}
+
+// Copy the allowed parts of a parsed node tree into the live document
+function copySanitized(source, target) {
+    source.childNodes.forEach(node => {
+        if (node.nodeType === Node.TEXT_NODE) {
+            target.appendChild(document.createTextNode(node.textContent));
+            return;
+        }
+        if (node.nodeType !== Node.ELEMENT_NODE) return;
+
+        const tag = node.tagName.toLowerCase();
+        if (DROPPED_TAGS.has(tag)) return;
+
+        // Unknown elements are unwrapped so their text survives
+        if (!ALLOWED_TAGS.has(tag)) {
+            copySanitized(node, target);
+            return;
+        }
+
+        const element = document.createElement(tag);
+        if (tag === 'a') {
+            openInNewTab(element);
+        }
+        (ALLOWED_ATTRIBUTES[tag] || []).forEach(name => {
+            const value = node.getAttribute(name);
+            if (value === null) return;
+            if ((name === 'href' || name === 'src') && !isSafeUrl(value, name === 'src')) return;
+            element.setAttribute(name, value);
+        });
+
+        copySanitized(node, element);
+        target.appendChild(element);
+    });
+}
+
+/**
+ * Render HTML through an allowlist: formatting, lists, links and images are
+ * kept, scripts, styles, event handlers and unsafe URLs are removed.
+ */
+export function sanitizeHtml(html) {
+    // DOMParser documents are inert: scripts don't run and images don't load
+    const parsed = new DOMParser().parseFromString(String(html ?? ''), 'text/html');
+    const container = document.createElement('div');
+    copySanitized(parsed.body, container);
+    return container;
+}
+
+/**
+ * Render hotspot content in the given format ('markdown' or 'html').
+ * HTML is sanitized unless the tour was created with trustedHtml: true.
+ */
+export function renderContent(text, format = 'markdown', trustedHtml = false) {
+    if (format !== 'html') {
+        return renderMarkdown(text);
+    }
+    if (!trustedHtml) {
+        return sanitizeHtml(text);
+    }
+
+    const container = document.createElement('div');
+    container.innerHTML = String(text ?? '');
+    return container;
+}
@@ -0,0 +1,397 @@
+/**
+ * Depth Tour Hotspot Editor
+ *
+ * Side panel for authoring mode: select, edit, drag, delete hotspots,
+ * with undo/redo for every change. Text fields edit the tour's current
+ * language and keep the text of every other language.
+ */
+
+import { TransitionType } from './transitions.js';
+import { getHotspotType, getHotspotTypeNames } from './hotspotTypes.js';
+import { LOCALIZED_HOTSPOT_FIELDS, localize, setLocalized } from './i18n.js';
+import { HOTSPOT_UV_VERSION } from './hotspotUv.js';
+
+// Type-specific fields; each type's definition lists the ones it uses
+const TYPE_FIELDS = ['target', 'transition', 'content', 'src', 'url', 'html'];
+
+// Deep copy of hotspot data, so commands never share objects with live hotspots
+function cloneData(data) {
+    return JSON.parse(JSON.stringify(data));
+}
+
+/**
+ * Editor panel bound to a DepthTour instance
+ */
+export class HotspotEditor {
+    constructor(tour) {
+        this.tour = tour;
+        this.selectedId = null;
+        this.undoStack = [];
+        this.redoStack = [];
+        this.drag = null;
+
+        this.panel = null;
+        this.fields = {};
+
+        this.buildPanel();
+
+        // Removed with the tour's other window listeners when it is destroyed
+        const signal = tour.abortController.signal;
+        window.addEventListener('pointermove', (event) => this.onDragMove(event), { signal });
+        window.addEventListener('pointerup', (event) => this.onDragEnd(event), { signal });
+    }
+
+    /**
+     * Create the panel DOM
+     */
+    buildPanel() {
+        this.panel = document.createElement('div');
+        this.panel.className = 'hotspot-editor hidden';
+        this.panel.innerHTML = `
+            <div class="editor-header">
+                <span class="editor-title"><span data-i18n="editor.title"></span> <span class="editor-language"></span></span>
+                <button type="button" data-action="undo" data-i18n="editor.undo" data-i18n-title="editor.undoTitle"></button>
+                <button type="button" data-action="redo" data-i18n="editor.redo" data-i18n-title="editor.redoTitle"></button>
+                <button type="button" data-action="save" data-i18n="editor.save" data-i18n-title="editor.saveTitle"></button>
+            </div>
+            <div class="editor-hint" data-i18n="editor.hint"></div>
+            <form class="editor-form" autocomplete="off">
+                <label><span data-i18n="editor.id"></span> <input name="id" type="text"></label>
+                <label><span data-i18n="editor.hotspotTitle"></span> <input name="title" type="text"></label>
+                <label><span data-i18n="editor.type"></span> <select name="type"></select></label>
+                <label data-field="target"><span data-i18n="editor.target"></span> <select name="target"></select></label>
+                <label data-field="transition"><span data-i18n="editor.transition"></span> <select name="transition"></select></label>
+                <label data-field="src"><span data-i18n="editor.src"></span> <input name="src" type="text"></label>
+                <label data-field="url"><span data-i18n="editor.url"></span> <input name="url" type="url"></label>
+                <label data-field="content"><span data-i18n="editor.content"></span> <textarea name="content" rows="5"></textarea></label>
+                <label data-field="html"><span data-i18n="editor.html"></span> <textarea name="html" rows="5"></textarea></label>
+                <button type="button" data-action="delete" class="editor-delete" data-i18n="editor.delete"></button>
+            </form>
+        `;
+
+        const form = this.panel.querySelector('.editor-form');
+        ['id', 'title', 'type', ...TYPE_FIELDS].forEach(name => {
+            this.fields[name] = form.elements.namedItem(name);
+        });
+        this.form = form;
+        this.hint = this.panel.querySelector('.editor-hint');
+        this.languageLabel = this.panel.querySelector('.editor-language');
+
+        this.fillOptions(this.fields.transition, Object.values(TransitionType));
+
+        // One undo step per committed field change
+        form.addEventListener('change', (event) => this.onFieldChange(event.target));
+        form.addEventListener('submit', (event) => event.preventDefault());
+
+        this.panel.querySelector('[data-action="undo"]').addEventListener('click', () => this.undo());
+        this.panel.querySelector('[data-action="redo"]').addEventListener('click', () => this.redo());
+        this.panel.querySelector('[data-action="delete"]').addEventListener('click', () => this.deleteSelected());
+        this.panel.querySelector('[data-action="save"]').addEventListener('click', () => this.tour.saveTour());
+
+        this.tour.root.appendChild(this.panel);
+        this.refresh();
+    }
+
+    /**
+     * Replace the options of a select element
+     */
+    fillOptions(select, values) {
+        select.innerHTML = '';
+        values.forEach(value => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = value;
+            select.appendChild(option);
+        });
+    }
+
+    /**
+     * Show or hide the panel
+     */
+    setVisible(visible) {
+        this.panel.classList.toggle('hidden', !visible);
+        if (!visible) {
+            this.select(null);
+        }
+    }
+
+    /**
+     * Forget selection and history, e.g. after a scene change
+     */
+    reset() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.drag = null;
+        this.select(null);
+    }
+
+    /**
+     * Select a hotspot by id (null clears the selection)
+     */
+    select(hotspotId) {
+        this.selectedId = hotspotId;
+        this.refresh();
+    }
+
+    /**
+     * Sync the form and selection highlight with the tour's hotspots
+     */
+    refresh() {
+        const hotspot = this.getSelectedHotspot();
+        if (!hotspot) {
+            this.selectedId = null;
+        }
+
+        this.tour.hotspots.forEach(item => {
+            item.element.classList.toggle('selected', item === hotspot);
+        });
+
+        this.form.classList.toggle('hidden', !hotspot);
+        this.hint.classList.toggle('hidden', !!hotspot);
+        this.panel.querySelector('[data-action="undo"]').disabled = this.undoStack.length === 0;
+        this.panel.querySelector('[data-action="redo"]').disabled = this.redoStack.length === 0;
+        // Only worth pointing out when the tour has several languages
+        this.languageLabel.textContent = this.tour.getLanguages().length > 1 ? `(${this.tour.language})` : '';
+
+        if (!hotspot) return;
+
+        const data = hotspot.data;
+        const text = (field) => localize(data[field], this.tour.language, this.tour.defaultLanguage) || '';
+        const sceneIds = Object.keys(this.tour.scenesData ? this.tour.scenesData.scenes : {});
+        this.fillOptions(this.fields.target, sceneIds);
+        // Types can be registered at any time, so list them on every refresh
+        this.fillOptions(this.fields.type, getHotspotTypeNames());
+
+        this.fields.id.value = data.id || '';
+        this.fields.title.value = text('title');
+        this.fields.type.value = data.type || 'info';
+        this.fields.target.value = data.target || '';
+        this.fields.transition.value = data.transition || TransitionType.CROSSFADE;
+        this.fields.content.value = text('content');
+        this.fields.src.value = data.src || '';
+        this.fields.url.value = data.url || '';
+        this.fields.html.value = text('html');
+
+        // Only show the fields that apply to the selected type
+        const hotspotType = getHotspotType(this.fields.type.value);
+        const typeFields = hotspotType ? hotspotType.fields : [];
+        this.form.querySelectorAll('[data-field]').forEach(label => {
+            label.classList.toggle('hidden', !typeFields.includes(label.dataset.field));
+        });
+    }
+
+    /**
+     * The tour hotspot currently selected, if any
+     */
+    getSelectedHotspot() {
+        if (!this.selectedId) return null;
+        return this.tour.hotspots.find(hotspot => hotspot.data.id === this.selectedId) || null;
+    }
+
+    /**
+     * Commit a single edited field
+     */
+    onFieldChange(field) {
+        const hotspot = this.getSelectedHotspot();
+        if (!hotspot) return;
+
+        const data = cloneData(hotspot.data);
+        const value = field.value;
+
+        if (field.name === 'id') {
+            const trimmed = value.trim();
+            const isTaken = this.tour.hotspots.some(item => item !== hotspot && item.data.id === trimmed);
+            if (!trimmed || isTaken) {
+                console.warn('Hotspot id must be unique and non-empty:', trimmed);
+                this.refresh();
+                return;
+            }
+            data.id = trimmed;
+        } else if (field.name === 'type') {
+            data.type = value;
+            // Give new links a valid target right away
+            if (value === 'link' && !data.target) {
+                data.target = Object.keys(this.tour.scenesData.scenes)[0];
+            }
+        } else if (LOCALIZED_HOTSPOT_FIELDS.includes(field.name)) {
+            data[field.name] = setLocalized(data[field.name], this.tour.language, value, this.tour.defaultLanguage);
+        } else {
+            data[field.name] = value;
+        }
+
+        this.updateHotspot(hotspot.data.id, data);
+    }
+
+    /**
+     * Add a new hotspot and select it
+     */
+    createHotspot(data) {
+        this.execute(null, { data: cloneData(data), index: this.tour.hotspots.length });
+        this.select(data.id);
+    }
+
+    /**
+     * Replace a hotspot's data
+     */
+    updateHotspot(hotspotId, data) {
+        const index = this.tour.hotspots.findIndex(hotspot => hotspot.data.id === hotspotId);
+        if (index === -1) return;
+
+        const before = { data: cloneData(this.tour.hotspots[index].data), index };
+        this.execute(before, { data: cloneData(data), index });
+        this.select(data.id);
+    }
+
+    /**
+     * Delete the selected hotspot
+     */
+    deleteSelected() {
+        const hotspot = this.getSelectedHotspot();
+        if (!hotspot) return;
+
+        const index = this.tour.hotspots.indexOf(hotspot);
+        this.execute({ data: cloneData(hotspot.data), index }, null);
+        this.select(null);
+    }
+
+    /**
+     * Apply a change and record it for undo
+     */
+    execute(before, after) {
+        this.apply(before, after);
+        this.undoStack.push({ before, after });
+        this.redoStack = [];
+        this.refresh();
+    }
+
+    /**
+     * Revert the last change
+     */
+    undo() {
+        const command = this.undoStack.pop();
+        if (!command) return;
+
+        this.apply(command.after, command.before);
+        this.redoStack.push(command);
+        this.selectAfterHistoryStep(command.before);
+    }
+
+    /**
+     * Re-apply the last undone change
+     */
+    redo() {
+        const command = this.redoStack.pop();
+        if (!command) return;
+
+        this.apply(command.before, command.after);
+        this.undoStack.push(command);
+        this.selectAfterHistoryStep(command.after);
+    }
+
+    /**
+     * Select the hotspot a history step left behind
+     */
+    selectAfterHistoryStep(state) {
+        this.select(state ? state.data.id : null);
+    }
+
+    /**
+     * Move the tour from one hotspot state to another ({ data, index } or null)
+     */
+    apply(from, to) {
+        if (from) {
+            this.tour.removeHotspot(from.data.id);
+        }
+        if (to) {
+            this.tour.createHotspot(cloneData(to.data), to.index);
+        }
+    }
+
+    /**
+     * Start dragging a hotspot across the depth mesh
+     */
+    beginDrag(hotspot, event) {
+        event.preventDefault();
+        event.stopPropagation();
+
+        this.select(hotspot.data.id);
+        this.drag = {
+            hotspotId: hotspot.data.id,
+            startX: event.clientX,
+            startY: event.clientY,
+            moved: false,
+            surface: null
+        };
+    }
+
+    /**
+     * Preview the dragged hotspot on the surface under the pointer
+     */
+    onDragMove(event) {
+        if (!this.drag) return;
+
+        const distance = Math.hypot(event.clientX - this.drag.startX, event.clientY - this.drag.startY);
+        if (!this.drag.moved && distance < 4) return;
+        this.drag.moved = true;
+
+        const surface = this.tour.pickSurface(event.clientX, event.clientY);
+        const hotspot = this.getSelectedHotspot();
+        if (!surface || !hotspot) return;
+
+        this.drag.surface = surface;
+        hotspot.css2dObject.position.copy(surface.position);
+        hotspot.sprite.position.copy(surface.position);
+    }
+
+    /**
+     * Commit the drag as a single undoable move
+     */
+    onDragEnd() {
+        const drag = this.drag;
+        this.drag = null;
+        if (!drag || !drag.moved || !drag.surface) return;
+
+        const hotspot = this.getSelectedHotspot();
+        if (!hotspot) return;
+
+        const { position, uv, depth } = drag.surface;
+        this.updateHotspot(drag.hotspotId, {
+            ...cloneData(hotspot.data),
+            position: [position.x, position.y, position.z],
+            uv: uv,
+            uvVersion: HOTSPOT_UV_VERSION,
+            d: depth
+        });
+    }
+
+    /**
+     * Handle editor shortcuts, returns true if the key was consumed
+     */
+    onKeyDown(event) {
+        const isModifier = event.ctrlKey || event.metaKey;
+
+        if (isModifier && event.code === 'KeyZ') {
+            event.preventDefault();
+            if (event.shiftKey) {
+                this.redo();
+            } else {
+                this.undo();
+            }
+            return true;
+        }
+
+        if (isModifier && event.code === 'KeyY') {
+            event.preventDefault();
+            this.redo();
+            return true;
+        }
+
+        if ((event.code === 'Delete' || event.code === 'Backspace') && this.selectedId) {
+            event.preventDefault();
+            this.deleteSelected();
+            return true;
+        }
+
+        return false;
+    }
+}
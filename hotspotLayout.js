@@ -0,0 +1,96 @@
+/**
+ * Depth Tour Hotspot Layout
+ *
+ * How the CSS hotspot labels appear from the current eye position: dimmed
+ * or hidden while the depth surface lies between them and the camera,
+ * smaller and fainter the farther away they are, and hidden where a label
+ * that matters more already covers their place on screen. Like
+ * mobileControls.js this module only computes; the tour styles the labels.
+ */
+
+import * as THREE from 'three';
+import { spherePositionToUv } from './tessellation.js';
+
+/**
+ * What happens to hotspots the depth surface hides from the camera
+ */
+export const HotspotOcclusion = {
+    DIM: 'dim',    // Shown faded, still clickable
+    HIDE: 'hide',  // Not shown (dimmed instead in authoring mode)
+    OFF: 'off'     // Always drawn on top
+};
+
+// Opacity factor of labels behind the depth surface (HotspotOcclusion.DIM)
+export const OCCLUDED_OPACITY = 0.3;
+
+// Points checked along the line of sight. The last stretch is left out since
+// the hotspot itself sits on the surface there.
+const OCCLUSION_SAMPLES = 32;
+const OCCLUSION_END = 0.92;
+// How far beyond the surface, as a fraction of its distance, a point must be to count as behind it
+const OCCLUSION_TOLERANCE = 0.03;
+
+// Label scale and opacity at the scene's nearest and farthest surface distance
+const NEAR_SCALE = 1.15;
+const FAR_SCALE = 0.7;
+const FAR_OPACITY = 0.75;
+
+// Pixels kept between decluttered labels
+const LABEL_MARGIN = 4;
+
+const _point = new THREE.Vector3();
+
+/**
+ * Whether the depth surface crosses the line of sight from `from` to `to`.
+ * surfaceRadius(u, v) is the surface's distance from the sphere center at
+ * panorama coordinates, or null where it is unknown.
+ */
+export function isOccluded(from, to, surfaceRadius) {
+    for (let i = 1; i <= OCCLUSION_SAMPLES; i++) {
+        _point.lerpVectors(from, to, i / OCCLUSION_SAMPLES * OCCLUSION_END);
+        const { u, v } = spherePositionToUv(_point);
+        const radius = surfaceRadius(u, v);
+        if (radius !== null && _point.length() > radius * (1 + OCCLUSION_TOLERANCE)) {
+            return true;
+        }
+    }
+    return false;
+}
+
+/**
+ * Label { scale, opacity } for a hotspot `distance` away, given the scene's
+ * { min, max } surface distance. Apparent size falls with the distance
+ * ratio, so labels are spread on a logarithmic scale.
+ */
+export function getDistanceStyle(distance, range) {
+    const min = Math.max(range.min, 1e-3);
+    const ratio = range.max / min;
+    const t = ratio > 1 ? THREE.MathUtils.clamp(Math.log(distance / min) / Math.log(ratio), 0, 1) : 0;
+    return {
+        scale: THREE.MathUtils.lerp(NEAR_SCALE, FAR_SCALE, t),
+        opacity: THREE.MathUtils.lerp(1, FAR_OPACITY, t)
+    };
+}
+
+/**
+ * Labels to hide so that no two shown ones overlap. `labels` are
+ * { x, y, width, height, pinned } screen boxes centered on (x, y), most
+ * important first; pinned labels are always shown. Returns a Set of the
+ * labels to hide.
+ */
+export function declutterLabels(labels) {
+    const shown = [];
+    const hidden = new Set();
+    const overlap = (a, b) =>
+        Math.abs(a.x - b.x) * 2 < a.width + b.width + LABEL_MARGIN * 2 &&
+        Math.abs(a.y - b.y) * 2 < a.height + b.height + LABEL_MARGIN * 2;
+
+    labels.forEach(label => {
+        if (!label.pinned && shown.some(other => overlap(label, other))) {
+            hidden.add(label);
+        } else {
+            shown.push(label);
+        }
+    });
+    return hidden;
+}
@@ -0,0 +1,206 @@
+/**
+ * Depth Tour Hotspot Types
+ *
+ * What a hotspot does when it is clicked, keyed by its "type" field.
+ * The built-in types are registered here; apps add their own with
+ * registerHotspotType() without changing DepthTour.
+ */
+
+import * as THREE from 'three';
+import { TransitionType } from './transitions.js';
+import { renderContent, isSafeUrl } from './hotspotContent.js';
+
+// Registered type definitions by name
+const hotspotTypes = new Map();
+
+/**
+ * Register a hotspot type, replacing any type of the same name.
+ *
+ * A definition may provide:
+ * - label: how screen readers announce the type, e.g. 'Link' (defaults to the name)
+ * - fields: hotspot fields the authoring editor shows for the type
+ *   ('target', 'transition', 'content', 'src', 'url', 'html')
+ * - render(data, tour): element shown in the hotspot popup
+ * - activate(hotspot, tour): click handler, defaults to opening the popup with render()
+ * - decorate(element, data): adjust the hotspot's marker element
+ * - dispose(hotspot, tour): release resources when the hotspot is removed
+ */
+export function registerHotspotType(name, definition) {
+    hotspotTypes.set(name, { fields: [], ...definition });
+}
+
+/**
+ * Definition of a registered type, or null
+ */
+export function getHotspotType(name) {
+    return hotspotTypes.get(name) || null;
+}
+
+/**
+ * Names of all registered types, built-in types first
+ */
+export function getHotspotTypeNames() {
+    return [...hotspotTypes.keys()];
+}
+
+// Author text of a hotspot, in its "format" (markdown by default)
+function renderText(text, data, tour) {
+    return renderContent(text, data.format, tour.options.trustedHtml);
+}
+
+// Media URL of a hotspot, or null when it is missing or unsafe (javascript: and the like)
+function getMediaSource(data, isImage = false) {
+    if (!data.src) return null;
+    if (!isSafeUrl(data.src, isImage)) {
+        console.warn('Refusing unsafe media URL of hotspot', data.id, data.src);
+        return null;
+    }
+    return data.src;
+}
+
+// Popup body with optional caption text below the media element
+function createFigure(media, data, tour) {
+    const figure = document.createElement('figure');
+    figure.className = 'hotspot-media';
+    figure.appendChild(media);
+    if (data.content) {
+        const figcaption = document.createElement('figcaption');
+        figcaption.appendChild(renderText(data.content, data, tour));
+        figure.appendChild(figcaption);
+    }
+    return figure;
+}
+
+// Jump to another scene
+registerHotspotType('link', {
+    label: 'Link',
+    fields: ['target', 'transition'],
+    activate(hotspot, tour) {
+        const data = hotspot.data;
+        if (data.target && tour.scenesData.scenes[data.target]) {
+            // Failures are reported through the tour's 'error' event
+            tour.goToScene(data.target, {
+                transition: data.transition || TransitionType.CROSSFADE,
+                duration: data.transitionDuration,
+                focus: hotspot.position
+            }).catch(() => {});
+        } else {
+            console.warn('Invalid link target:', data.target);
+        }
+    }
+});
+
+// Text popup
+registerHotspotType('info', {
+    label: 'Information',
+    fields: ['content'],
+    render(data, tour) {
+        return renderText(data.content || tour.t('hotspot.noInformation'), data, tour);
+    }
+});
+
+// Image popup, "content" is shown as the caption
+registerHotspotType('image', {
+    label: 'Image',
+    fields: ['src', 'content'],
+    render(data, tour) {
+        const image = document.createElement('img');
+        const src = getMediaSource(data, true);
+        if (src) {
+            image.src = src;
+        }
+        image.alt = data.title || '';
+        return createFigure(image, data, tour);
+    }
+});
+
+// Video popup, "content" is shown as the caption
+registerHotspotType('video', {
+    label: 'Video',
+    fields: ['src', 'content'],
+    render(data, tour) {
+        const video = document.createElement('video');
+        const src = getMediaSource(data);
+        if (src) {
+            video.src = src;
+        }
+        video.controls = true;
+        video.autoplay = true;
+        video.playsInline = true;
+        return createFigure(video, data, tour);
+    }
+});
+
+// Sound playing from the hotspot's position, louder the closer the viewer is.
+// Clicking toggles playback; "loop" (default true) and "refDistance" (default 1) are optional.
+registerHotspotType('audio', {
+    label: 'Sound',
+    fields: ['src'],
+    activate(hotspot, tour) {
+        if (!hotspot.audio) {
+            const src = getMediaSource(hotspot.data);
+            if (!hotspot.css2dObject || !src) return;
+
+            const media = new Audio();
+            media.crossOrigin = 'anonymous';
+            media.src = src;
+            media.loop = hotspot.data.loop !== false;
+
+            const sound = new THREE.PositionalAudio(tour.getAudioListener());
+            sound.setMediaElementSource(media);
+            sound.setRefDistance(hotspot.data.refDistance ?? 1.0);
+
+            // Follows the hotspot when depth settings or a drag move it
+            hotspot.css2dObject.add(sound);
+            hotspot.audio = { media, sound };
+
+            media.addEventListener('play', () => hotspot.element.classList.add('playing'));
+            media.addEventListener('pause', () => hotspot.element.classList.remove('playing'));
+        }
+
+        // Browsers keep the audio context suspended until a user gesture
+        tour.getAudioListener().context.resume();
+
+        const media = hotspot.audio.media;
+        if (media.paused) {
+            media.play().catch(error => console.warn('Audio playback failed:', error));
+        } else {
+            media.pause();
+        }
+    },
+    dispose(hotspot) {
+        if (!hotspot.audio) return;
+        hotspot.audio.media.pause();
+        hotspot.audio.media.removeAttribute('src');
+        hotspot.audio.sound.disconnect();
+        hotspot.audio.sound.removeFromParent();
+        hotspot.audio = null;
+    }
+});
+
+// External web page in a new tab
+registerHotspotType('url', {
+    label: 'Web page',
+    fields: ['url'],
+    activate(hotspot) {
+        const url = hotspot.data.url;
+        if (!url) {
+            console.warn('URL hotspot without url:', hotspot.data.id);
+        } else if (!isSafeUrl(url)) {
+            console.warn('Refusing unsafe URL of hotspot', hotspot.data.id, url);
+        } else {
+            window.open(url, '_blank', 'noopener');
+        }
+    }
+});
+
+// Popup with authored HTML markup, sanitized unless the tour trusts its content
+registerHotspotType('html', {
+    label: 'Information',
+    fields: ['html'],
+    render(data, tour) {
+        const container = renderContent(data.html, 'html', tour.options.trustedHtml);
+        container.classList.add('hotspot-html');
+        return container;
+    }
+});
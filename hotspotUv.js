@@ -0,0 +1,56 @@
+/**
+ * Depth Tour Hotspot UV Versions
+ *
+ * Hotspot "uv" coordinates first used a longitude convention of their own
+ * (u = 0.5 faced +z) that didn't match the panorama mesh, and "position"
+ * took precedence over them. Since version 2, uv follows the mesh (see
+ * uvToSpherePosition in tessellation.js) and wins over position, so the
+ * hotspot stays on the depth surface. Hotspots with a uv but no "uvVersion"
+ * are version 1: the tour converts them when it loads them, and
+ * `npm run validate-tour -- --fix` rewrites the files.
+ */
+
+import * as THREE from 'three';
+import { spherePositionToUv } from './tessellation.js';
+
+export const HOTSPOT_UV_VERSION = 2;
+
+// Decimals kept in converted coordinates, as in exported hotspots
+const PRECISION = 6;
+
+const round = (value) => parseFloat(value.toFixed(PRECISION));
+
+// Direction of a version 1 uv from the sphere center
+function legacyUvToDirection(u, v) {
+    const phi = (u - 0.5) * 2 * Math.PI;
+    const theta = (v - 0.5) * Math.PI;
+    return new THREE.Vector3(
+        Math.cos(theta) * Math.sin(phi),
+        Math.sin(theta),
+        Math.cos(theta) * Math.cos(phi)
+    );
+}
+
+/**
+ * Whether a hotspot's uv is in an older convention than HOTSPOT_UV_VERSION
+ */
+export function needsUvMigration(data) {
+    return !!data && typeof data === 'object' && Array.isArray(data.uv) && data.uv.length === 2 &&
+        (data.uvVersion ?? 1) < HOTSPOT_UV_VERSION;
+}
+
+/**
+ * Copy of a hotspot with its uv in the current convention, or the hotspot itself when
+ * it needs no migration. Version 1 showed hotspots with a "position" there, so their
+ * uv takes its direction; the others have their version 1 uv converted.
+ */
+export function migrateHotspot(data) {
+    if (!needsUvMigration(data)) return data;
+
+    const position = Array.isArray(data.position) && data.position.length === 3
+        ? new THREE.Vector3(...data.position)
+        : null;
+    const direction = position && position.lengthSq() > 0 ? position : legacyUvToDirection(...data.uv);
+    const { u, v } = spherePositionToUv(direction);
+    return { ...data, uv: [round(u), round(v)], uvVersion: HOTSPOT_UV_VERSION };
+}
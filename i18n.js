@@ -0,0 +1,131 @@
+/**
+ * Depth Tour Localization
+ *
+ * Tour text in scenes.json and hotspots.json is either a plain string or a
+ * map of strings by language:
+ *
+ *   "title": { "en": "Lobby", "de": "Eingangshalle", "pl": "Hol" }
+ *
+ * localize() picks the tour's language, falling back to the default
+ * language and then to any language the map has. The tour's own UI strings
+ * live in uiStrings.js; languages without UI strings use the English ones.
+ */
+
+import { UI_STRINGS } from './uiStrings.js';
+
+export const DEFAULT_LANGUAGE = 'en';
+
+// Hotspot fields that may be localized
+export const LOCALIZED_HOTSPOT_FIELDS = ['title', 'content', 'html'];
+
+/**
+ * Whether a text value is a map of strings by language
+ */
+export function isLocaleMap(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Text of a plain string or locale map in a language; plain strings are returned unchanged
+ */
+export function localize(value, language, defaultLanguage = DEFAULT_LANGUAGE) {
+    if (!isLocaleMap(value)) return value;
+    return value[language] ?? value[defaultLanguage] ?? Object.values(value)[0];
+}
+
+/**
+ * Value with the text for one language replaced, keeping every other language.
+ * A plain string is the default language's text and becomes a map when
+ * another language is edited.
+ */
+export function setLocalized(value, language, text, defaultLanguage = DEFAULT_LANGUAGE) {
+    if (isLocaleMap(value)) {
+        return { ...value, [language]: text };
+    }
+    if (language === defaultLanguage) {
+        return text;
+    }
+    return value ? { [defaultLanguage]: value, [language]: text } : { [language]: text };
+}
+
+/**
+ * Copy of an object with the given fields localized
+ */
+export function localizeFields(data, fields, language, defaultLanguage = DEFAULT_LANGUAGE) {
+    const copy = { ...data };
+    fields.forEach(field => {
+        if (field in copy) {
+            copy[field] = localize(copy[field], language, defaultLanguage);
+        }
+    });
+    return copy;
+}
+
+/**
+ * First of the requested language tags that is available, matching
+ * 'de-AT' to 'de' when there is no exact match. Returns null if none is.
+ */
+export function matchLanguage(requested, available) {
+    const primary = (tag) => tag.toLowerCase().split('-')[0];
+    for (const tag of requested) {
+        if (!tag) continue;
+        const exact = available.find(language => language.toLowerCase() === tag.toLowerCase());
+        if (exact) return exact;
+        const partial = available.find(language => primary(language) === primary(tag));
+        if (partial) return partial;
+    }
+    return null;
+}
+
+// UI strings of a language, by tag or its primary subtag
+function getStrings(language) {
+    return UI_STRINGS[language] || UI_STRINGS[language.toLowerCase().split('-')[0]] || UI_STRINGS[DEFAULT_LANGUAGE];
+}
+
+/**
+ * UI string for a key with {name} placeholders filled in from params.
+ * Missing strings fall back to English, then to `fallback`.
+ */
+export function translate(language, key, params = {}, fallback = key) {
+    const template = getStrings(language)[key] ?? UI_STRINGS[DEFAULT_LANGUAGE][key] ?? fallback;
+    return template.replace(/\{(\w+)\}/g, (match, name) => params[name] ?? match);
+}
+
+/**
+ * UI string in the plural form for count, from keys such as 'scene.loaded.one'
+ * and 'scene.loaded.other'. params.count is set to count.
+ */
+export function translatePlural(language, key, count, params = {}) {
+    const rule = new Intl.PluralRules(language).select(count);
+    const strings = getStrings(language);
+    const pluralKey = strings[`${key}.${rule}`] !== undefined ? `${key}.${rule}` : `${key}.other`;
+    return translate(language, pluralKey, { ...params, count });
+}
+
+/**
+ * Fill in the UI strings of the elements below root marked with
+ * data-i18n (text), data-i18n-title (tooltip) or data-i18n-label (aria-label)
+ */
+export function translateElement(root, language) {
+    root.querySelectorAll('[data-i18n]').forEach(element => {
+        element.textContent = translate(language, element.dataset.i18n);
+    });
+    root.querySelectorAll('[data-i18n-title]').forEach(element => {
+        element.title = translate(language, element.dataset.i18nTitle);
+    });
+    root.querySelectorAll('[data-i18n-label]').forEach(element => {
+        element.setAttribute('aria-label', translate(language, element.dataset.i18nLabel));
+    });
+}
+
+/**
+ * Name of a language in that language, e.g. 'Deutsch' for 'de'
+ */
+export function getLanguageName(language) {
+    try {
+        const name = new Intl.DisplayNames([language], { type: 'language' }).of(language);
+        return name ? name.charAt(0).toLocaleUpperCase(language) + name.slice(1) : language;
+    } catch (error) {
+        return language;
+    }
+}
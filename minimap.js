@@ -0,0 +1,135 @@
+/**
+ * Depth Tour Minimap
+ *
+ * Floor-plan overlay built from the "floorPlan" entries of scenes.json: a
+ * dot for every scene placed on the plan that goes there when clicked, the
+ * current scene highlighted, and a view cone following the camera's yaw.
+ */
+
+// Smallest change in degrees that redraws the view cone
+const CONE_EPSILON = 0.1;
+
+/**
+ * Minimap overlay bound to a DepthTour instance
+ */
+export class Minimap {
+    constructor(tour) {
+        this.tour = tour;
+        this.element = null;
+        this.plan = null;
+        this.cone = null;
+        this.conePath = null;
+        this.dots = new Map(); // Scene id -> dot button
+        this.currentScene = null;
+        this.coneState = { angle: NaN, spread: NaN }; // What the cone was last drawn with
+    }
+
+    /**
+     * Build the overlay for a scenes.json config; tours without a floor plan get none
+     */
+    setConfig(config) {
+        if (this.element) {
+            this.element.remove();
+            this.element = null;
+            this.dots.clear();
+        }
+        if (!config.floorPlan) return;
+
+        this.element = this.tour.createOverlay('minimap', `
+            <div class="minimap-plan">
+                <img class="minimap-image" draggable="false">
+                <svg class="minimap-cone hidden" viewBox="-1 -1 2 2" aria-hidden="true"><path></path></svg>
+            </div>
+        `);
+        this.plan = this.element.querySelector('.minimap-plan');
+        this.cone = this.element.querySelector('.minimap-cone');
+        this.conePath = this.cone.querySelector('path');
+        const image = this.element.querySelector('.minimap-image');
+        image.src = config.floorPlan.image;
+        image.alt = this.tour.t('minimap.image');
+
+        Object.entries(config.scenes).forEach(([sceneId, scene]) => {
+            if (!scene.floorPlan) return;
+
+            const dot = document.createElement('button');
+            dot.type = 'button';
+            dot.className = 'minimap-dot';
+            const title = this.tour.localize(scene.title) || sceneId;
+            dot.title = title;
+            dot.setAttribute('aria-label', title);
+            dot.style.left = `${scene.floorPlan.x * 100}%`;
+            dot.style.top = `${scene.floorPlan.y * 100}%`;
+            dot.addEventListener('click', () => this.onDotClick(sceneId));
+            this.plan.appendChild(dot);
+            this.dots.set(sceneId, dot);
+        });
+
+        this.setScene(this.currentScene);
+    }
+
+    /**
+     * Highlight the current scene and move the view cone onto it
+     */
+    setScene(sceneId) {
+        this.currentScene = sceneId;
+        if (!this.element) return;
+
+        this.dots.forEach((dot, id) => {
+            dot.classList.toggle('current', id === sceneId);
+            if (id === sceneId) {
+                dot.setAttribute('aria-current', 'location');
+            } else {
+                dot.removeAttribute('aria-current');
+            }
+        });
+
+        const dot = this.dots.get(sceneId);
+        this.cone.classList.toggle('hidden', !dot);
+        if (dot) {
+            this.cone.style.left = dot.style.left;
+            this.cone.style.top = dot.style.top;
+        }
+        this.coneState = { angle: NaN, spread: NaN };
+        this.update();
+    }
+
+    /**
+     * Turn the view cone to the camera's yaw, called every frame
+     */
+    update() {
+        if (!this.element || !this.dots.has(this.currentScene)) return;
+
+        const tour = this.tour;
+        const floorPlan = tour.scenesData.scenes[this.currentScene].floorPlan;
+
+        // Heading is the direction on the plan (clockwise from up) of the scene's yaw 0
+        const angle = (floorPlan.heading ?? 0) + tour.getViewAngles().yaw;
+
+        // Horizontal field of view, from the camera's vertical one
+        const camera = tour.camera;
+        const halfFov = Math.atan(Math.tan(camera.fov * Math.PI / 360) * camera.aspect);
+        const spread = Math.min(halfFov * 180 / Math.PI, 89);
+
+        // NaN after setScene(), which fails the comparisons and forces a redraw
+        if (!(Math.abs(angle - this.coneState.angle) <= CONE_EPSILON)) {
+            this.cone.style.transform = `translate(-50%, -50%) rotate(${angle}deg)`;
+            this.coneState.angle = angle;
+        }
+        if (!(Math.abs(spread - this.coneState.spread) <= CONE_EPSILON)) {
+            // Wedge pointing up from the center of the unit viewBox
+            const x = Math.sin(spread * Math.PI / 180);
+            const y = -Math.cos(spread * Math.PI / 180);
+            this.conePath.setAttribute('d', `M0 0 L${-x} ${y} A1 1 0 0 1 ${x} ${y} Z`);
+            this.coneState.spread = spread;
+        }
+    }
+
+    /**
+     * Go to a scene whose dot was clicked
+     */
+    onDotClick(sceneId) {
+        if (sceneId === this.currentScene) return;
+        // Failures are reported through the tour's 'error' event
+        this.tour.goToScene(sceneId).catch(() => {});
+    }
+}
@@ -0,0 +1,219 @@
+/**
+ * Depth Tour Mobile Controls
+ *
+ * Touch-first input that OrbitControls does not cover: looking around by
+ * turning the device, pinching to change the field of view, and
+ * long-pressing to place hotspots. Like HeadMotion these classes only
+ * interpret input; the tour applies the results to its camera.
+ */
+
+import * as THREE from 'three';
+
+// Pitch (degrees) beyond which the device's heading is unreliable and only pitch follows the device
+const GYRO_POLE_PITCH = 80;
+
+// Long-press: hold time in milliseconds and the pointer travel in pixels that cancels it
+const LONG_PRESS_DELAY = 500;
+const LONG_PRESS_TOLERANCE = 10;
+
+// Yaw difference in degrees along the shorter way round
+const yawDelta = (from, to) => ((to - from) % 360 + 540) % 360 - 180;
+
+/**
+ * Ask for device orientation access where the browser requires it (iOS),
+ * must be called from a user gesture there. Resolves to whether events can arrive.
+ */
+export async function requestOrientationPermission() {
+    if (typeof DeviceOrientationEvent === 'undefined') return false;
+    if (typeof DeviceOrientationEvent.requestPermission !== 'function') return true;
+
+    try {
+        return await DeviceOrientationEvent.requestPermission() === 'granted';
+    } catch (error) {
+        console.warn('Device orientation permission denied:', error);
+        return false;
+    }
+}
+
+/**
+ * Turns device orientation readings into yaw/pitch changes of the view.
+ * Changes are relative, so dragging still turns the view and the device
+ * keeps turning it from there.
+ */
+export class GyroLook {
+    constructor() {
+        this.enabled = false;
+        this.reading = null;  // Latest device view { yaw, pitch } in degrees
+        this.applied = null;  // Device view the last delta was taken from
+
+        // Scratch objects
+        this._euler = new THREE.Euler();
+        this._quaternion = new THREE.Quaternion();
+        this._screenRotation = new THREE.Quaternion();
+        this._direction = new THREE.Vector3();
+    }
+
+    /**
+     * Enable or disable following the device
+     */
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        this.reset();
+    }
+
+    /**
+     * Take the device's next reading as the new starting point
+     */
+    reset() {
+        this.reading = null;
+        this.applied = null;
+    }
+
+    /**
+     * Convert a deviceorientation event into the direction the back of the device points
+     */
+    onDeviceOrientation(event) {
+        if (!this.enabled || event.alpha === null || event.beta === null || event.gamma === null) return;
+
+        const degToRad = THREE.MathUtils.degToRad;
+        const screenAngle = degToRad((screen.orientation && screen.orientation.angle) || 0);
+
+        // Device frame to world (W3C convention), then camera looking out of the screen's back
+        this._euler.set(degToRad(event.beta), degToRad(event.alpha), -degToRad(event.gamma), 'YXZ');
+        this._quaternion.setFromEuler(this._euler);
+        this._quaternion.multiply(this._screenRotation.set(-Math.SQRT1_2, 0, 0, Math.SQRT1_2));
+        this._quaternion.multiply(this._screenRotation.setFromAxisAngle(new THREE.Vector3(0, 0, 1), -screenAngle));
+
+        // Same yaw/pitch convention as DepthTour.getViewAngles()
+        const direction = this._direction.set(0, 0, -1).applyQuaternion(this._quaternion);
+        this.reading = {
+            yaw: THREE.MathUtils.radToDeg(Math.atan2(direction.x, -direction.z)),
+            pitch: THREE.MathUtils.radToDeg(Math.asin(THREE.MathUtils.clamp(direction.y, -1, 1)))
+        };
+    }
+
+    /**
+     * How far the device turned since the last call, { yaw, pitch } in
+     * degrees, or null without a new reading
+     */
+    consumeDelta() {
+        if (!this.enabled || !this.reading || this.reading === this.applied) return null;
+
+        const previous = this.applied;
+        this.applied = this.reading;
+        if (!previous) return null;
+
+        const nearPole = Math.abs(this.reading.pitch) > GYRO_POLE_PITCH || Math.abs(previous.pitch) > GYRO_POLE_PITCH;
+        return {
+            yaw: nearPole ? 0 : yawDelta(previous.yaw, this.reading.yaw),
+            pitch: this.reading.pitch - previous.pitch
+        };
+    }
+}
+
+/**
+ * Two-finger pinch on touch screens mapped onto the camera's field of view
+ */
+export class PinchZoom {
+    constructor() {
+        this.pointers = new Map(); // Pointer id -> { x, y } of touches on the canvas
+        this.startDistance = 0;
+        this.startFov = 0;
+    }
+
+    get isPinching() {
+        return this.pointers.size >= 2;
+    }
+
+    /**
+     * Track a touch; the second one starts a pinch from the current field of view
+     */
+    onPointerDown(event, fov) {
+        if (event.pointerType !== 'touch') return;
+        this.pointers.set(event.pointerId, { x: event.clientX, y: event.clientY });
+        if (this.pointers.size === 2) {
+            this.startDistance = this.getDistance();
+            this.startFov = fov;
+        }
+    }
+
+    /**
+     * Follow a touch, returns the pinched field of view in degrees or null when not pinching
+     */
+    onPointerMove(event) {
+        const pointer = this.pointers.get(event.pointerId);
+        if (!pointer) return null;
+        pointer.x = event.clientX;
+        pointer.y = event.clientY;
+        if (!this.isPinching || this.startDistance === 0) return null;
+
+        // Spreading the fingers magnifies the view by the same factor
+        const scale = this.startDistance / Math.max(this.getDistance(), 1);
+        const halfFov = THREE.MathUtils.degToRad(this.startFov / 2);
+        return THREE.MathUtils.radToDeg(2 * Math.atan(Math.tan(halfFov) * scale));
+    }
+
+    /**
+     * Forget a lifted or cancelled touch
+     */
+    onPointerUp(event) {
+        this.pointers.delete(event.pointerId);
+        if (this.pointers.size < 2) {
+            this.startDistance = 0;
+        }
+    }
+
+    // Distance in pixels between the first two touches
+    getDistance() {
+        const [a, b] = this.pointers.values();
+        return Math.hypot(a.x - b.x, a.y - b.y);
+    }
+}
+
+/**
+ * Calls back when the primary pointer is held still, for placing things
+ * without the click that ends every drag on a touch screen
+ */
+export class LongPress {
+    constructor(callback) {
+        this.callback = callback; // Receives { clientX, clientY } of the press
+        this.timer = null;
+        this.start = null;
+    }
+
+    /**
+     * Start waiting; a second finger (a pinch) cancels instead
+     */
+    onPointerDown(event) {
+        this.cancel();
+        if (!event.isPrimary || event.button !== 0) return;
+
+        this.start = { clientX: event.clientX, clientY: event.clientY };
+        this.timer = setTimeout(() => {
+            const point = this.start;
+            this.timer = null;
+            this.start = null;
+            if (navigator.vibrate) {
+                navigator.vibrate(20);
+            }
+            this.callback(point);
+        }, LONG_PRESS_DELAY);
+    }
+
+    /**
+     * Dragging away from the press cancels it
+     */
+    onPointerMove(event) {
+        if (!this.start || !event.isPrimary) return;
+        const distance = Math.hypot(event.clientX - this.start.clientX, event.clientY - this.start.clientY);
+        if (distance > LONG_PRESS_TOLERANCE) {
+            this.cancel();
+        }
+    }
+
+    cancel() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.start = null;
+    }
+}
@@ -0,0 +1,42 @@
+/**
+ * Depth Tour Offline Cache
+ *
+ * Page side of packaged tours: registers the service worker written by
+ * `npm run package-tour` (template in serviceWorker.js) and passes its
+ * messages on. Service workers need https or localhost.
+ */
+
+/**
+ * Register the service worker at url. onStatus receives
+ * { type: 'progress', loaded, total } while the tour downloads,
+ * { type: 'ready' } once it is available offline and
+ * { type: 'error', message } when downloading or registering failed.
+ * Resolves to the registration, or null where service workers are unavailable.
+ */
+export async function registerOfflineCache(url, onStatus, signal) {
+    if (!('serviceWorker' in navigator)) {
+        console.warn('Service workers are not available (they need https or localhost), the tour needs the network');
+        return null;
+    }
+
+    // Listening first, the worker starts reporting as soon as it installs
+    navigator.serviceWorker.addEventListener('message', (event) => {
+        if (event.data && event.data.source === 'depth-tour-offline') {
+            onStatus(event.data);
+        }
+    }, { signal });
+
+    let registration;
+    try {
+        registration = await navigator.serviceWorker.register(url);
+    } catch (error) {
+        onStatus({ type: 'error', message: error.message });
+        return null;
+    }
+
+    // Installed on an earlier visit and nothing newer on the way
+    if (registration.active && !registration.installing && !registration.waiting) {
+        onStatus({ type: 'ready' });
+    }
+    return registration;
+}
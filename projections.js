@@ -0,0 +1,130 @@
+/**
+ * Depth Tour Projections
+ *
+ * Source image layouts a scene's panorama, depth map and background can use.
+ * The sphere mesh, hotspot uv coordinates and picking always work in
+ * equirectangular "panorama uv"; only texture lookups go through the scene's
+ * projection to find the matching pixel of the source image.
+ *
+ * Layouts, with directions as seen from inside looking at the image center:
+ *   equirect      2:1 image, longitude left to right, latitude bottom to top
+ *   cubemap       6:1 strip of square faces: front, right, back, left, up, down.
+ *                 Side faces are upright, the up face has the front at its bottom
+ *                 edge, the down face has the front at its top edge
+ *   dual-fisheye  2:1 image of two equidistant fisheye circles, the front lens
+ *                 on the left half and the back lens on the right half
+ *
+ * panoramaToImageUv() mirrors panoramaToImageUV() in shaders.js.
+ */
+
+export const Projection = {
+    EQUIRECT: 'equirect',
+    CUBEMAP: 'cubemap',
+    DUAL_FISHEYE: 'dual-fisheye'
+};
+
+// Shader define selecting each projection's texture lookup
+export const PROJECTION_DEFINES = {
+    [Projection.EQUIRECT]: null,
+    [Projection.CUBEMAP]: 'PROJECTION_CUBEMAP',
+    [Projection.DUAL_FISHEYE]: 'PROJECTION_DUAL_FISHEYE'
+};
+
+// Field of view of each fisheye lens in degrees, when the scene doesn't set "fisheyeFov"
+export const DEFAULT_FISHEYE_FOV = 190;
+
+// Keeps lookups off the borders of cube faces and fisheye circles
+const EDGE = 0.001;
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+// Direction in the image's frame for a panorama uv: x right, y up, z towards the image center
+function panoramaDirection(u, v) {
+    const longitude = (u - 0.5) * 2 * Math.PI;
+    const latitude = (v - 0.5) * Math.PI;
+    return {
+        x: Math.cos(latitude) * Math.sin(longitude),
+        y: Math.sin(latitude),
+        z: Math.cos(latitude) * Math.cos(longitude)
+    };
+}
+
+/**
+ * Source image uv of a panorama uv. fisheyeFov is in degrees.
+ * Equirect coordinates pass through unchanged; the others wrap around by themselves.
+ */
+export function panoramaToImageUv(u, v, projection = Projection.EQUIRECT, fisheyeFov = DEFAULT_FISHEYE_FOV) {
+    if (projection === Projection.CUBEMAP) {
+        const { x, y, z } = panoramaDirection(u, v);
+        const ax = Math.abs(x);
+        const ay = Math.abs(y);
+        const az = Math.abs(z);
+
+        let face, s, t;
+        if (az >= ax && az >= ay) {
+            face = z > 0 ? 0 : 2;
+            s = (z > 0 ? x : -x) / az;
+            t = y / az;
+        } else if (ax >= ay) {
+            face = x > 0 ? 1 : 3;
+            s = (x > 0 ? -z : z) / ax;
+            t = y / ax;
+        } else {
+            face = y > 0 ? 4 : 5;
+            s = x / ay;
+            t = (y > 0 ? -z : z) / ay;
+        }
+        s = clamp(s * 0.5 + 0.5, EDGE, 1 - EDGE);
+        t = clamp(t * 0.5 + 0.5, EDGE, 1 - EDGE);
+        return { u: (face + s) / 6, v: t };
+    }
+
+    if (projection === Projection.DUAL_FISHEYE) {
+        const { x, y, z } = panoramaDirection(u, v);
+
+        // The back lens looks the other way, so its right is the front's left
+        const lens = z < 0 ? 1 : 0;
+        const lensX = lens ? -x : x;
+        const angle = Math.acos(clamp(Math.abs(z), 0, 1));
+        const radius = angle / (fisheyeFov * Math.PI / 360);
+        const length = Math.hypot(lensX, y);
+        const s = length > 1e-6 ? 0.5 + 0.5 * radius * lensX / length : 0.5;
+        const t = length > 1e-6 ? 0.5 + 0.5 * radius * y / length : 0.5;
+        return { u: (lens + clamp(s, EDGE, 1 - EDGE)) * 0.5, v: clamp(t, EDGE, 1 - EDGE) };
+    }
+
+    return { u, v };
+}
+
+/**
+ * Depth map read in panorama uv, for the tessellation and hotspot code
+ */
+export class ProjectedDepthMap {
+    constructor(depthMap, projection = Projection.EQUIRECT, fisheyeFov = DEFAULT_FISHEYE_FOV) {
+        this.depthMap = depthMap;
+        this.projection = projection;
+        this.fisheyeFov = fisheyeFov;
+
+        // Width of an equirect image with about the same resolution, which
+        // limits how finely the tessellation refines
+        if (projection === Projection.CUBEMAP) {
+            this.width = depthMap.height * 4;
+        } else if (projection === Projection.DUAL_FISHEYE) {
+            this.width = Math.round(depthMap.height * 360 / fisheyeFov);
+        } else {
+            this.width = depthMap.width;
+        }
+        this.height = Math.round(this.width / 2);
+    }
+
+    /**
+     * Bilinearly sample the normalized depth at panorama uv (u, v)
+     */
+    sample(u, v) {
+        if (this.projection === Projection.EQUIRECT) {
+            return this.depthMap.sample(u, v);
+        }
+        const image = panoramaToImageUv(u, v, this.projection, this.fisheyeFov);
+        return this.depthMap.sample(image.u, image.v);
+    }
+}
@@ -0,0 +1,132 @@
+/**
+ * Depth Tour Service Worker
+ *
+ * Template of the sw.js that `npm run package-tour` (tools/packageTour.js)
+ * writes into a packaged tour, with the files to precache put in front:
+ *
+ *   self.PRECACHE_MANIFEST = { version: '3f2a…', files: [{ url, size }, …] };
+ *
+ * Installing downloads every file into a cache named after the version and
+ * reports the progress to the open pages (see offline.js). Once active it
+ * answers requests from that cache, so the tour runs without a network.
+ * A new package has a new version, which replaces the old cache.
+ */
+
+const { version, files } = self.PRECACHE_MANIFEST;
+const CACHE_PREFIX = 'depth-tour-';
+const CACHE_NAME = CACHE_PREFIX + version;
+
+// Downloads at once, and the least time in milliseconds between progress messages
+const CONCURRENCY = 4;
+const PROGRESS_INTERVAL = 250;
+
+// Tell every page of this worker's scope, controlled or not yet
+async function broadcast(message) {
+    const clients = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+    clients.forEach(client => client.postMessage({ source: 'depth-tour-offline', version, ...message }));
+}
+
+// Download all files into the cache, counting bytes as they arrive
+async function precache() {
+    const cache = await caches.open(CACHE_NAME);
+    const total = files.reduce((sum, file) => sum + file.size, 0);
+    let loaded = 0;
+    let lastReport = 0;
+    const report = (force = false) => {
+        const now = Date.now();
+        if (force || now - lastReport >= PROGRESS_INTERVAL) {
+            lastReport = now;
+            broadcast({ type: 'progress', loaded, total });
+        }
+    };
+
+    const download = async (file) => {
+        // Kept from an install that was interrupted
+        if (await cache.match(file.url)) {
+            loaded += file.size;
+            return;
+        }
+
+        const response = await fetch(file.url, { cache: 'reload' });
+        if (!response.ok) {
+            throw new Error(`${file.url}: ${response.status} ${response.statusText}`);
+        }
+        const counter = new TransformStream({
+            transform(chunk, controller) {
+                loaded += chunk.byteLength;
+                report();
+                controller.enqueue(chunk);
+            }
+        });
+        await cache.put(file.url, new Response(response.body.pipeThrough(counter), {
+            status: response.status,
+            statusText: response.statusText,
+            headers: response.headers
+        }));
+    };
+
+    const queue = [...files];
+    const worker = async () => {
+        while (queue.length > 0) {
+            await download(queue.shift());
+        }
+    };
+    await Promise.all(Array.from({ length: CONCURRENCY }, worker));
+    report(true);
+}
+
+// Media elements ask for byte ranges, which a cached whole file has to be cut to
+async function rangeResponse(request, response) {
+    const match = /^bytes=(\d*)-(\d*)$/.exec(request.headers.get('range'));
+    if (!match) return response;
+
+    const blob = await response.blob();
+    const start = match[1] ? Number(match[1]) : Math.max(blob.size - Number(match[2]), 0);
+    const end = match[1] && match[2] ? Math.min(Number(match[2]), blob.size - 1) : blob.size - 1;
+    if (start > end || start >= blob.size) {
+        return new Response(null, { status: 416, headers: { 'Content-Range': `bytes */${blob.size}` } });
+    }
+
+    const headers = new Headers(response.headers);
+    headers.set('Content-Range', `bytes ${start}-${end}/${blob.size}`);
+    headers.set('Content-Length', String(end - start + 1));
+    return new Response(blob.slice(start, end + 1), { status: 206, headers });
+}
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(precache()
+        .then(() => self.skipWaiting())
+        .catch(error => {
+            broadcast({ type: 'error', message: error.message });
+            throw error;
+        }));
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const names = await caches.keys();
+        await Promise.all(names
+            .filter(name => name.startsWith(CACHE_PREFIX) && name !== CACHE_NAME)
+            .map(name => caches.delete(name)));
+        await self.clients.claim();
+        broadcast({ type: 'ready' });
+    })());
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+
+    event.respondWith((async () => {
+        const cache = await caches.open(CACHE_NAME);
+        // ?lang= and other query parameters don't change the files
+        let cached = await cache.match(request, { ignoreSearch: true });
+        if (!cached && request.mode === 'navigate') {
+            cached = await cache.match('index.html');
+        }
+        if (!cached) {
+            return fetch(request);
+        }
+        return request.headers.has('range') ? rangeResponse(request, cached) : cached;
+    })());
+});
@@ -1,11 +1,79 @@
 /**
  * Depth Tour Shaders
  * 
- * Vertex and fragment shaders for rendering equirectangular panoramas
- * with depth-based vertex displacement (DIBR - Depth Image Based Rendering)
+ * Vertex and fragment shaders for rendering panoramas with depth-based
+ * vertex displacement (DIBR - Depth Image Based Rendering). The sphere is
+ * parametrized by equirectangular UVs; cubemap and dual-fisheye sources are
+ * read through panoramaToImageUV()
  */
 
 import * as THREE from 'three';
+import { uvToSpherePosition, spherePositionToUv } from './tessellation.js';
+import { Projection, PROJECTION_DEFINES, DEFAULT_FISHEYE_FOV } from './projections.js';
+import { DEPTH_ENCODING_IDS, MAX_DEPTH_RADIUS, depthToRadius, radiusToDepth } from './depthEncoding.js';
+
+// Disocclusion handling modes for the depth material
+export const DisocclusionMode = {
+    OFF: 0,
+    DISCARD: 1,
+    FADE: 2
+};
+
+// Source image lookup for the scene's projection, shared by the shaders below.
+// Mirrors panoramaToImageUv() in projections.js
+const projectionChunk = `
+    #if defined(PROJECTION_CUBEMAP) || defined(PROJECTION_DUAL_FISHEYE)
+    #ifdef PROJECTION_DUAL_FISHEYE
+    uniform float fisheyeFov; // Per lens, in radians
+    #endif
+    
+    // Keeps lookups off the borders of cube faces and fisheye circles
+    const float PROJECTION_EDGE = 0.001;
+    
+    // Direction in the image's frame: x right, y up, z towards the image center
+    vec3 panoramaDirection(vec2 uv) {
+        float longitude = (uv.x - 0.5) * 2.0 * 3.14159265359;
+        float latitude = (uv.y - 0.5) * 3.14159265359;
+        return vec3(cos(latitude) * sin(longitude), sin(latitude), cos(latitude) * cos(longitude));
+    }
+    #endif
+    
+    // Convert panorama (equirectangular) UV coordinates to source image UV coordinates
+    vec2 panoramaToImageUV(vec2 uv) {
+        #if defined(PROJECTION_CUBEMAP)
+        // 6:1 strip: front, right, back, left, up, down
+        vec3 dir = panoramaDirection(uv);
+        vec3 size = abs(dir);
+        float face;
+        vec2 st;
+        if (size.z >= size.x && size.z >= size.y) {
+            face = dir.z > 0.0 ? 0.0 : 2.0;
+            st = vec2(dir.z > 0.0 ? dir.x : -dir.x, dir.y) / size.z;
+        } else if (size.x >= size.y) {
+            face = dir.x > 0.0 ? 1.0 : 3.0;
+            st = vec2(dir.x > 0.0 ? -dir.z : dir.z, dir.y) / size.x;
+        } else {
+            face = dir.y > 0.0 ? 4.0 : 5.0;
+            st = vec2(dir.x, dir.y > 0.0 ? -dir.z : dir.z) / size.y;
+        }
+        st = clamp(st * 0.5 + 0.5, PROJECTION_EDGE, 1.0 - PROJECTION_EDGE);
+        return vec2((face + st.x) / 6.0, st.y);
+        #elif defined(PROJECTION_DUAL_FISHEYE)
+        // Equidistant lenses, front on the left half, back (looking the other way) on the right
+        vec3 dir = panoramaDirection(uv);
+        float lens = dir.z < 0.0 ? 1.0 : 0.0;
+        vec2 lensDir = vec2(dir.z < 0.0 ? -dir.x : dir.x, dir.y);
+        float radius = acos(clamp(abs(dir.z), 0.0, 1.0)) / (fisheyeFov * 0.5);
+        float len = length(lensDir);
+        vec2 st = len > 1e-6 ? 0.5 + 0.5 * radius * lensDir / len : vec2(0.5);
+        st = clamp(st, PROJECTION_EDGE, 1.0 - PROJECTION_EDGE);
+        return vec2((lens + st.x) * 0.5, st.y);
+        #else
+        // Equirectangular: clamp to valid range with small epsilon to avoid pole artifacts
+        return clamp(uv, 0.001, 0.999);
+        #endif
+    }
+`;
 
 // Vertex shader for depth-displaced sphere
 export const depthVertexShader = `
@@ -15,11 +83,19 @@ export const depthVertexShader = `
     uniform float depthBias;
     uniform bool depthFlip;
     uniform float seamFix;
+    uniform int depthEncoding; // 0 = normalized, 1 = metric, 2 = linear, 3 = inverse
+    uniform float depthNear;
+    uniform float depthFar;
+    uniform float metricScale; // Meters per depth unit, including camera height calibration
+    
+    // Attributes
+    attribute vec2 vertexSpacing; // UV size of the largest cell touching this vertex
     
     // Varyings to pass to fragment shader
     varying vec2 vUv;
     varying vec3 vWorldPosition;
     varying vec3 vViewDirection;
+    varying float vEdge;
     
     // Helper function to convert UV coordinates to spherical coordinates
     vec3 uvToSphere(vec2 uv) {
@@ -35,43 +111,66 @@ export const depthVertexShader = `
         return vec3(x, y, z);
     }
     
-    // Helper function to clamp UV coordinates and handle pole artifacts
-    vec2 clampUV(vec2 uv) {
-        // Clamp to valid range with small epsilon to avoid pole artifacts
-        float epsilon = 0.001;
-        return vec2(
-            clamp(uv.x, epsilon, 1.0 - epsilon),
-            clamp(uv.y, epsilon, 1.0 - epsilon)
-        );
+    ${projectionChunk}
+    // Helper function to convert a depth texture value to the distance from the sphere center
+    // Mirrors depthToRadius() in depthEncoding.js
+    float depthToRadius(float depth) {
+        float radius;
+        if (depthEncoding == 1) {
+            // Metric: the value is the distance
+            radius = depth * metricScale;
+        } else {
+            // Apply depth flip if enabled
+            if (depthFlip) {
+                depth = 1.0 - depth;
+            }
+            
+            if (depthEncoding == 2) {
+                radius = mix(depthNear, depthFar, depth) * metricScale;
+            } else if (depthEncoding == 3) {
+                // Disparity: inverse distance between far and near
+                radius = metricScale / mix(1.0 / depthFar, 1.0 / depthNear, depth);
+            } else {
+                // Normalized: unit sphere pushed out by the biased and scaled depth
+                radius = (1.0 + (depth + depthBias) * depthScale) * metricScale;
+            }
+        }
+        return min(radius, ${MAX_DEPTH_RADIUS.toFixed(1)});
     }
     
-    void main() {
-        // Pass UV coordinates to fragment shader
-        vUv = uv;
-        
-        // Apply seam fix to UV coordinates for depth sampling
-        vec2 depthUV = clampUV(vec2(uv.x + seamFix, uv.y));
+    // Helper function to sample the surface distance at a UV coordinate
+    float sampleRadius(vec2 uv) {
+        // Apply seam fix to UV coordinates, then find the depth texel in the source image
+        vec2 depthUV = panoramaToImageUV(vec2(uv.x + seamFix, uv.y));
         
         // Sample depth value from depth texture
         vec4 depthSample = texture2D(tDepth, depthUV);
         float depth = depthSample.r; // Use red channel for grayscale depth
         
-        // Apply depth flip if enabled
-        if (depthFlip) {
-            depth = 1.0 - depth;
-        }
+        return depthToRadius(depth);
+    }
+    
+    void main() {
+        // Pass UV coordinates to fragment shader
+        vUv = uv;
         
-        // Apply depth bias and scale
-        depth = (depth + depthBias) * depthScale;
+        // Measure the relative depth jump to the neighbouring vertices. Triangles that
+        // span a depth discontinuity get a large value and can be torn in the fragment shader
+        float radius = max(sampleRadius(uv), 0.001);
+        float radiusLeft = sampleRadius(uv - vec2(vertexSpacing.x, 0.0));
+        float radiusRight = sampleRadius(uv + vec2(vertexSpacing.x, 0.0));
+        float radiusDown = sampleRadius(uv - vec2(0.0, vertexSpacing.y));
+        float radiusUp = sampleRadius(uv + vec2(0.0, vertexSpacing.y));
+        vEdge = max(
+            max(abs(radiusLeft - radius), abs(radiusRight - radius)),
+            max(abs(radiusDown - radius), abs(radiusUp - radius))
+        ) / radius;
         
         // Get the original vertex position (normalized sphere position)
         vec3 spherePos = normalize(position);
         
-        // Calculate displacement along the view direction (from center to vertex)
-        vec3 displacement = spherePos * depth;
-        
-        // Apply displacement to create parallax effect
-        vec3 displacedPosition = spherePos + displacement;
+        // Move the vertex along the view direction (from center to vertex) to its surface distance
+        vec3 displacedPosition = spherePos * radius;
         
         // Store world position and view direction for fragment shader
         vWorldPosition = displacedPosition;
@@ -90,11 +189,14 @@ export const depthFragmentShader = `
     uniform bool debugDepth;
     uniform float seamFix;
     uniform float exposure;
+    uniform int disocclusionMode; // 0 = off, 1 = discard, 2 = fade
+    uniform float edgeThreshold;
     
     // Varyings from vertex shader
     varying vec2 vUv;
     varying vec3 vWorldPosition;
     varying vec3 vViewDirection;
+    varying float vEdge;
     
     // Helper function to convert 3D direction to UV coordinates
     vec2 directionToUV(vec3 dir) {
@@ -112,36 +214,107 @@ export const depthFragmentShader = `
         return vec2(u, v);
     }
     
-    // Helper function to clamp UV coordinates
-    vec2 clampUV(vec2 uv) {
-        float epsilon = 0.001;
-        return vec2(
-            clamp(uv.x, epsilon, 1.0 - epsilon),
-            clamp(uv.y, epsilon, 1.0 - epsilon)
-        );
+    ${projectionChunk}
+    #ifdef TILED_COLOR
+    // Streamed tile pyramid, see tiledPanorama.js; tColor holds its preview
+    uniform sampler2D tAtlas;
+    uniform sampler2D tPageTable;
+    uniform vec2 tileFinestSize;
+    uniform float tileSize;
+    uniform float tileOverlap;
+    uniform float tileSlotSize;
+    uniform float tileAtlasSize;
+    uniform int tileLevelCount;
+    uniform float tileLevelRows[MAX_TILE_LEVELS];
+    
+    // Color from the best loaded tile at the level matching the screen resolution
+    vec4 sampleTiledColor(vec2 uv) {
+        int lastLevel = tileLevelCount - 1;
+        
+        // About one texel per screen pixel
+        vec2 texelsPerPixel = fwidth(uv) * tileFinestSize;
+        float lod = log2(max(max(texelsPerPixel.x, texelsPerPixel.y), 1e-6));
+        int level = clamp(lastLevel - int(floor(lod + 0.5)), 0, lastLevel);
+        
+        // Tiles are cut from the image's top left corner
+        vec2 imageUV = vec2(uv.x, 1.0 - uv.y);
+        vec2 page = floor(imageUV * tileFinestSize * exp2(float(level - lastLevel)) / tileSize);
+        vec4 entry = texelFetch(tPageTable, ivec2(page.x, tileLevelRows[level] + page.y), 0);
+        if (entry.a < 0.5) {
+            return texture2D(tColor, uv);
+        }
+        
+        // The entry may be a coarser tile covering this page: slot column, slot row, level
+        vec3 slot = floor(entry.rgb * 255.0 + 0.5);
+        vec2 pixel = imageUV * tileFinestSize * exp2(slot.z - float(lastLevel));
+        vec2 tileOrigin = max(floor(pixel / tileSize) * tileSize - tileOverlap, 0.0);
+        vec2 atlasPixel = slot.xy * tileSlotSize + pixel - tileOrigin;
+        return texture2D(tAtlas, atlasPixel / tileAtlasSize);
     }
+    #endif
     
     void main() {
-        // Use the original UV coordinates for color sampling
-        vec2 colorUV = clampUV(vec2(vUv.x + seamFix, vUv.y));
+        // Tear stretched "rubber sheet" triangles at depth discontinuities
+        float alpha = 1.0;
+        if (disocclusionMode == 1) {
+            if (vEdge > edgeThreshold) {
+                discard;
+            }
+        } else if (disocclusionMode == 2) {
+            alpha = 1.0 - smoothstep(edgeThreshold * 0.5, edgeThreshold, vEdge);
+            if (alpha < 0.01) {
+                discard;
+            }
+        }
+        
+        // Use the original UV coordinates for color sampling (tiled scenes are always equirectangular)
+        vec2 colorUV = panoramaToImageUV(vec2(vUv.x + seamFix, vUv.y));
         
         if (debugDepth) {
             // Debug mode: show depth map as grayscale
             vec4 depthSample = texture2D(tDepth, colorUV);
             float depth = depthSample.r;
-            gl_FragColor = vec4(depth, depth, depth, 1.0);
+            gl_FragColor = vec4(depth, depth, depth, alpha);
         } else {
             // Normal mode: sample and display the panorama color
+            #ifdef TILED_COLOR
+            vec4 colorSample = sampleTiledColor(colorUV);
+            #else
             vec4 colorSample = texture2D(tColor, colorUV);
+            #endif
             
             // Apply exposure adjustment
             vec3 exposedColor = colorSample.rgb * exposure;
             
-            gl_FragColor = vec4(exposedColor, 1.0);
+            gl_FragColor = vec4(exposedColor, alpha);
         }
     }
 `;
 
+// Vertex shader for the background layer that fills disocclusion holes (no displacement)
+export const backgroundVertexShader = `
+    varying vec2 vUv;
+    
+    void main() {
+        vUv = uv;
+        gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+    }
+`;
+
+// Fragment shader for the background layer
+export const backgroundFragmentShader = `
+    uniform sampler2D tBackground;
+    uniform float seamFix;
+    uniform float exposure;
+    
+    varying vec2 vUv;
+    ${projectionChunk}
+    void main() {
+        vec2 colorUV = panoramaToImageUV(vec2(vUv.x + seamFix, vUv.y));
+        gl_FragColor = vec4(texture2D(tBackground, colorUV).rgb * exposure, 1.0);
+    }
+`;
+
 // Simple vertex shader for hotspot picking geometry (no displacement)
 export const pickingVertexShader = `
     varying vec2 vUv;
@@ -162,25 +335,69 @@ export const pickingFragmentShader = `
     }
 `;
 
-// Utility function to create a material with the depth displacement shaders
+// Shader defines and uniforms of options.projection and options.fisheyeFov (degrees)
+function getProjectionParams(options) {
+    const define = PROJECTION_DEFINES[options.projection || Projection.EQUIRECT];
+    return {
+        defines: define ? { [define]: '' } : {},
+        uniforms: {
+            fisheyeFov: { value: THREE.MathUtils.degToRad(options.fisheyeFov || DEFAULT_FISHEYE_FOV) }
+        }
+    };
+}
+
+// Utility function to create a material with the depth displacement shaders.
+// options.depthEncoding, depthNear, depthFar and metricScale describe the depth values, see depthEncoding.js.
+// options.tiles (a TiledPanorama) streams the color from tiles, colorTexture is then its preview.
+// options.projection is the layout of the color, depth and background images, see projections.js
 export function createDepthMaterial(colorTexture, depthTexture, options = {}) {
+    const projection = getProjectionParams(options);
     const uniforms = {
         tColor: { value: colorTexture },
         tDepth: { value: depthTexture },
         depthScale: { value: options.depthScale || 3.0 },
         depthBias: { value: options.depthBias || 0.0 },
         depthFlip: { value: options.depthFlip || false },
+        depthEncoding: { value: DEPTH_ENCODING_IDS[options.depthEncoding] || 0 },
+        depthNear: { value: options.depthNear || 1.0 },
+        depthFar: { value: options.depthFar || 100.0 },
+        metricScale: { value: options.metricScale || 1.0 },
         debugDepth: { value: options.debugDepth || false },
         seamFix: { value: options.seamFix || 0.0 },
-        exposure: { value: options.exposure || 1.0 }
+        exposure: { value: options.exposure || 1.0 },
+        disocclusionMode: { value: options.disocclusionMode || DisocclusionMode.OFF },
+        edgeThreshold: { value: options.edgeThreshold || 0.1 },
+        ...projection.uniforms,
+        ...(options.tiles ? options.tiles.uniforms : {})
     };
     
     return new THREE.ShaderMaterial({
+        defines: { ...projection.defines, ...(options.tiles ? options.tiles.defines : {}) },
         uniforms: uniforms,
         vertexShader: depthVertexShader,
         fragmentShader: depthFragmentShader,
         side: THREE.BackSide, // Render inside of sphere
-        transparent: false,
+        // Only the fade mode produces partially transparent fragments
+        transparent: options.disocclusionMode === DisocclusionMode.FADE,
+        depthWrite: true,
+        depthTest: true
+    });
+}
+
+// Utility function to create the background layer material shown through disocclusion holes
+export function createBackgroundMaterial(backgroundTexture, options = {}) {
+    const projection = getProjectionParams(options);
+    return new THREE.ShaderMaterial({
+        defines: projection.defines,
+        uniforms: {
+            tBackground: { value: backgroundTexture },
+            seamFix: { value: options.seamFix || 0.0 },
+            exposure: { value: options.exposure || 1.0 },
+            ...projection.uniforms
+        },
+        vertexShader: backgroundVertexShader,
+        fragmentShader: backgroundFragmentShader,
+        side: THREE.BackSide,
         depthWrite: true,
         depthTest: true
     });
@@ -200,56 +417,20 @@ export function createPickingMaterial() {
 }
 
 // Helper function to convert UV and depth to world coordinates
-// This matches the vertex shader displacement logic
-export function uvDepthToWorld(u, v, depth, depthScale = 3.0, depthBias = 0.0, depthFlip = false) {
-    // Apply depth transformations
-    if (depthFlip) {
-        depth = 1.0 - depth;
-    }
-    depth = (depth + depthBias) * depthScale;
-    
-    // Convert UV to spherical coordinates
-    const phi = (u - 0.5) * 2.0 * Math.PI; // longitude: -π to π
-    const theta = (v - 0.5) * Math.PI;     // latitude: -π/2 to π/2
-    
-    // Convert to Cartesian coordinates (unit sphere)
-    const x = Math.cos(theta) * Math.sin(phi);
-    const y = Math.sin(theta);
-    const z = Math.cos(theta) * Math.cos(phi);
-    
-    // Create sphere position and apply displacement
-    const spherePos = new THREE.Vector3(x, y, z).normalize();
-    const displacement = spherePos.clone().multiplyScalar(depth);
-    
-    return spherePos.add(displacement);
+// UVs are panorama coordinates for every projection, only texture lookups depend on it.
+// This matches the vertex shader displacement logic: the sphere vertex for the
+// UV (see uvToSpherePosition) moved out to the depth's distance. depthModel
+// describes the depth values, see createDepthModel() in depthEncoding.js
+export function uvDepthToWorld(u, v, depth, depthModel) {
+    const spherePos = uvToSpherePosition(u, v);
+    return spherePos.multiplyScalar(Math.max(depthToRadius(depth, depthModel), 0.001));
 }
 
-// Helper function to approximate world coordinates back to UV and depth
-// This is an approximation for the reverse transformation
-export function worldToUvDepth(worldPos, depthScale = 3.0, depthBias = 0.0, depthFlip = false) {
-    // Normalize to get direction
-    const direction = worldPos.clone().normalize();
-    
-    // Convert to spherical coordinates
-    const phi = Math.atan2(direction.x, direction.z);
-    const theta = Math.asin(direction.y);
-    
-    // Convert to UV
-    const u = (phi / (2.0 * Math.PI)) + 0.5;
-    const v = (theta / Math.PI) + 0.5;
-    
-    // Estimate depth (this is approximate)
-    const distance = worldPos.length();
-    const unitSphereDistance = 1.0;
-    let depth = (distance - unitSphereDistance) / depthScale - depthBias;
-    
-    // Apply depth flip if enabled
-    if (depthFlip) {
-        depth = 1.0 - depth;
-    }
-    
-    // Clamp depth to valid range
-    depth = Math.max(0.0, Math.min(1.0, depth));
-    
-    return { u, v, d: depth };
+// Helper function to convert world coordinates back to UV and depth
+// Exact inverse of uvDepthToWorld. Points picked on the mesh lie on flat triangles
+// between vertices, so their depth should be sampled from the depth map instead
+export function worldToUvDepth(worldPos, depthModel) {
+    // Direction gives the UV, distance from the center gives the depth
+    const { u, v } = spherePositionToUv(worldPos);
+    return { u, v, d: radiusToDepth(worldPos.length(), depthModel) };
 }
@@ -18,5 +18,7 @@ echo   D - Toggle depth debug
 echo   F - Flip depth
 echo   K/L - Adjust depth scale
 echo   E - Export hotspots (authoring mode)
+echo   M - Toggle head motion (WASD to move)
+echo   R - Recenter view
 echo.
 pause
@@ -0,0 +1,264 @@
+/**
+ * Depth Tour Adaptive Tessellation
+ *
+ * Builds the panorama sphere from the depth map itself: a quadtree over the
+ * equirectangular UV domain is refined where depth varies and left coarse
+ * where it is flat, until a vertex budget is spent.
+ */
+
+import * as THREE from 'three';
+
+/**
+ * Vertex budget for the current device, used when a scene does not set one
+ */
+export function getDefaultVertexBudget() {
+    const isMobile = typeof navigator !== 'undefined' &&
+        /Mobi|Android|iPhone|iPad/i.test(navigator.userAgent);
+    return isMobile ? 40000 : 160000;
+}
+
+/**
+ * Create an indexed unit sphere whose density follows the depth map.
+ *
+ * Vertices carry the same positions and UVs as THREE.SphereGeometry, so the
+ * depth shaders and picking code work unchanged. A `vertexSpacing` attribute
+ * holds the UV size of the largest adjacent cell for depth edge detection.
+ */
+export function createAdaptiveSphereGeometry(depthMap, options = {}) {
+    const baseColumns = options.baseColumns ?? 32;
+    const baseRows = options.baseRows ?? 16;
+    const errorThreshold = options.errorThreshold ?? 0.004;
+    const vertexBudget = options.vertexBudget ?? getDefaultVertexBudget();
+
+    // Never refine below one depth texel per cell
+    const texelLevel = Math.floor(Math.log2(Math.max(1, depthMap.width / baseColumns)));
+    const maxLevel = Math.max(0, Math.min(options.maxLevel ?? 7, texelLevel));
+
+    // Integer lattice at the finest level; cells are squares of lattice units
+    const scale = 1 << maxLevel;
+    const columns = baseColumns * scale;
+    const rows = baseRows * scale;
+    const latticePoints = new Set();
+    const pointKey = (x, y) => y * (columns + 1) + x;
+
+    const cellError = (cell) => measureCellError(depthMap, cell, columns, rows);
+    const queue = new MaxHeap();
+    const roots = [];
+
+    // Base grid
+    for (let row = 0; row < baseRows; row++) {
+        for (let column = 0; column < baseColumns; column++) {
+            const cell = { x: column * scale, y: row * scale, size: scale, children: null };
+            roots.push(cell);
+            latticePoints.add(pointKey(cell.x, cell.y));
+            latticePoints.add(pointKey(cell.x + scale, cell.y));
+            latticePoints.add(pointKey(cell.x, cell.y + scale));
+            latticePoints.add(pointKey(cell.x + scale, cell.y + scale));
+            if (scale > 1) {
+                queue.push(cell, cellError(cell));
+            }
+        }
+    }
+
+    // Refine the worst-approximated cells first until the budget is spent.
+    // Leaves at level transitions get an extra fan center, estimated as a quarter of the leaves.
+    let leafCount = roots.length;
+    while (queue.size > 0) {
+        const { item: cell, priority: error } = queue.pop();
+        if (error < errorThreshold) break;
+        if (latticePoints.size + leafCount / 4 + 5 > vertexBudget) break;
+
+        const half = cell.size / 2;
+        cell.children = [
+            { x: cell.x, y: cell.y, size: half, children: null },
+            { x: cell.x + half, y: cell.y, size: half, children: null },
+            { x: cell.x, y: cell.y + half, size: half, children: null },
+            { x: cell.x + half, y: cell.y + half, size: half, children: null }
+        ];
+        leafCount += 3;
+
+        latticePoints.add(pointKey(cell.x + half, cell.y));
+        latticePoints.add(pointKey(cell.x + half, cell.y + cell.size));
+        latticePoints.add(pointKey(cell.x, cell.y + half));
+        latticePoints.add(pointKey(cell.x + cell.size, cell.y + half));
+        latticePoints.add(pointKey(cell.x + half, cell.y + half));
+
+        if (half > 1) {
+            cell.children.forEach(child => queue.push(child, cellError(child)));
+        }
+    }
+
+    // Points on the u = 0 and u = 1 seam coincide on the sphere, so either counts as a T-junction
+    const hasPoint = (x, y) => latticePoints.has(pointKey(x, y)) ||
+        (x === 0 && latticePoints.has(pointKey(columns, y))) ||
+        (x === columns && latticePoints.has(pointKey(0, y)));
+
+    // Triangulate leaves
+    const positions = [];
+    const uvs = [];
+    const spacings = [];
+    const indices = [];
+    const vertexIndex = new Map();
+
+    const getVertex = (x, y, cellSize) => {
+        const key = pointKey(x, y);
+        let index = vertexIndex.get(key);
+        if (index === undefined) {
+            index = positions.length / 3;
+            vertexIndex.set(key, index);
+
+            const u = x / columns;
+            const v = y / rows;
+            const position = uvToSpherePosition(u, v);
+            positions.push(position.x, position.y, position.z);
+            uvs.push(u, v);
+            spacings.push(0, 0);
+        }
+        // Keep the largest adjacent cell so edge detection spans whole triangles
+        spacings[index * 2] = Math.max(spacings[index * 2], cellSize / columns);
+        spacings[index * 2 + 1] = Math.max(spacings[index * 2 + 1], cellSize / rows);
+        return index;
+    };
+
+    const triangulateLeaf = (cell) => {
+        const { x, y, size } = cell;
+
+        // Boundary points in counter-clockwise UV order, including T-junctions from smaller neighbours
+        const boundary = [];
+        for (let i = 0; i < size; i++) if (i === 0 || hasPoint(x + i, y)) boundary.push([x + i, y]);
+        for (let i = 0; i < size; i++) if (i === 0 || hasPoint(x + size, y + i)) boundary.push([x + size, y + i]);
+        for (let i = 0; i < size; i++) if (i === 0 || hasPoint(x + size - i, y + size)) boundary.push([x + size - i, y + size]);
+        for (let i = 0; i < size; i++) if (i === 0 || hasPoint(x, y + size - i)) boundary.push([x, y + size - i]);
+
+        const ring = boundary.map(([px, py]) => getVertex(px, py, size));
+
+        if (ring.length === 4) {
+            indices.push(ring[0], ring[1], ring[2], ring[0], ring[2], ring[3]);
+        } else {
+            // Fan from the cell center to stitch T-junctions without cracks
+            const center = getVertex(x + size / 2, y + size / 2, size);
+            for (let i = 0; i < ring.length; i++) {
+                indices.push(center, ring[i], ring[(i + 1) % ring.length]);
+            }
+        }
+    };
+
+    const visit = (cell) => {
+        if (cell.children) {
+            cell.children.forEach(visit);
+        } else {
+            triangulateLeaf(cell);
+        }
+    };
+    roots.forEach(visit);
+
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+    geometry.setAttribute('uv', new THREE.Float32BufferAttribute(uvs, 2));
+    geometry.setAttribute('vertexSpacing', new THREE.Float32BufferAttribute(spacings, 2));
+    geometry.setIndex(indices);
+    geometry.computeBoundingSphere();
+
+    return geometry;
+}
+
+/**
+ * Unit sphere position for a UV coordinate, matching THREE.SphereGeometry
+ */
+export function uvToSpherePosition(u, v, target = new THREE.Vector3()) {
+    const phi = u * Math.PI * 2;
+    const theta = (1 - v) * Math.PI;
+    return target.set(
+        -Math.cos(phi) * Math.sin(theta),
+        Math.cos(theta),
+        Math.sin(phi) * Math.sin(theta)
+    );
+}
+
+/**
+ * UV coordinate of a direction from the sphere center, inverse of uvToSpherePosition
+ */
+export function spherePositionToUv(position) {
+    const direction = position.clone().normalize();
+    const phi = Math.atan2(direction.z, -direction.x);
+    const theta = Math.acos(Math.min(Math.max(direction.y, -1), 1));
+    return {
+        u: phi < 0 ? phi / (Math.PI * 2) + 1 : phi / (Math.PI * 2),
+        v: 1 - theta / Math.PI
+    };
+}
+
+// Samples per cell side when measuring how well bilinear corners approximate the depth
+const ERROR_SAMPLES = 7;
+
+// Largest difference between the depth map and a bilinear patch through the cell corners
+function measureCellError(depthMap, cell, columns, rows) {
+    const u0 = cell.x / columns;
+    const v0 = cell.y / rows;
+    const du = cell.size / columns;
+    const dv = cell.size / rows;
+
+    const d00 = depthMap.sample(u0, v0);
+    const d10 = depthMap.sample(u0 + du, v0);
+    const d01 = depthMap.sample(u0, v0 + dv);
+    const d11 = depthMap.sample(u0 + du, v0 + dv);
+
+    let error = 0;
+    for (let j = 0; j < ERROR_SAMPLES; j++) {
+        const fy = j / (ERROR_SAMPLES - 1);
+        for (let i = 0; i < ERROR_SAMPLES; i++) {
+            const fx = i / (ERROR_SAMPLES - 1);
+            const predicted = (d00 * (1 - fx) + d10 * fx) * (1 - fy) + (d01 * (1 - fx) + d11 * fx) * fy;
+            const actual = depthMap.sample(u0 + fx * du, v0 + fy * dv);
+            error = Math.max(error, Math.abs(actual - predicted));
+        }
+    }
+
+    // Cells shrink towards the poles, so weight by their angular width
+    const latitude = (v0 + dv / 2 - 0.5) * Math.PI;
+    return error * Math.max(Math.cos(latitude), 0.1);
+}
+
+// Binary max-heap keyed by priority
+class MaxHeap {
+    constructor() {
+        this.items = [];
+    }
+
+    get size() {
+        return this.items.length;
+    }
+
+    push(item, priority) {
+        const items = this.items;
+        items.push({ item, priority });
+        let index = items.length - 1;
+        while (index > 0) {
+            const parent = (index - 1) >> 1;
+            if (items[parent].priority >= items[index].priority) break;
+            [items[parent], items[index]] = [items[index], items[parent]];
+            index = parent;
+        }
+    }
+
+    pop() {
+        const items = this.items;
+        const top = items[0];
+        const last = items.pop();
+        if (items.length > 0) {
+            items[0] = last;
+            let index = 0;
+            for (;;) {
+                const left = index * 2 + 1;
+                const right = left + 1;
+                let largest = index;
+                if (left < items.length && items[left].priority > items[largest].priority) largest = left;
+                if (right < items.length && items[right].priority > items[largest].priority) largest = right;
+                if (largest === index) break;
+                [items[largest], items[index]] = [items[index], items[largest]];
+                index = largest;
+            }
+        }
+        return top;
+    }
+}
@@ -0,0 +1,97 @@
+import { describe, it, expect } from 'vitest';
+import {
+    DepthEncoding,
+    MAX_DEPTH_RADIUS,
+    createDepthModel,
+    depthToRadius,
+    radiusToDepth,
+    getRadiusRange,
+    measureCameraHeight
+} from '../depthEncoding.js';
+
+const models = {
+    normalized: createDepthModel({ scale: 2, bias: 0.1 }),
+    'normalized, flipped': createDepthModel({ flip: true }),
+    metric: createDepthModel({ encoding: DepthEncoding.METRIC, metricScale: 0.01 }),
+    linear: createDepthModel({ encoding: DepthEncoding.LINEAR, near: 0.5, far: 20, metricScale: 0.3048 }),
+    'linear, flipped': createDepthModel({ encoding: DepthEncoding.LINEAR, flip: true }),
+    inverse: createDepthModel({ encoding: DepthEncoding.INVERSE, near: 0.3, far: 50 }),
+    'inverse, flipped': createDepthModel({ encoding: DepthEncoding.INVERSE, flip: true, metricScale: 1.2 })
+};
+
+describe('depthToRadius / radiusToDepth', () => {
+    for (const [name, model] of Object.entries(models)) {
+        it(`round-trips ${name} depth`, () => {
+            // Metric values are distances in depthUnit, cm here
+            const values = model.encoding === DepthEncoding.METRIC ? [50, 160, 4000] : [0, 0.1, 0.5, 0.9, 1];
+            for (const depth of values) {
+                const radius = depthToRadius(depth, model);
+                expect(radius).toBeGreaterThan(0);
+                expect(radiusToDepth(radius, model)).toBeCloseTo(depth, 6);
+            }
+        });
+    }
+
+    it('applies flip to all but metric depth', () => {
+        const linear = createDepthModel({ encoding: DepthEncoding.LINEAR, near: 1, far: 10 });
+        expect(depthToRadius(0, { ...linear, flip: true })).toBeCloseTo(depthToRadius(1, linear));
+
+        const metric = createDepthModel({ encoding: DepthEncoding.METRIC });
+        expect(depthToRadius(3, { ...metric, flip: true })).toBe(3);
+    });
+
+    it('clamps distances to MAX_DEPTH_RADIUS', () => {
+        const metric = createDepthModel({ encoding: DepthEncoding.METRIC });
+        expect(depthToRadius(1e6, metric)).toBe(MAX_DEPTH_RADIUS);
+        expect(depthToRadius(Infinity, metric)).toBe(MAX_DEPTH_RADIUS);
+
+        // Zero disparity is infinitely far
+        const inverse = createDepthModel({ encoding: DepthEncoding.INVERSE, far: Infinity });
+        expect(depthToRadius(0, inverse)).toBe(MAX_DEPTH_RADIUS);
+    });
+
+    it('keeps depth values of out-of-range distances in [0,1]', () => {
+        const linear = createDepthModel({ encoding: DepthEncoding.LINEAR, near: 1, far: 10 });
+        expect(radiusToDepth(0.2, linear)).toBe(0);
+        expect(radiusToDepth(40, linear)).toBe(1);
+        expect(radiusToDepth(-1, models.metric)).toBe(0);
+    });
+});
+
+describe('getRadiusRange', () => {
+    it('uses the whole [0,1] range for normalized depth', () => {
+        const model = createDepthModel({ scale: 3 });
+        expect(getRadiusRange(model, { min: 0.4, max: 0.6 })).toEqual({ min: 1, max: 4 });
+    });
+
+    it('orders the distances of the value range', () => {
+        const model = createDepthModel({ encoding: DepthEncoding.INVERSE, near: 1, far: 10 });
+        const range = getRadiusRange(model, { min: 0, max: 1 });
+        expect(range.min).toBeCloseTo(1);
+        expect(range.max).toBeCloseTo(10);
+    });
+});
+
+describe('measureCameraHeight', () => {
+    // Metric depth of a level floor `height` below the camera, nothing above the horizon
+    const flatFloor = (height) => (u, v) => {
+        const drop = Math.cos(v * Math.PI);
+        return drop > 0 ? height / drop : null;
+    };
+
+    it('finds the height of a flat floor', () => {
+        const model = createDepthModel({ encoding: DepthEncoding.METRIC });
+        expect(measureCameraHeight(flatFloor(1.6), model)).toBeCloseTo(1.6, 6);
+    });
+
+    it('measures in the units of the model', () => {
+        const model = createDepthModel({ encoding: DepthEncoding.METRIC, metricScale: 0.01 });
+        expect(measureCameraHeight(flatFloor(150), model)).toBeCloseTo(1.5, 6);
+    });
+
+    it('returns null when the floor has no depth', () => {
+        const model = createDepthModel({ encoding: DepthEncoding.METRIC });
+        expect(measureCameraHeight(() => null, model)).toBeNull();
+        expect(measureCameraHeight(() => Infinity, model)).toBeNull();
+    });
+});
@@ -0,0 +1,166 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { renderContent, renderMarkdown, sanitizeHtml, isSafeUrl } from '../hotspotContent.js';
+import { getHotspotType } from '../hotspotTypes.js';
+
+// Payloads that run script when inserted as HTML or followed as URLs
+const PAYLOADS = {
+    script: '<p>Hi</p><script>window.pwned = true</script>',
+    imgOnerror: '<img src="x.png" onerror="window.pwned = true">',
+    javascriptHref: '<a href="javascript:alert(1)">Click</a>',
+    tabbedJavascriptHref: '<a href="java\tscript:alert(1)">Click</a>',
+    entityJavascriptHref: '<a href="jav&#x09;ascript:alert(1)">Click</a>',
+    dataHtmlImage: '<img src="data:text/html;base64,PHNjcmlwdD5hbGVydCgxKTwvc2NyaXB0Pg==">',
+    svgOnload: '<svg onload="window.pwned = true"><circle r="1"></circle></svg>',
+    nested: '<div><section onclick="window.pwned = true"><b onmouseover="x()">Bold</b><iframe src="https://example.com"></iframe></section></div>',
+    unwrapped: '<custom-tag onclick="x()"><form action="javascript:alert(1)"><button formaction="javascript:alert(1)">Go</button></form></custom-tag>'
+};
+
+// Elements that must never survive sanitizing
+const FORBIDDEN_TAGS = ['script', 'style', 'iframe', 'object', 'embed', 'svg', 'math', 'form', 'button', 'section'];
+
+// Fail on any element, event handler or URL that could run script
+function expectInert(container) {
+    for (const element of container.querySelectorAll('*')) {
+        expect(FORBIDDEN_TAGS).not.toContain(element.tagName.toLowerCase());
+        for (const attribute of element.attributes) {
+            expect(attribute.name.startsWith('on'), `${attribute.name} on <${element.tagName}>`).toBe(false);
+            if (['href', 'src', 'action', 'formaction'].includes(attribute.name)) {
+                expect(isSafeUrl(attribute.value, attribute.name === 'src'), attribute.value).toBe(true);
+            }
+        }
+    }
+}
+
+describe('isSafeUrl', () => {
+    it('accepts relative, http(s) and mailto links', () => {
+        expect(isSafeUrl('media/photo.jpg')).toBe(true);
+        expect(isSafeUrl('/scenes/lobby')).toBe(true);
+        expect(isSafeUrl('https://example.com/')).toBe(true);
+        expect(isSafeUrl('http://example.com/')).toBe(true);
+        expect(isSafeUrl('mailto:info@example.com')).toBe(true);
+    });
+
+    it('rejects script URLs, also when disguised', () => {
+        expect(isSafeUrl('javascript:alert(1)')).toBe(false);
+        expect(isSafeUrl('JavaScript:alert(1)')).toBe(false);
+        expect(isSafeUrl('java\tscript:alert(1)')).toBe(false);
+        expect(isSafeUrl('java\nscript:alert(1)')).toBe(false);
+        expect(isSafeUrl(' \u0000javascript:alert(1)')).toBe(false);
+        expect(isSafeUrl('vbscript:msgbox(1)')).toBe(false);
+        expect(isSafeUrl('data:text/html,<script>alert(1)</script>')).toBe(false);
+    });
+
+    it('accepts only raster data URLs, and only for images', () => {
+        expect(isSafeUrl('data:image/png;base64,iVBORw0KGgo=', true)).toBe(true);
+        expect(isSafeUrl('data:image/png;base64,iVBORw0KGgo=')).toBe(false);
+        expect(isSafeUrl('data:image/svg+xml;base64,PHN2Zz48L3N2Zz4=', true)).toBe(false);
+        expect(isSafeUrl('data:text/html;base64,PHNjcmlwdD4=', true)).toBe(false);
+        expect(isSafeUrl('mailto:info@example.com', true)).toBe(false);
+    });
+});
+
+describe('sanitizeHtml', () => {
+    for (const [name, payload] of Object.entries(PAYLOADS)) {
+        it(`neutralizes ${name}`, () => {
+            expectInert(sanitizeHtml(payload));
+        });
+    }
+
+    it('keeps allowed formatting, links and images', () => {
+        const container = sanitizeHtml('<p><strong>Bold</strong> <a href="https://example.com" title="t">link</a></p><img src="photo.jpg" alt="Photo">');
+        const link = container.querySelector('a');
+        expect(container.querySelector('strong').textContent).toBe('Bold');
+        expect(link.getAttribute('href')).toBe('https://example.com');
+        expect(link.target).toBe('_blank');
+        expect(link.rel).toBe('noopener noreferrer');
+        expect(container.querySelector('img').getAttribute('src')).toBe('photo.jpg');
+    });
+
+    it('drops unsafe URLs but keeps the element text', () => {
+        const container = sanitizeHtml(PAYLOADS.tabbedJavascriptHref);
+        expect(container.querySelector('a').hasAttribute('href')).toBe(false);
+        expect(container.textContent).toBe('Click');
+        expect(sanitizeHtml(PAYLOADS.dataHtmlImage).querySelector('img').hasAttribute('src')).toBe(false);
+    });
+
+    it('drops script and svg content, unwraps unknown tags', () => {
+        expect(sanitizeHtml(PAYLOADS.script).textContent).toBe('Hi');
+        expect(sanitizeHtml(PAYLOADS.svgOnload).textContent).toBe('');
+        const nested = sanitizeHtml(PAYLOADS.nested);
+        expect(nested.querySelector('div > b').textContent).toBe('Bold');
+        expect(sanitizeHtml(PAYLOADS.unwrapped).textContent).toBe('Go');
+    });
+});
+
+describe('renderMarkdown', () => {
+    it('shows HTML as text', () => {
+        for (const payload of Object.values(PAYLOADS)) {
+            const container = renderMarkdown(payload);
+            expectInert(container);
+            expect(container.querySelector('script, img, svg, iframe, a')).toBeNull();
+        }
+    });
+
+    it('drops unsafe link and image URLs', () => {
+        const container = renderMarkdown('[Click](javascript:alert(1)) ![Alt](data:text/html,x) [Ok](https://example.com)');
+        expectInert(container);
+        expect(container.querySelectorAll('a')).toHaveLength(1);
+        expect(container.querySelector('a').getAttribute('href')).toBe('https://example.com');
+        expect(container.querySelector('img')).toBeNull();
+        expect(container.textContent).toContain('Click');
+        expect(container.textContent).toContain('Alt');
+    });
+});
+
+describe('renderContent', () => {
+    const payload = Object.values(PAYLOADS).join('');
+
+    it('sanitizes HTML unless trustedHtml is set', () => {
+        expectInert(renderContent(payload, 'html'));
+        expectInert(renderContent(payload, 'html', false));
+    });
+
+    it('never inserts markdown as HTML, even with trustedHtml', () => {
+        expectInert(renderContent(payload, 'markdown', true));
+        expectInert(renderContent(payload, undefined, true));
+    });
+
+    it('inserts raw HTML only with trustedHtml', () => {
+        const container = renderContent(PAYLOADS.imgOnerror, 'html', true);
+        expect(container.querySelector('img').getAttribute('onerror')).toBe('window.pwned = true');
+    });
+});
+
+describe('hotspot types', () => {
+    const tour = (trustedHtml = false) => ({ options: { trustedHtml }, t: (key) => key });
+
+    afterEach(() => {
+        vi.restoreAllMocks();
+    });
+
+    it('sanitize html and info popups of untrusted tours', () => {
+        expectInert(getHotspotType('html').render({ html: PAYLOADS.imgOnerror + PAYLOADS.script }, tour()));
+        expectInert(getHotspotType('info').render({ content: PAYLOADS.javascriptHref, format: 'html' }, tour()));
+        expectInert(getHotspotType('image').render({ src: 'photo.jpg', content: PAYLOADS.svgOnload, format: 'html' }, tour()));
+    });
+
+    it('refuse unsafe media sources', () => {
+        vi.spyOn(console, 'warn').mockImplementation(() => {});
+        const image = getHotspotType('image').render({ id: 'a', src: 'data:text/html,<script>x()</script>' }, tour());
+        const video = getHotspotType('video').render({ id: 'b', src: 'javascript:alert(1)' }, tour());
+        expect(image.querySelector('img').hasAttribute('src')).toBe(false);
+        expect(video.querySelector('video').hasAttribute('src')).toBe(false);
+        expect(console.warn).toHaveBeenCalledTimes(2);
+    });
+
+    it('refuse to open unsafe web page URLs', () => {
+        vi.spyOn(console, 'warn').mockImplementation(() => {});
+        const open = vi.spyOn(window, 'open').mockImplementation(() => null);
+        const url = getHotspotType('url');
+        url.activate({ data: { id: 'a', url: 'javascript:alert(1)' } });
+        url.activate({ data: { id: 'b', url: 'java\tscript:alert(1)' } });
+        expect(open).not.toHaveBeenCalled();
+        url.activate({ data: { id: 'c', url: 'https://example.com' } });
+        expect(open).toHaveBeenCalledWith('https://example.com', '_blank', 'noopener');
+    });
+});
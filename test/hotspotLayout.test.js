@@ -0,0 +1,88 @@
+import { describe, it, expect } from 'vitest';
+import * as THREE from 'three';
+import { isOccluded, getDistanceStyle, declutterLabels } from '../hotspotLayout.js';
+import { spherePositionToUv } from '../tessellation.js';
+
+describe('isOccluded', () => {
+    const eye = new THREE.Vector3(0, 0, 0);
+    const direction = new THREE.Vector3(1, 0.2, 0.5).normalize();
+    const wallU = spherePositionToUv(direction.clone()).u;
+
+    // Room 5 away, with a wall 2 away in the hotspot's direction
+    const room = (u) => Math.abs(u - wallU) < 0.05 ? 2 : 5;
+
+    it('finds the surface between the camera and a hotspot behind it', () => {
+        const hotspot = direction.clone().multiplyScalar(5);
+        expect(isOccluded(eye, hotspot, room)).toBe(true);
+    });
+
+    it('leaves hotspots in front of the surface visible', () => {
+        expect(isOccluded(eye, direction.clone().multiplyScalar(1.9), room)).toBe(false);
+        expect(isOccluded(eye, direction.clone().multiplyScalar(5), () => 5)).toBe(false);
+    });
+
+    it('ignores the hotspot sitting on the surface', () => {
+        expect(isOccluded(eye, direction.clone().multiplyScalar(2), room)).toBe(false);
+    });
+
+    it('treats unknown depth as clear', () => {
+        expect(isOccluded(eye, direction.clone().multiplyScalar(5), () => null)).toBe(false);
+    });
+});
+
+describe('getDistanceStyle', () => {
+    const range = { min: 1, max: 10 };
+
+    it('clamps to the near style at range.min', () => {
+        expect(getDistanceStyle(1, range)).toEqual({ scale: 1.15, opacity: 1 });
+        expect(getDistanceStyle(0.2, range)).toEqual({ scale: 1.15, opacity: 1 });
+    });
+
+    it('clamps to the far style at range.max', () => {
+        const far = getDistanceStyle(10, range);
+        expect(far.scale).toBeCloseTo(0.7, 6);
+        expect(far.opacity).toBeCloseTo(0.75, 6);
+        expect(getDistanceStyle(50, range)).toEqual(far);
+    });
+
+    it('spreads distances on a logarithmic scale', () => {
+        const middle = getDistanceStyle(Math.sqrt(10), range);
+        expect(middle.scale).toBeCloseTo((1.15 + 0.7) / 2, 6);
+        expect(middle.opacity).toBeCloseTo((1 + 0.75) / 2, 6);
+    });
+
+    it('handles empty and zero ranges', () => {
+        expect(getDistanceStyle(3, { min: 3, max: 3 })).toEqual({ scale: 1.15, opacity: 1 });
+        const style = getDistanceStyle(0.5, { min: 0, max: 1 });
+        expect(Number.isFinite(style.scale)).toBe(true);
+    });
+});
+
+describe('declutterLabels', () => {
+    const label = (x, y, pinned = false) => ({ x, y, width: 100, height: 20, pinned });
+
+    it('hides the less important of two overlapping labels', () => {
+        const first = label(100, 100);
+        const second = label(150, 105);
+        const apart = label(400, 100);
+        const hidden = declutterLabels([first, second, apart]);
+        expect([...hidden]).toEqual([second]);
+    });
+
+    it('keeps pinned labels that overlap a shown one', () => {
+        const first = label(100, 100);
+        const pinned = label(150, 105, true);
+        expect(declutterLabels([first, pinned]).size).toBe(0);
+    });
+
+    it('hides labels that overlap a pinned one', () => {
+        const pinned = label(100, 100, true);
+        const other = label(150, 105);
+        expect(declutterLabels([pinned, other]).has(other)).toBe(true);
+    });
+
+    it('keeps a margin between labels', () => {
+        expect(declutterLabels([label(100, 100), label(202, 100)]).size).toBe(1);
+        expect(declutterLabels([label(100, 100), label(210, 100)]).size).toBe(0);
+    });
+});
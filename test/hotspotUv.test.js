@@ -0,0 +1,43 @@
+import { describe, it, expect } from 'vitest';
+import * as THREE from 'three';
+import { HOTSPOT_UV_VERSION, needsUvMigration, migrateHotspot } from '../hotspotUv.js';
+import { uvToSpherePosition } from '../tessellation.js';
+
+// Direction a version 2 uv points to
+const direction = ([u, v]) => uvToSpherePosition(u, v);
+
+describe('needsUvMigration', () => {
+    it('treats a uv without uvVersion as version 1', () => {
+        expect(needsUvMigration({ uv: [0.5, 0.5] })).toBe(true);
+        expect(needsUvMigration({ uv: [0.5, 0.5], uvVersion: 1 })).toBe(true);
+    });
+
+    it('leaves current and uv-less hotspots alone', () => {
+        expect(needsUvMigration({ uv: [0.5, 0.5], uvVersion: HOTSPOT_UV_VERSION })).toBe(false);
+        expect(needsUvMigration({ position: [0, 0, 1] })).toBe(false);
+        expect(needsUvMigration(null)).toBe(false);
+    });
+});
+
+describe('migrateHotspot', () => {
+    it('returns current hotspots unchanged', () => {
+        const data = { id: 'a', uv: [0.25, 0.5], uvVersion: HOTSPOT_UV_VERSION };
+        expect(migrateHotspot(data)).toBe(data);
+    });
+
+    it('keeps a version 1 hotspot where its position showed it', () => {
+        const data = { id: 'a', uv: [0.398, 0.5], d: 0.6, position: [0.8, 0, 0.6] };
+        const migrated = migrateHotspot(data);
+
+        expect(migrated).toMatchObject({ id: 'a', d: 0.6, position: data.position, uvVersion: HOTSPOT_UV_VERSION });
+        expect(direction(migrated.uv).distanceTo(new THREE.Vector3(0.8, 0, 0.6))).toBeLessThan(1e-5);
+        expect(data.uvVersion).toBeUndefined();
+    });
+
+    it('converts the version 1 convention of hotspots without a position', () => {
+        // u = 0.5 faced +z, v = 1 straight up
+        expect(direction(migrateHotspot({ uv: [0.5, 0.5] }).uv).distanceTo(new THREE.Vector3(0, 0, 1))).toBeLessThan(1e-5);
+        expect(direction(migrateHotspot({ uv: [0.75, 0.5] }).uv).distanceTo(new THREE.Vector3(1, 0, 0))).toBeLessThan(1e-5);
+        expect(direction(migrateHotspot({ uv: [0.3, 1] }).uv).y).toBeCloseTo(1, 5);
+    });
+});
@@ -0,0 +1,103 @@
+import { describe, it, expect } from 'vitest';
+import { Projection, panoramaToImageUv, ProjectedDepthMap } from '../projections.js';
+
+// Panorama uv of a direction given as longitude and latitude in degrees
+const uvAt = (longitude, latitude = 0) => [0.5 + longitude / 360, 0.5 + latitude / 180];
+
+const cubemap = (longitude, latitude) => panoramaToImageUv(...uvAt(longitude, latitude), Projection.CUBEMAP);
+const fisheye = (longitude, latitude, fov) => panoramaToImageUv(...uvAt(longitude, latitude), Projection.DUAL_FISHEYE, fov);
+
+describe('panoramaToImageUv', () => {
+    it('passes equirect coordinates through', () => {
+        expect(panoramaToImageUv(0.3, 0.7)).toEqual({ u: 0.3, v: 0.7 });
+    });
+
+    it('finds the centers of the cubemap faces in strip order', () => {
+        const faces = {
+            front: [0, 0],
+            right: [90, 0],
+            back: [180, 0],
+            left: [-90, 0],
+            up: [0, 90],
+            down: [0, -90]
+        };
+        Object.values(faces).forEach(([longitude, latitude], face) => {
+            const image = cubemap(longitude, latitude);
+            expect(image.u).toBeCloseTo((face + 0.5) / 6, 6);
+            expect(image.v).toBeCloseTo(0.5, 6);
+        });
+    });
+
+    it('keeps the side faces of the cubemap upright', () => {
+        expect(cubemap(0, 30).v).toBeGreaterThan(0.5);
+        expect(cubemap(20, 0).u).toBeGreaterThan(0.5 / 6);
+        expect(cubemap(110, 0).u).toBeGreaterThan(1.5 / 6);
+    });
+
+    it('puts the front at the bottom edge of the up face and the top edge of the down face', () => {
+        const up = cubemap(0, 60);
+        expect(up.u).toBeCloseTo(4.5 / 6, 6);
+        expect(up.v).toBeLessThan(0.5);
+        expect(cubemap(90, 60).u).toBeGreaterThan(4.5 / 6);
+
+        const down = cubemap(0, -60);
+        expect(down.u).toBeCloseTo(5.5 / 6, 6);
+        expect(down.v).toBeGreaterThan(0.5);
+        expect(cubemap(90, -60).u).toBeGreaterThan(5.5 / 6);
+    });
+
+    it('maps the lens centers of a dual fisheye to the circle centers', () => {
+        expect(fisheye(0, 0).u).toBeCloseTo(0.25, 6);
+        expect(fisheye(0, 0).v).toBeCloseTo(0.5, 6);
+        expect(fisheye(180, 0).u).toBeCloseTo(0.75, 6);
+        expect(fisheye(180, 0).v).toBeCloseTo(0.5, 6);
+    });
+
+    it('maps the edge of the fisheye field of view to the circle edge', () => {
+        // 89 of the 90 degrees a 180 degree lens reaches to each side
+        expect(fisheye(89, 0, 180).u).toBeCloseTo((0.5 + 0.5 * 89 / 90) * 0.5, 6);
+        expect(fisheye(-89, 0, 180).u).toBeCloseTo((0.5 - 0.5 * 89 / 90) * 0.5, 6);
+        expect(fisheye(0, 89, 180).v).toBeCloseTo(0.5 + 0.5 * 89 / 90, 6);
+
+        // A wider lens draws the same direction closer to the center
+        expect(fisheye(89, 0, 220).u).toBeLessThan(fisheye(89, 0, 180).u);
+    });
+
+    it('mirrors the back lens horizontally', () => {
+        // Behind on the right is on the left of the back circle, as the back lens sees it
+        const behindRight = fisheye(150, 0);
+        expect(behindRight.u).toBeGreaterThan(0.5);
+        expect(behindRight.u).toBeLessThan(0.75);
+
+        const behindLeft = fisheye(-150, 0);
+        expect(behindLeft.u).toBeGreaterThan(0.75);
+
+        // Up stays up
+        expect(fisheye(150, 30).v).toBeGreaterThan(0.5);
+    });
+});
+
+describe('ProjectedDepthMap', () => {
+    // Depth map that returns where it was read
+    const fakeDepthMap = (width, height) => ({ width, height, sample: (u, v) => ({ u, v }) });
+
+    it('reads equirect depth maps directly', () => {
+        const depth = new ProjectedDepthMap(fakeDepthMap(2048, 1024));
+        expect(depth.sample(0.3, 0.7)).toEqual({ u: 0.3, v: 0.7 });
+        expect(depth.width).toBe(2048);
+        expect(depth.height).toBe(1024);
+    });
+
+    it('reads other layouts through the projection', () => {
+        const depth = new ProjectedDepthMap(fakeDepthMap(6144, 1024), Projection.CUBEMAP);
+        expect(depth.sample(...uvAt(90, 0))).toEqual(panoramaToImageUv(...uvAt(90, 0), Projection.CUBEMAP));
+        expect(depth.width).toBe(4096);
+        expect(depth.height).toBe(2048);
+    });
+
+    it('sizes dual fisheye depth maps by the lens field of view', () => {
+        const depth = new ProjectedDepthMap(fakeDepthMap(2000, 1000), Projection.DUAL_FISHEYE, 180);
+        expect(depth.width).toBe(2000);
+        expect(depth.sample(...uvAt(180, 0)).u).toBeCloseTo(0.75, 6);
+    });
+});
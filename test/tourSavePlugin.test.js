@@ -0,0 +1,89 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { Readable } from 'node:stream';
+import { tourSavePlugin } from '../tools/tourSavePlugin.js';
+
+const CONFIG = { start: 'lobby', scenes: { lobby: { title: 'Lobby', path: 'scenes/lobby' } } };
+
+// The plugin's /__tour/config handler, as registered with the dev server
+function createEndpoint(root, serverOptions = {}) {
+    const plugin = tourSavePlugin();
+    plugin.configResolved({ root, server: serverOptions });
+    const handlers = {};
+    plugin.configureServer({ middlewares: { use: (route, handler) => { handlers[route] = handler; } } });
+    return handlers['/__tour/config'];
+}
+
+// Run a request through a handler, resolves to { status, body }
+async function request(handler, headers, body = { config: CONFIG }) {
+    const req = Readable.from([Buffer.from(JSON.stringify(body))]);
+    req.method = 'POST';
+    req.headers = { host: 'localhost:5173', 'content-type': 'application/json', ...headers };
+    let response;
+    const res = {
+        setHeader() {},
+        end(text) {
+            response = { status: this.statusCode, body: JSON.parse(text) };
+        }
+    };
+    await handler(req, res);
+    return response;
+}
+
+describe('tourSavePlugin', () => {
+    let root;
+
+    beforeEach(async () => {
+        root = await fs.mkdtemp(path.join(os.tmpdir(), 'depth-tour-test-'));
+        await fs.writeFile(path.join(root, 'scenes.json'), '{}\n');
+    });
+
+    afterEach(async () => {
+        await fs.rm(root, { recursive: true, force: true });
+    });
+
+    it('saves JSON posted by a page of the dev server', async () => {
+        const response = await request(createEndpoint(root), { origin: 'http://localhost:5173' });
+        expect(response.status).toBe(200);
+        expect(JSON.parse(await fs.readFile(path.join(root, 'scenes.json'), 'utf8'))).toEqual(CONFIG);
+    });
+
+    it('rejects simple cross-site POSTs without a JSON content type', async () => {
+        for (const contentType of ['text/plain', 'application/x-www-form-urlencoded', 'multipart/form-data', undefined]) {
+            const response = await request(createEndpoint(root), { 'content-type': contentType });
+            expect(response.status).toBe(415);
+        }
+    });
+
+    it('rejects other origins', async () => {
+        for (const origin of ['https://evil.example', 'http://localhost:8080', 'null']) {
+            const response = await request(createEndpoint(root), { origin });
+            expect(response.status).toBe(403);
+        }
+    });
+
+    it('rejects host names the server is not configured for', async () => {
+        const response = await request(createEndpoint(root), { host: 'evil.example:5173', origin: 'http://evil.example:5173' });
+        expect(response.status).toBe(403);
+        const allowed = await request(createEndpoint(root, { allowedHosts: ['.tour.test'] }),
+            { host: 'dev.tour.test:5173', origin: 'http://dev.tour.test:5173' });
+        expect(allowed.status).toBe(200);
+    });
+
+    it('only saves configs loaded from the served config file', async () => {
+        const headers = { origin: 'http://localhost:5173' };
+        const other = await request(createEndpoint(root), headers, { config: CONFIG, source: '/tours/other.json' });
+        expect(other.status).toBe(409);
+        const same = await request(createEndpoint(root), headers, { config: CONFIG, source: '/scenes.json' });
+        expect(same.status).toBe(200);
+    });
+
+    it('leaves the file alone when rejecting', async () => {
+        await request(createEndpoint(root), { 'content-type': 'text/plain' });
+        await request(createEndpoint(root), { origin: 'https://evil.example' });
+        await request(createEndpoint(root), { origin: 'http://localhost:5173' }, { config: CONFIG, source: '/other.json' });
+        expect(await fs.readFile(path.join(root, 'scenes.json'), 'utf8')).toBe('{}\n');
+    });
+});
@@ -0,0 +1,32 @@
+import { describe, it, expect } from 'vitest';
+import { validateHotspots, getSceneDepthEncoding } from '../tourValidation.js';
+
+const hotspot = (d) => ({ id: 'a', type: 'info', uv: [0.5, 0.5], d: d });
+
+describe('validateHotspots', () => {
+    it('reports depth values above 1 for depth maps in [0,1]', () => {
+        for (const encoding of ['normalized', 'linear', 'inverse']) {
+            expect(validateHotspots([hotspot(2.5)], null, encoding)).toEqual([
+                `hotspots[0].d must be at most 1 for "${encoding}" depth`
+            ]);
+            expect(validateHotspots([hotspot(0.8)], null, encoding)).toEqual([]);
+        }
+    });
+
+    it('accepts metric depth values and skips the check without an encoding', () => {
+        expect(validateHotspots([hotspot(2.5)], null, 'metric')).toEqual([]);
+        expect(validateHotspots([hotspot(2.5)])).toEqual([]);
+    });
+});
+
+describe('getSceneDepthEncoding', () => {
+    it('takes the scene setting, then the defaults, then normalized', () => {
+        const config = {
+            defaults: { depthEncoding: 'metric' },
+            scenes: { lobby: { depthEncoding: 'linear' }, hall: {} }
+        };
+        expect(getSceneDepthEncoding(config, 'lobby')).toBe('linear');
+        expect(getSceneDepthEncoding(config, 'hall')).toBe('metric');
+        expect(getSceneDepthEncoding({ scenes: { hall: {} } }, 'hall')).toBe('normalized');
+    });
+});
@@ -0,0 +1,77 @@
+import { describe, it, expect } from 'vitest';
+import { parseUrlState, formatUrlState, getLanguageParam, setLanguageParam } from '../urlState.js';
+
+describe('parseUrlState', () => {
+    it('reads scene, view and hotspot', () => {
+        expect(parseUrlState('#scene=hall&yaw=42.0&pitch=-5.0&fov=75&hotspot=info-hall')).toEqual({
+            scene: 'hall',
+            yaw: 42,
+            pitch: -5,
+            fov: 75,
+            hotspot: 'info-hall'
+        });
+    });
+
+    it('accepts a hash without the leading #', () => {
+        expect(parseUrlState('scene=lobby').scene).toBe('lobby');
+    });
+
+    it('leaves out missing values', () => {
+        expect(parseUrlState('')).toEqual({
+            scene: undefined,
+            yaw: undefined,
+            pitch: undefined,
+            fov: undefined,
+            hotspot: undefined
+        });
+        expect(parseUrlState('#scene=&hotspot=')).toMatchObject({ scene: undefined, hotspot: undefined });
+    });
+
+    it('ignores malformed numbers', () => {
+        const state = parseUrlState('#scene=hall&yaw=left&pitch=&fov=Infinity');
+        expect(state).toMatchObject({ scene: 'hall', yaw: undefined, pitch: undefined, fov: undefined });
+    });
+
+    it('survives malformed hashes', () => {
+        expect(parseUrlState('#%E0%A4%A&yaw=10').yaw).toBe(10);
+        expect(parseUrlState('#&&=&scene').scene).toBeUndefined();
+        expect(parseUrlState('#just-some-anchor')).toMatchObject({ scene: undefined, yaw: undefined });
+    });
+
+    it('decodes escaped names', () => {
+        expect(parseUrlState('#scene=living%20room&hotspot=a%26b')).toMatchObject({
+            scene: 'living room',
+            hotspot: 'a&b'
+        });
+    });
+});
+
+describe('formatUrlState', () => {
+    it('rounds the view', () => {
+        expect(formatUrlState({ scene: 'hall', yaw: 42.04, pitch: -5.06, fov: 74.6 }))
+            .toBe('#scene=hall&yaw=42.0&pitch=-5.1&fov=75');
+    });
+
+    it('leaves out unset values', () => {
+        expect(formatUrlState({ scene: 'hall' })).toBe('#scene=hall');
+        expect(formatUrlState({ scene: 'hall', hotspot: null })).toBe('#scene=hall');
+    });
+
+    it('round-trips through parseUrlState', () => {
+        const state = { scene: 'living room', yaw: -120.5, pitch: 10, fov: 60, hotspot: 'a&b' };
+        expect(parseUrlState(formatUrlState(state))).toEqual(state);
+    });
+});
+
+describe('language parameter', () => {
+    it('reads ?lang=', () => {
+        expect(getLanguageParam('?lang=de')).toBe('de');
+        expect(getLanguageParam('?lang=')).toBeNull();
+        expect(getLanguageParam('')).toBeNull();
+    });
+
+    it('sets ?lang= and keeps the hash', () => {
+        expect(setLanguageParam('https://example.com/tour/?lang=en#scene=hall', 'pl'))
+            .toBe('https://example.com/tour/?lang=pl#scene=hall');
+    });
+});
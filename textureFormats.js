@@ -0,0 +1,85 @@
+/**
+ * Depth Tour Texture Formats
+ *
+ * The image files of a scene and how their formats are told apart. A scene
+ * can name its files in scenes.json ("files": { "panorama": "pano.ktx2",
+ * "depth": "depth.webp" }); the default names below are tried otherwise.
+ * The format always comes from a file's first bytes, never its name.
+ * Shared by the viewer and the tools in tools/.
+ */
+
+export const TextureFormat = {
+    PNG: 'png',
+    JPEG: 'jpeg',
+    WEBP: 'webp',
+    KTX2: 'ktx2',   // Basis Universal compressed color, or uncompressed single-channel depth
+    EXR: 'exr'
+};
+
+// Images of a scene: the formats each can be in and its default file names, in the order they're tried
+export const SCENE_IMAGES = {
+    panorama: {
+        formats: [TextureFormat.KTX2, TextureFormat.PNG, TextureFormat.JPEG, TextureFormat.WEBP],
+        files: ['pano.png', 'pano.jpg', 'pano.ktx2', 'pano.webp']
+    },
+    depth: {
+        formats: [TextureFormat.EXR, TextureFormat.PNG, TextureFormat.KTX2, TextureFormat.WEBP],
+        files: ['depth.exr', 'depth.png', 'depth.ktx2', 'depth.webp']
+    },
+    background: {
+        formats: [TextureFormat.KTX2, TextureFormat.PNG, TextureFormat.JPEG, TextureFormat.WEBP],
+        files: ['background.png', 'background.jpg', 'background.ktx2', 'background.webp']
+    }
+};
+
+// Vulkan formats of KTX2 depth maps: one uncompressed channel, which is read back on the CPU
+export const KTX2_DEPTH_FORMATS = {
+    9: 'R8_UNORM',
+    76: 'R16_SFLOAT',
+    100: 'R32_SFLOAT'
+};
+
+const SIGNATURES = [
+    { format: TextureFormat.PNG, bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a] },
+    { format: TextureFormat.JPEG, bytes: [0xff, 0xd8, 0xff] },
+    { format: TextureFormat.KTX2, bytes: [0xab, 0x4b, 0x54, 0x58, 0x20, 0x32, 0x30, 0xbb, 0x0d, 0x0a, 0x1a, 0x0a] },
+    { format: TextureFormat.EXR, bytes: [0x76, 0x2f, 0x31, 0x01] },
+    // "RIFF", the chunk size, then "WEBP"
+    { format: TextureFormat.WEBP, bytes: [0x52, 0x49, 0x46, 0x46, null, null, null, null, 0x57, 0x45, 0x42, 0x50] }
+];
+
+const toBytes = (data) => data instanceof Uint8Array ? data : new Uint8Array(data);
+
+/**
+ * Format of an image file from its first bytes (ArrayBuffer or Uint8Array), null if unknown
+ */
+export function sniffTextureFormat(data) {
+    const bytes = toBytes(data);
+    const match = SIGNATURES.find(signature => signature.bytes.length <= bytes.length &&
+        signature.bytes.every((byte, i) => byte === null || bytes[i] === byte));
+    return match ? match.format : null;
+}
+
+/**
+ * Vulkan format of a KTX2 file, 0 (VK_FORMAT_UNDEFINED) for Basis Universal
+ */
+export function getKtx2VkFormat(data) {
+    const bytes = toBytes(data);
+    if (bytes.length < 16) return 0;
+    return new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength).getUint32(12, true);
+}
+
+/**
+ * Why a file of this format can't be used as the given scene image, or null if it can
+ */
+export function checkSceneImageFormat(role, format, data) {
+    const { formats } = SCENE_IMAGES[role];
+    if (!formats.includes(format)) {
+        return `is not one of ${formats.map(name => name.toUpperCase()).join(', ')}`;
+    }
+    // Block compression would blur depth, and GPU-compressed data can't be read back for the mesh
+    if (role === 'depth' && format === TextureFormat.KTX2 && !KTX2_DEPTH_FORMATS[getKtx2VkFormat(data)]) {
+        return `is a KTX2 file but not ${Object.values(KTX2_DEPTH_FORMATS).join(', ')} data`;
+    }
+    return null;
+}
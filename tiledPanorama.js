@@ -0,0 +1,348 @@
+/**
+ * Depth Tour Tiled Panoramas
+ *
+ * Streams a multi-resolution equirectangular tile pyramid (cut with
+ * tools/cutTiles.js) instead of one large panorama image. A low-res preview
+ * is shown right away; the tiles covering the view are then loaded at the
+ * level that matches the screen resolution, into a fixed-size atlas texture.
+ * A small page table texture tells the depth shader which atlas slot holds
+ * the best loaded tile for each part of the panorama, so no single texture
+ * ever exceeds the GPU's size limit.
+ *
+ * Pyramid layout (folder with tiles.json):
+ *   tiles.json             { width, height, tileSize, overlap, levels, format, preview }
+ *   preview.jpg            Whole panorama at low resolution
+ *   <level>/<row>_<column>.<format>
+ *
+ * Level 0 is the coarsest; every level is exactly twice the size of the one
+ * before, the last one is width x height. Tiles are tileSize pixels plus
+ * "overlap" pixels copied from their neighbours on inner edges, so filtering
+ * across tile borders has the right pixels to blend with.
+ */
+
+import * as THREE from 'three';
+import { spherePositionToUv } from './tessellation.js';
+
+// Largest atlas edge; 4096 holds 64 tiles of 512 pixels
+const MAX_ATLAS_SIZE = 4096;
+
+// Tile requests in flight at once
+const MAX_CONCURRENT_LOADS = 4;
+
+// Screen points sampled per axis to find the tiles in view
+const VIEW_SAMPLES_X = 9;
+const VIEW_SAMPLES_Y = 7;
+
+// Size of the level row offset array in the depth fragment shader
+const MAX_TILE_LEVELS = 16;
+
+// Screen sample points in normalized device coordinates, closest to the center first
+const VIEW_SAMPLES = [];
+for (let y = 0; y < VIEW_SAMPLES_Y; y++) {
+    for (let x = 0; x < VIEW_SAMPLES_X; x++) {
+        VIEW_SAMPLES.push(new THREE.Vector2(
+            (x / (VIEW_SAMPLES_X - 1)) * 2 - 1,
+            (y / (VIEW_SAMPLES_Y - 1)) * 2 - 1
+        ));
+    }
+}
+VIEW_SAMPLES.sort((a, b) => a.lengthSq() - b.lengthSq());
+
+const tileKey = (level, row, column) => `${level}/${row}_${column}`;
+
+/**
+ * Tile pyramid of one scene, bound to a renderer
+ */
+export class TiledPanorama {
+    /**
+     * Load the manifest and preview of the pyramid in folder url
+     */
+    static async load(url, renderer, textureLoader) {
+        const response = await fetch(`${url}/tiles.json`);
+        if (!response.ok) {
+            throw new Error(`Failed to load ${url}/tiles.json: ${response.status}`);
+        }
+        const manifest = await response.json();
+
+        if (!(manifest.levels >= 1 && manifest.levels <= MAX_TILE_LEVELS)) {
+            throw new Error(`${url}/tiles.json: levels must be between 1 and ${MAX_TILE_LEVELS}`);
+        }
+
+        const preview = await textureLoader.loadAsync(`${url}/${manifest.preview}`);
+        preview.colorSpace = THREE.SRGBColorSpace;
+        preview.wrapS = THREE.RepeatWrapping;
+        preview.wrapT = THREE.ClampToEdgeWrapping;
+        preview.minFilter = THREE.LinearFilter;
+        preview.magFilter = THREE.LinearFilter;
+
+        console.log(`Loaded tiled panorama preview (${manifest.width}x${manifest.height}, ${manifest.levels} levels)`);
+        return new TiledPanorama(url, manifest, preview, renderer);
+    }
+
+    constructor(url, manifest, preview, renderer) {
+        this.isTiledPanorama = true;
+        this.url = url;
+        this.manifest = manifest;
+        this.preview = preview;
+        this.renderer = renderer;
+
+        this.tileSize = manifest.tileSize;
+        this.overlap = manifest.overlap || 0;
+        this.slotSize = this.tileSize + 2 * this.overlap;
+
+        // Level sizes, tile grids and their rows in the page table
+        let pageRows = 0;
+        this.levels = [];
+        for (let level = 0; level < manifest.levels; level++) {
+            const scale = Math.pow(2, level - (manifest.levels - 1));
+            const width = manifest.width * scale;
+            const height = manifest.height * scale;
+            const columns = Math.ceil(width / this.tileSize);
+            const rows = Math.ceil(height / this.tileSize);
+            this.levels.push({ width, height, columns, rows, rowOffset: pageRows });
+            pageRows += rows;
+        }
+        const finest = this.levels[this.levels.length - 1];
+
+        // Atlas of tile slots, filled with copies of the loaded tile images
+        const atlasSize = Math.min(MAX_ATLAS_SIZE, renderer.capabilities.maxTextureSize);
+        this.slotsPerRow = Math.floor(atlasSize / this.slotSize);
+        this.freeSlots = [];
+        for (let slot = this.slotsPerRow * this.slotsPerRow - 1; slot >= 0; slot--) {
+            this.freeSlots.push(slot);
+        }
+        this.slotCount = this.freeSlots.length;
+
+        this.atlas = new THREE.DataTexture(null, atlasSize, atlasSize);
+        this.atlas.colorSpace = THREE.SRGBColorSpace;
+        this.atlas.minFilter = THREE.LinearFilter;
+        this.atlas.magFilter = THREE.LinearFilter;
+        // Upload only allocates GPU memory (on first use, so preloaded scenes cost nothing),
+        // the slots are filled tile by tile
+        this.atlas.source.dataReady = false;
+        this.atlas.needsUpdate = true;
+
+        // Page table: per level and tile, the atlas slot and level of the best loaded tile
+        // covering it (RGBA = slot column, slot row, level, loaded)
+        this.pageTable = new THREE.DataTexture(
+            new Uint8Array(finest.columns * pageRows * 4),
+            finest.columns,
+            pageRows
+        );
+        this.pageTable.needsUpdate = true;
+
+        const levelRows = new Array(MAX_TILE_LEVELS).fill(0);
+        this.levels.forEach((level, index) => { levelRows[index] = level.rowOffset; });
+
+        // Merged into the depth material by createDepthMaterial()
+        this.defines = { TILED_COLOR: '', MAX_TILE_LEVELS: MAX_TILE_LEVELS };
+        this.uniforms = {
+            tAtlas: { value: this.atlas },
+            tPageTable: { value: this.pageTable },
+            tileFinestSize: { value: new THREE.Vector2(finest.width, finest.height) },
+            tileSize: { value: this.tileSize },
+            tileOverlap: { value: this.overlap },
+            tileSlotSize: { value: this.slotSize },
+            tileAtlasSize: { value: atlasSize },
+            tileLevelCount: { value: this.levels.length },
+            tileLevelRows: { value: levelRows }
+        };
+
+        this.tiles = new Map();     // Loaded tiles by key: { level, row, column, slot, lastUsed }
+        this.loading = new Set();   // Keys of tiles being fetched
+        this.failed = new Set();    // Keys of tiles that could not be loaded, not retried
+        this.queue = [];            // Tiles in view that still need loading, most important first
+        this.frame = 0;
+        this.abortController = new AbortController();
+        this.isDisposed = false;
+
+        this.point = new THREE.Vector3();
+        this.cameraPosition = new THREE.Vector3();
+        this.bufferSize = new THREE.Vector2();
+    }
+
+    /**
+     * Request the tiles in view, once per frame
+     */
+    update(camera, seamFix = 0) {
+        this.frame++;
+
+        const level = this.getViewLevel(camera);
+        const inView = this.getTilesInView(camera, level, seamFix);
+
+        this.queue = [];
+        inView.forEach(tile => {
+            const loaded = this.tiles.get(tile.key);
+            if (loaded) {
+                loaded.lastUsed = this.frame;
+            } else if (!this.loading.has(tile.key) && !this.failed.has(tile.key)) {
+                this.queue.push(tile);
+            }
+        });
+        this.startLoads();
+    }
+
+    /**
+     * Level whose resolution best matches the screen at the camera's field of view
+     */
+    getViewLevel(camera) {
+        const lastLevel = this.levels.length - 1;
+        const screenPixelsPerRadian = this.renderer.getDrawingBufferSize(this.bufferSize).y /
+            (2 * Math.tan(THREE.MathUtils.degToRad(camera.fov) / 2));
+        const finestPixelsPerRadian = this.levels[lastLevel].width / (2 * Math.PI);
+
+        const levelsAboveScreen = Math.round(Math.log2(finestPixelsPerRadian / screenPixelsPerRadian));
+        return THREE.MathUtils.clamp(lastLevel - levelsAboveScreen, 0, lastLevel);
+    }
+
+    /**
+     * Tiles of a level under the screen sample points, closest to the view center first.
+     * At most slotCount tiles, so the ones in view always fit in the atlas.
+     */
+    getTilesInView(camera, level, seamFix) {
+        const { width, height, columns, rows } = this.levels[level];
+        const tiles = new Map();
+        this.cameraPosition.setFromMatrixPosition(camera.matrixWorld);
+
+        for (const sample of VIEW_SAMPLES) {
+            // Displacement is radial and head motion small, so the view ray's direction picks the panorama position
+            this.point.set(sample.x, sample.y, 0.5).unproject(camera).sub(this.cameraPosition);
+            const { u, v } = spherePositionToUv(this.point);
+
+            // Same seam offset as the shader's color lookup; rows count from the image top
+            const colorU = THREE.MathUtils.clamp(u + seamFix, 0, 1);
+            const column = Math.min(Math.floor(colorU * width / this.tileSize), columns - 1);
+            const row = Math.min(Math.floor((1 - v) * height / this.tileSize), rows - 1);
+            const key = tileKey(level, row, column);
+
+            if (!tiles.has(key)) {
+                tiles.set(key, { key, level, row, column });
+                if (tiles.size === this.slotCount) break;
+            }
+        }
+
+        return [...tiles.values()];
+    }
+
+    /**
+     * Start fetching queued tiles up to the concurrency limit
+     */
+    startLoads() {
+        while (this.loading.size < MAX_CONCURRENT_LOADS && this.queue.length > 0) {
+            this.loadTile(this.queue.shift());
+        }
+    }
+
+    /**
+     * Fetch a tile and copy it into a free atlas slot
+     */
+    async loadTile(tile) {
+        const url = `${this.url}/${tile.key}.${this.manifest.format}`;
+        this.loading.add(tile.key);
+
+        try {
+            const response = await fetch(url, { signal: this.abortController.signal });
+            if (!response.ok) {
+                throw new Error(`${response.status}`);
+            }
+            // Keep the image's row order; the shader addresses slots from the tile's top edge
+            const bitmap = await createImageBitmap(await response.blob(), {
+                imageOrientation: 'none',
+                premultiplyAlpha: 'none'
+            });
+
+            const slot = this.isDisposed ? null : this.allocateSlot();
+            if (slot === null) {
+                bitmap.close();
+                return;
+            }
+
+            const source = new THREE.Texture(bitmap);
+            const position = new THREE.Vector2(
+                (slot % this.slotsPerRow) * this.slotSize,
+                Math.floor(slot / this.slotsPerRow) * this.slotSize
+            );
+            this.renderer.copyTextureToTexture(source, this.atlas, null, position);
+            bitmap.close();
+
+            // Repoint pages right away, the slot may have held an evicted tile
+            this.tiles.set(tile.key, { ...tile, slot, lastUsed: this.frame });
+            this.updatePageTable();
+        } catch (error) {
+            if (error.name !== 'AbortError') {
+                console.warn(`Failed to load tile ${url}:`, error.message);
+                this.failed.add(tile.key);
+            }
+        } finally {
+            this.loading.delete(tile.key);
+            if (!this.isDisposed) {
+                this.startLoads();
+            }
+        }
+    }
+
+    /**
+     * A free atlas slot, evicting the least recently used tile out of view if needed
+     */
+    allocateSlot() {
+        if (this.freeSlots.length > 0) {
+            return this.freeSlots.pop();
+        }
+
+        let oldest = null;
+        this.tiles.forEach(tile => {
+            if (tile.lastUsed < this.frame && (!oldest || tile.lastUsed < oldest.lastUsed)) {
+                oldest = tile;
+            }
+        });
+        if (!oldest) return null;
+
+        this.tiles.delete(oldest.key);
+        return oldest.slot;
+    }
+
+    /**
+     * Point every page at its own tile if loaded, otherwise at its parent's entry
+     */
+    updatePageTable() {
+        const data = this.pageTable.image.data;
+        const tableWidth = this.pageTable.image.width;
+        data.fill(0);
+
+        this.levels.forEach((level, levelIndex) => {
+            const parent = this.levels[levelIndex - 1];
+
+            for (let row = 0; row < level.rows; row++) {
+                for (let column = 0; column < level.columns; column++) {
+                    const index = ((level.rowOffset + row) * tableWidth + column) * 4;
+                    const tile = this.tiles.get(tileKey(levelIndex, row, column));
+
+                    if (tile) {
+                        data[index] = tile.slot % this.slotsPerRow;
+                        data[index + 1] = Math.floor(tile.slot / this.slotsPerRow);
+                        data[index + 2] = levelIndex;
+                        data[index + 3] = 255;
+                    } else if (parent) {
+                        // Levels double in size, so the parent tile is at half the indices
+                        const parentIndex = ((parent.rowOffset + (row >> 1)) * tableWidth + (column >> 1)) * 4;
+                        data.copyWithin(index, parentIndex, parentIndex + 4);
+                    }
+                }
+            }
+        });
+
+        this.pageTable.needsUpdate = true;
+    }
+
+    /**
+     * Stop loading and release the GPU textures (the preview belongs to the scene's material)
+     */
+    dispose() {
+        this.isDisposed = true;
+        this.abortController.abort();
+        this.queue = [];
+        this.tiles.clear();
+        this.atlas.dispose();
+        this.pageTable.dispose();
+    }
+}
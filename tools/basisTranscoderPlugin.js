@@ -0,0 +1,59 @@
+/**
+ * Depth Tour Basis Transcoder Plugin
+ *
+ * Vite plugin that puts three's Basis Universal transcoder, which KTX2Loader
+ * needs for compressed KTX2 textures, under basis/ next to index.html:
+ * served from node_modules by `npm run dev` and written into builds (and so
+ * into packaged tours). The tour's basisTranscoderPath option points at it.
+ */
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { createRequire } from 'node:module';
+
+const require = createRequire(import.meta.url);
+
+// Files KTX2Loader loads from its transcoder path
+const TRANSCODER_FILES = {
+    'basis_transcoder.js': 'text/javascript',
+    'basis_transcoder.wasm': 'application/wasm'
+};
+const TRANSCODER_DIR = path.dirname(require.resolve('three/examples/jsm/libs/basis/basis_transcoder.js'));
+
+/**
+ * Create the plugin. Options: folder (URL path of the transcoder, default "basis")
+ */
+export function basisTranscoderPlugin(options = {}) {
+    const folder = (options.folder || 'basis').replace(/^\/+|\/+$/g, '');
+
+    return {
+        name: 'depth-tour-basis-transcoder',
+
+        configureServer(server) {
+            server.middlewares.use(`/${folder}`, async (req, res, next) => {
+                const name = req.url.split('?')[0].replace(/^\//, '');
+                if (!Object.hasOwn(TRANSCODER_FILES, name)) {
+                    next();
+                    return;
+                }
+                try {
+                    const data = await fs.readFile(path.join(TRANSCODER_DIR, name));
+                    res.setHeader('Content-Type', TRANSCODER_FILES[name]);
+                    res.end(data);
+                } catch (error) {
+                    next(error);
+                }
+            });
+        },
+
+        async generateBundle() {
+            for (const name of Object.keys(TRANSCODER_FILES)) {
+                this.emitFile({
+                    type: 'asset',
+                    fileName: `${folder}/${name}`,
+                    source: await fs.readFile(path.join(TRANSCODER_DIR, name))
+                });
+            }
+        }
+    };
+}
@@ -0,0 +1,263 @@
+/**
+ * Depth Tour Texture Converter
+ *
+ * Converts a tour's scene images to formats that load faster and take less
+ * GPU memory, and names the new files in scenes.json ("files"), so the tour
+ * loads them without trying the default names:
+ *
+ * - Panoramas and backgrounds become Basis Universal KTX2 files, which stay
+ *   compressed on the GPU (4 to 8 times less memory than decoded RGBA).
+ *   Encoding needs `toktx` from KTX-Software:
+ *   https://github.com/KhronosGroup/KTX-Software/releases
+ * - PNG depth maps become lossless WebP files holding 16 bits per texel,
+ *   split over red (high byte) and green (low byte).
+ *
+ * Usage:
+ *   npm run convert-textures -- [tour folder] [--config scenes.json] [--scene id]
+ *                               [--encoding uastc|etc1s] [--no-color] [--no-depth] [--toktx path]
+ *
+ * uastc (default) keeps the most detail; etc1s makes smaller files and uses
+ * half the GPU memory, at visibly lower quality. The original files are
+ * kept; package-tour only includes the ones the tour loads. EXR depth maps
+ * are left alone, their float values don't fit 16 bits without changing
+ * the scene's depth settings.
+ */
+
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { execFile } from 'node:child_process';
+import sharp from 'sharp';
+import { TextureFormat } from '../textureFormats.js';
+import { findSceneImage, readJson, writeJson } from './tourFiles.js';
+
+// toktx arguments by Basis encoding
+const ENCODINGS = {
+    uastc: ['--encode', 'uastc', '--uastc_quality', '2', '--zcmp', '19'],
+    etc1s: ['--encode', 'etc1s', '--clevel', '2', '--qlevel', '192']
+};
+
+const USAGE = 'Usage: convert-textures [tour folder] [--config scenes.json] [--scene id] ' +
+    '[--encoding uastc|etc1s] [--no-color] [--no-depth] [--toktx path]';
+
+// Parse command line arguments
+function parseArgs(args) {
+    const options = {
+        folder: '.',
+        config: 'scenes.json',
+        scene: null,
+        encoding: 'uastc',
+        color: true,
+        depth: true,
+        toktx: 'toktx'
+    };
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        if (['--config', '--scene', '--encoding', '--toktx'].includes(arg)) {
+            if (i + 1 >= args.length) {
+                throw new Error(`${arg} needs a value`);
+            }
+            options[arg.slice(2)] = args[++i];
+        } else if (arg === '--no-color' || arg === '--no-depth') {
+            options[arg.slice(5)] = false;
+        } else if (arg === '--help' || arg === '-h') {
+            options.help = true;
+        } else if (arg.startsWith('-')) {
+            throw new Error(`Unknown option ${arg}`);
+        } else {
+            options.folder = arg;
+        }
+    }
+
+    if (!options.help && !ENCODINGS[options.encoding]) {
+        throw new Error(`Unknown encoding "${options.encoding}"`);
+    }
+    return options;
+}
+
+// Big panoramas are the point, so lift sharp's pixel limit
+const openImage = (input) => sharp(input, { limitInputPixels: false });
+
+// Same file name with another extension
+const withExtension = (name, extension) => name.replace(/(\.[^./\\]*)?$/, `.${extension}`);
+
+const megabytes = async (file) => ((await fs.stat(file)).size / (1024 * 1024)).toFixed(1);
+
+// Run a program, rejecting with its error output
+function run(command, args) {
+    return new Promise((resolve, reject) => {
+        execFile(command, args, { maxBuffer: 16 * 1024 * 1024 }, (error, stdout, stderr) => {
+            if (error && error.code === 'ENOENT') {
+                reject(new Error(`${command} not found, install KTX-Software or pass --toktx <path> (or use --no-color)`));
+            } else if (error) {
+                reject(new Error(`${command} failed: ${stderr.trim() || error.message}`));
+            } else {
+                resolve(stdout);
+            }
+        });
+    });
+}
+
+/**
+ * Encode a color image as Basis Universal KTX2 with toktx
+ */
+async function convertColor(input, output, options) {
+    // Block compressed textures need sizes in whole 4x4 blocks
+    const metadata = await openImage(input).metadata();
+    const width = Math.max(4, Math.round(metadata.width / 4) * 4);
+    const height = Math.max(4, Math.round(metadata.height / 4) * 4);
+    if (width !== metadata.width || height !== metadata.height) {
+        console.log(`  Resizing ${metadata.width}x${metadata.height} to ${width}x${height} for block compression`);
+    }
+
+    // toktx reads 8-bit PNG, so other formats and depths go through a temporary file
+    const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'depth-tour-'));
+    try {
+        const source = path.join(tempDir, 'source.png');
+        await openImage(input)
+            .resize(width, height, { fit: 'fill' })
+            .removeAlpha()
+            .toColourspace('srgb')
+            .png()
+            .toFile(source);
+
+        // Compressed textures can't be flipped on upload, so rows are stored bottom-up
+        await run(options.toktx, [
+            '--t2', ...ENCODINGS[options.encoding],
+            '--assign_oetf', 'srgb',
+            '--lower_left_maps_to_s0t0',
+            output, source
+        ]);
+    } finally {
+        await fs.rm(tempDir, { recursive: true, force: true });
+    }
+}
+
+/**
+ * Pack a PNG depth map (8 or 16 bits) into a lossless WebP, high byte in red, low byte in green
+ */
+async function convertDepth(input, output) {
+    // 8-bit files are scaled to 16 bits (v * 257), which reads back as the same depth
+    const { data, info } = await openImage(input)
+        .extractChannel(0)
+        .toColourspace('grey16')
+        .raw({ depth: 'ushort' })
+        .toBuffer({ resolveWithObject: true });
+
+    const texelCount = info.width * info.height;
+    const packed = Buffer.alloc(texelCount * 3);
+    for (let i = 0; i < texelCount; i++) {
+        const value = data.readUInt16LE(i * 2);
+        packed[i * 3] = value >> 8;
+        packed[i * 3 + 1] = value & 0xff;
+    }
+
+    await sharp(packed, { raw: { width: info.width, height: info.height, channels: 3 }, limitInputPixels: false })
+        .webp({ lossless: true, effort: 6 })
+        .toFile(output);
+}
+
+/**
+ * Convert the images of one scene, returns its new "files" entries
+ */
+async function convertScene(sceneId, scene, sceneDir, options) {
+    const files = {};
+    const roles = [
+        ...(options.color ? ['panorama', 'background'] : []),
+        ...(options.depth ? ['depth'] : [])
+    ];
+
+    for (const role of roles) {
+        // Tiled scenes stream their panorama from tiles
+        if (role === 'panorama' && scene.tiles) continue;
+
+        const image = await findSceneImage(sceneDir, scene, role);
+        if (!image) continue;
+        if (image.problem) {
+            console.warn(`${sceneId}: skipping ${image.name}, it ${image.problem}`);
+            continue;
+        }
+
+        let output;
+        if (role === 'depth') {
+            if (image.format === TextureFormat.WEBP) continue;
+            if (image.format !== TextureFormat.PNG) {
+                console.log(`${sceneId}: keeping ${image.name} (${image.format.toUpperCase()} depth)`);
+                continue;
+            }
+            output = withExtension(image.name, 'webp');
+            await convertDepth(image.file, path.resolve(sceneDir, output));
+        } else {
+            if (image.format === TextureFormat.KTX2) continue;
+            output = withExtension(image.name, 'ktx2');
+            await convertColor(image.file, path.resolve(sceneDir, output), options);
+        }
+
+        console.log(`${sceneId}: ${image.name} (${await megabytes(image.file)} MB) -> ${output} (${await megabytes(path.resolve(sceneDir, output))} MB)`);
+        files[role] = output;
+    }
+    return files;
+}
+
+/**
+ * Convert the scenes of a tour and name the new files in its config, returns the number converted
+ */
+async function convertTextures(options) {
+    const configPath = path.resolve(options.folder, options.config);
+    const config = await readJson(configPath);
+    if (config === null || !config.scenes) {
+        throw new Error(`No scenes in ${configPath}`);
+    }
+    if (options.scene && !config.scenes[options.scene]) {
+        throw new Error(`Unknown scene "${options.scene}"`);
+    }
+
+    // Fail before the first scene rather than after a long depth conversion
+    if (options.color) {
+        await run(options.toktx, ['--version']);
+    }
+
+    let converted = 0;
+    const sceneIds = options.scene ? [options.scene] : Object.keys(config.scenes);
+    for (const sceneId of sceneIds) {
+        const scene = config.scenes[sceneId];
+        const sceneDir = path.resolve(path.dirname(configPath), scene.path);
+        const files = await convertScene(sceneId, scene, sceneDir, options);
+
+        if (Object.keys(files).length > 0) {
+            scene.files = { ...scene.files, ...files };
+            converted += Object.keys(files).length;
+            // Saved after every scene, so an interrupted run keeps what it converted
+            await writeJson(configPath, config);
+        }
+    }
+    return converted;
+}
+
+async function main() {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(`${error.message}\n${USAGE}`);
+        process.exitCode = 2;
+        return;
+    }
+
+    if (options.help) {
+        console.log(USAGE);
+        return;
+    }
+
+    try {
+        const converted = await convertTextures(options);
+        console.log(converted > 0
+            ? `Converted ${converted} image${converted === 1 ? '' : 's'}, see "files" in ${options.config}`
+            : 'Nothing to convert');
+    } catch (error) {
+        console.error(`Failed to convert textures: ${error.message}`);
+        process.exitCode = 1;
+    }
+}
+
+main();
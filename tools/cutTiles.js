@@ -0,0 +1,197 @@
+/**
+ * Depth Tour Tile Cutter
+ *
+ * Cuts an equirectangular panorama into the multi-resolution tile pyramid
+ * that tiled scenes stream (see tiledPanorama.js for the layout).
+ *
+ * Usage:
+ *   npm run cut-tiles -- <panorama> [--out folder] [--tile-size 510] [--overlap 1]
+ *                        [--format jpg|png|webp] [--quality 85] [--preview-width 2048]
+ *
+ * The output folder defaults to "tiles" next to the panorama, which is where
+ * a scene with "tiles": true in scenes.json looks for it. The panorama is
+ * resized slightly if needed so every level is exactly half the next one.
+ */
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import sharp from 'sharp';
+
+const DEFAULTS = {
+    out: null,
+    tileSize: 510,      // Plus 2 x overlap = 512 pixel tile images
+    overlap: 1,
+    format: 'jpg',
+    quality: 85,
+    previewWidth: 2048  // Fits the texture size limit of every WebGL 2 device
+};
+
+// Output formats by file extension
+const SHARP_FORMATS = { jpg: 'jpeg', png: 'png', webp: 'webp' };
+
+// Tiles written at once
+const CONCURRENCY = 8;
+
+const USAGE = 'Usage: cut-tiles <panorama> [--out folder] [--tile-size 510] [--overlap 1] ' +
+    '[--format jpg|png|webp] [--quality 85] [--preview-width 2048]';
+
+// Parse command line arguments
+function parseArgs(args) {
+    const options = { ...DEFAULTS, input: null };
+    const numeric = { '--tile-size': 'tileSize', '--overlap': 'overlap', '--quality': 'quality', '--preview-width': 'previewWidth' };
+
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        if (arg === '--help' || arg === '-h') {
+            options.help = true;
+        } else if (arg === '--out' || arg === '--format' || numeric[arg]) {
+            if (i + 1 >= args.length) {
+                throw new Error(`${arg} needs a value`);
+            }
+            const value = args[++i];
+            if (numeric[arg]) {
+                const number = Number(value);
+                if (!Number.isInteger(number) || number < 0) {
+                    throw new Error(`${arg} must be a whole number`);
+                }
+                options[numeric[arg]] = number;
+            } else {
+                options[arg.slice(2)] = value;
+            }
+        } else if (arg.startsWith('-')) {
+            throw new Error(`Unknown option ${arg}`);
+        } else {
+            options.input = arg;
+        }
+    }
+
+    if (!options.help) {
+        if (!options.input) throw new Error('No panorama given');
+        if (!SHARP_FORMATS[options.format]) throw new Error(`Unknown format "${options.format}"`);
+        if (options.tileSize < 16) throw new Error('--tile-size must be at least 16');
+        if (options.overlap >= options.tileSize / 2) throw new Error('--overlap must be less than half the tile size');
+    }
+    return options;
+}
+
+// Run async tasks with limited concurrency
+async function runPool(tasks, concurrency) {
+    let next = 0;
+    const worker = async () => {
+        while (next < tasks.length) {
+            await tasks[next++]();
+        }
+    };
+    await Promise.all(Array.from({ length: Math.min(concurrency, tasks.length) }, worker));
+}
+
+// Open the panorama; big panoramas are the point, so lift sharp's pixel limit
+const openImage = (input) => sharp(input, { limitInputPixels: false });
+
+// Encode a sharp pipeline in the output format
+function encode(image, options) {
+    const format = SHARP_FORMATS[options.format];
+    return format === 'png' ? image.png() : image[format]({ quality: options.quality });
+}
+
+/**
+ * Cut a panorama into a tile pyramid, returns the manifest
+ */
+async function cutTiles(options) {
+    const outDir = options.out || path.join(path.dirname(options.input), 'tiles');
+    const { tileSize, overlap, format } = options;
+
+    const metadata = await openImage(options.input).metadata();
+
+    // Halve the size until it fits in two tiles across
+    const levels = Math.max(1, Math.ceil(Math.log2(metadata.width / (2 * tileSize))) + 1);
+    const step = Math.pow(2, levels - 1);
+    const width = Math.max(step, Math.round(metadata.width / step) * step);
+    const height = Math.max(step, Math.round(metadata.height / step) * step);
+    if (width !== metadata.width || height !== metadata.height) {
+        console.log(`Resizing ${metadata.width}x${metadata.height} to ${width}x${height} so every level halves exactly`);
+    }
+
+    // Replace the level folders of an earlier run, leave anything else alone
+    await fs.mkdir(outDir, { recursive: true });
+    for (const entry of await fs.readdir(outDir, { withFileTypes: true })) {
+        if (entry.isDirectory() && /^\d+$/.test(entry.name)) {
+            await fs.rm(path.join(outDir, entry.name), { recursive: true });
+        }
+    }
+
+    for (let level = 0; level < levels; level++) {
+        const scale = Math.pow(2, level - (levels - 1));
+        const levelWidth = width * scale;
+        const levelHeight = height * scale;
+        const columns = Math.ceil(levelWidth / tileSize);
+        const rows = Math.ceil(levelHeight / tileSize);
+        console.log(`Level ${level}: ${levelWidth}x${levelHeight}, ${columns * rows} tiles`);
+
+        // Resize once per level, then cut the tiles from raw pixels
+        const { data, info } = await openImage(options.input)
+            .resize(levelWidth, levelHeight, { fit: 'fill' })
+            .removeAlpha()
+            .raw()
+            .toBuffer({ resolveWithObject: true });
+        const raw = { raw: { width: info.width, height: info.height, channels: info.channels } };
+
+        const levelDir = path.join(outDir, String(level));
+        await fs.mkdir(levelDir);
+
+        const tasks = [];
+        for (let row = 0; row < rows; row++) {
+            for (let column = 0; column < columns; column++) {
+                // Inner edges get the neighbours' pixels as overlap
+                const left = Math.max(column * tileSize - overlap, 0);
+                const top = Math.max(row * tileSize - overlap, 0);
+                const right = Math.min((column + 1) * tileSize + overlap, levelWidth);
+                const bottom = Math.min((row + 1) * tileSize + overlap, levelHeight);
+
+                tasks.push(() => encode(
+                    sharp(data, raw).extract({ left, top, width: right - left, height: bottom - top }),
+                    options
+                ).toFile(path.join(levelDir, `${row}_${column}.${format}`)));
+            }
+        }
+        await runPool(tasks, CONCURRENCY);
+    }
+
+    // Low-res version shown until the tiles arrive
+    const previewWidth = Math.min(options.previewWidth, width);
+    const previewHeight = Math.round(previewWidth * height / width);
+    const preview = `preview.${format}`;
+    await encode(openImage(options.input).resize(previewWidth, previewHeight, { fit: 'fill' }).removeAlpha(), options)
+        .toFile(path.join(outDir, preview));
+
+    const manifest = { width, height, tileSize, overlap, levels, format, preview };
+    await fs.writeFile(path.join(outDir, 'tiles.json'), JSON.stringify(manifest, null, 2) + '\n', 'utf8');
+
+    console.log(`Wrote ${path.join(outDir, 'tiles.json')}`);
+    return manifest;
+}
+
+async function main() {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(`${error.message}\n${USAGE}`);
+        process.exitCode = 2;
+        return;
+    }
+
+    if (options.help) {
+        console.log(USAGE);
+        return;
+    }
+
+    try {
+        await cutTiles(options);
+    } catch (error) {
+        console.error(`Failed to cut ${options.input}: ${error.message}`);
+        process.exitCode = 1;
+    }
+}
+
+main();
@@ -0,0 +1,300 @@
+/**
+ * Depth Tour Packager
+ *
+ * Packages a tour for use without a network: builds the viewer with Vite,
+ * copies the tour's files next to it (scenes.json, the floor plan, every
+ * scene's panorama, depth map, background, hotspots and tiles, and the
+ * media its hotspots and guided tour use) and writes a service worker that
+ * precaches all of it on the first visit (template in serviceWorker.js).
+ * The output folder can be served by any static https or localhost
+ * server; it is also written as a .zip file next to it.
+ *
+ * Usage:
+ *   npm run package-tour -- [tour folder] [--config scenes.json] [--out tour-offline] [--no-zip]
+ *
+ * Scene paths and media URLs are taken relative to the tour folder, which
+ * becomes the root of the package. External URLs are left to the network.
+ */
+
+import fs from 'node:fs/promises';
+import { createReadStream } from 'node:fs';
+import path from 'node:path';
+import crypto from 'node:crypto';
+import { fileURLToPath } from 'node:url';
+import { build } from 'vite';
+import { validateConfig } from '../tourValidation.js';
+import { SCENE_IMAGES } from '../textureFormats.js';
+import { TILES_FOLDER, findSceneImage, fileExists, readJson } from './tourFiles.js';
+import { writeZip } from './zipArchive.js';
+
+// The viewer's source folder, built into every package
+const APP_ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+// Service worker file name in the package, and the meta tag telling index.html about it
+const SERVICE_WORKER = 'sw.js';
+const SERVICE_WORKER_META = `<meta name="depth-tour-service-worker" content="${SERVICE_WORKER}">`;
+
+// Hotspot text fields that can refer to images, and how they do
+const MEDIA_TEXT_FIELDS = ['content', 'html'];
+const MARKDOWN_IMAGE = /!\[[^\]]*\]\(([^)\s]+)\)/g;
+const HTML_SOURCE = /\bsrc\s*=\s*["']([^"']+)["']/g;
+
+const USAGE = 'Usage: package-tour [tour folder] [--config scenes.json] [--out tour-offline] [--no-zip]';
+
+// Parse command line arguments
+function parseArgs(args) {
+    const options = { folder: '.', config: 'scenes.json', out: 'tour-offline', zip: true };
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        if (arg === '--config' || arg === '--out') {
+            if (i + 1 >= args.length) {
+                throw new Error(`${arg} needs a value`);
+            }
+            options[arg.slice(2)] = args[++i];
+        } else if (arg === '--no-zip') {
+            options.zip = false;
+        } else if (arg === '--help' || arg === '-h') {
+            options.help = true;
+        } else if (arg.startsWith('-')) {
+            throw new Error(`Unknown option ${arg}`);
+        } else {
+            options.folder = arg;
+        }
+    }
+    return options;
+}
+
+// Every value of a plain string or a map of strings by language
+const allLocales = (value) => value && typeof value === 'object' ? Object.values(value) : [value];
+
+// Relative path of a URL inside the tour folder, or null for external and data URLs
+function toTourPath(url) {
+    if (typeof url !== 'string' || !url || /^([a-z][a-z0-9+.-]*:|\/\/|#)/i.test(url)) return null;
+    return decodeURI(url.split(/[?#]/)[0]);
+}
+
+// Files below a folder, as paths relative to it
+async function listFiles(folder) {
+    const entries = await fs.readdir(folder, { withFileTypes: true, recursive: true });
+    return entries
+        .filter(entry => entry.isFile())
+        .map(entry => path.relative(folder, path.join(entry.parentPath ?? entry.path, entry.name)));
+}
+
+/**
+ * Relative paths of the files the tour loads, plus errors about scene files that can't be
+ * packaged and warnings about media that is missing or can't be packaged
+ */
+async function collectTourFiles(folder, config) {
+    const files = new Set();
+    const errors = [];
+    const warnings = [];
+
+    // Files outside the tour folder would be copied outside the package
+    const isInside = (file) => file.startsWith(folder + path.sep);
+
+    // Scene files the tour can't run without
+    const addSceneFile = (file, source) => {
+        if (isInside(file)) {
+            files.add(path.relative(folder, file));
+        } else {
+            errors.push(`${source}: ${path.relative(folder, file)} is outside the tour folder`);
+        }
+    };
+
+    const addMedia = async (url, source) => {
+        const relativePath = toTourPath(url);
+        if (relativePath === null) return;
+        const file = path.resolve(folder, relativePath);
+        if (path.isAbsolute(relativePath) || !isInside(file)) {
+            warnings.push(`${source}: "${url}" is outside the tour folder and is not packaged`);
+        } else if (!await fileExists(file)) {
+            warnings.push(`${source}: "${url}" not found`);
+        } else {
+            files.add(path.relative(folder, file));
+        }
+    };
+
+    if (config.floorPlan) {
+        await addMedia(config.floorPlan.image, 'floorPlan.image');
+    }
+
+    for (const [sceneId, scene] of Object.entries(config.scenes)) {
+        const sceneDir = path.resolve(folder, scene.path);
+        if (!isInside(sceneDir)) {
+            errors.push(`scene "${sceneId}": path "${scene.path}" is outside the tour folder`);
+            continue;
+        }
+        // Only the images the tour loads, not originals left next to converted files;
+        // missing and unusable ones are reported like validate-tour does
+        for (const role of Object.keys(SCENE_IMAGES)) {
+            if (role === 'panorama' && scene.tiles) continue;
+            const image = await findSceneImage(sceneDir, scene, role);
+            const expected = scene.files && scene.files[role]
+                ? `"files.${role}": ${scene.files[role]} not found`
+                : SCENE_IMAGES[role].files.join(', ');
+            if (image) {
+                addSceneFile(image.file, `scene "${sceneId}" ${role}`);
+                if (image.problem) {
+                    errors.push(`scene "${sceneId}": ${role} ${image.name} ${image.problem}`);
+                }
+            } else if (role === 'panorama') {
+                errors.push(`scene "${sceneId}" has no panorama (${expected})`);
+            } else if (role === 'depth') {
+                warnings.push(`scene "${sceneId}" has no depth map (${expected}), it will be shown flat`);
+            } else if (scene.files && scene.files.background) {
+                warnings.push(`scene "${sceneId}" has no background (${expected}), holes are filled from the panorama`);
+            }
+        }
+        if (await fileExists(path.join(sceneDir, 'hotspots.json'))) {
+            addSceneFile(path.join(sceneDir, 'hotspots.json'), `scene "${sceneId}" hotspots`);
+        }
+        if (scene.tiles) {
+            const tilesDir = path.join(sceneDir, TILES_FOLDER);
+            try {
+                (await listFiles(tilesDir)).forEach(file => addSceneFile(path.join(tilesDir, file), `scene "${sceneId}" tiles`));
+            } catch (error) {
+                warnings.push(`scene "${sceneId}": no ${TILES_FOLDER} folder (run npm run cut-tiles)`);
+            }
+        }
+
+        const hotspots = await readJson(path.join(sceneDir, 'hotspots.json'));
+        if (!Array.isArray(hotspots)) continue;
+        for (const hotspot of hotspots) {
+            if (!hotspot || typeof hotspot !== 'object') continue;
+            const source = `scene "${sceneId}" hotspot "${hotspot.id}"`;
+            await addMedia(hotspot.src, source);
+            for (const field of MEDIA_TEXT_FIELDS) {
+                for (const text of allLocales(hotspot[field])) {
+                    if (typeof text !== 'string') continue;
+                    for (const match of [...text.matchAll(MARKDOWN_IMAGE), ...text.matchAll(HTML_SOURCE)]) {
+                        await addMedia(match[1], source);
+                    }
+                }
+            }
+            if (hotspot.type === 'url') {
+                warnings.push(`${source}: web page ${hotspot.url} needs the network`);
+            }
+        }
+    }
+
+    if (config.guidedTour) {
+        for (const [index, step] of config.guidedTour.steps.entries()) {
+            for (const audio of allLocales(step.audio)) {
+                await addMedia(audio, `guidedTour.steps[${index}].audio`);
+            }
+        }
+    }
+
+    return { files: [...files].sort(), errors, warnings };
+}
+
+// SHA-256 of a file's contents
+function hashFile(file) {
+    return new Promise((resolve, reject) => {
+        const hash = crypto.createHash('sha256');
+        createReadStream(file)
+            .on('data', chunk => hash.update(chunk))
+            .on('end', () => resolve(hash.digest('hex')))
+            .on('error', reject);
+    });
+}
+
+/**
+ * Build, copy and precache a tour into outDir, returns the precache manifest
+ */
+async function packageTour(options) {
+    const folder = path.resolve(options.folder);
+    const outDir = path.resolve(options.out);
+
+    // The build empties outDir, which must not hold the tour or the viewer
+    if ([folder, APP_ROOT].some(dir => dir === outDir || dir.startsWith(outDir + path.sep))) {
+        throw new Error(`--out ${options.out} would overwrite the tour or the viewer, choose a new folder`);
+    }
+
+    const config = await readJson(path.join(folder, options.config));
+    if (config === null) {
+        throw new Error(`${options.config} not found in ${folder}`);
+    }
+    const configErrors = validateConfig(config);
+    if (configErrors.length > 0) {
+        throw new Error(`Invalid ${options.config}, run npm run validate-tour:\n- ${configErrors.join('\n- ')}`);
+    }
+
+    const { files, errors, warnings } = await collectTourFiles(folder, config);
+    warnings.forEach(message => console.warn(`warning  ${message}`));
+    if (errors.length > 0) {
+        throw new Error(`The tour can't be packaged:\n- ${errors.join('\n- ')}`);
+    }
+
+    console.log('Building the viewer...');
+    await build({
+        root: APP_ROOT,
+        logLevel: 'warn',
+        build: { outDir, emptyOutDir: true }
+    });
+
+    // The viewer always loads scenes.json
+    await fs.copyFile(path.join(folder, options.config), path.join(outDir, 'scenes.json'));
+    for (const file of files) {
+        await fs.mkdir(path.join(outDir, path.dirname(file)), { recursive: true });
+        await fs.copyFile(path.join(folder, file), path.join(outDir, file));
+    }
+
+    const indexPath = path.join(outDir, 'index.html');
+    const html = await fs.readFile(indexPath, 'utf8');
+    await fs.writeFile(indexPath, html.replace('</head>', `    ${SERVICE_WORKER_META}\n</head>`));
+
+    // The version changes with any file, which makes browsers install the new worker
+    const precached = [];
+    const versionHash = crypto.createHash('sha256');
+    for (const file of (await listFiles(outDir)).sort()) {
+        const url = file.split(path.sep).join('/');
+        const { size } = await fs.stat(path.join(outDir, file));
+        precached.push({ url, size });
+        versionHash.update(`${url}\n${await hashFile(path.join(outDir, file))}\n`);
+    }
+    const manifest = { version: versionHash.digest('hex').slice(0, 16), files: precached };
+
+    const template = await fs.readFile(path.join(APP_ROOT, 'serviceWorker.js'), 'utf8');
+    await fs.writeFile(path.join(outDir, SERVICE_WORKER), `self.PRECACHE_MANIFEST = ${JSON.stringify(manifest, null, 2)};\n\n${template}`);
+
+    return manifest;
+}
+
+async function main() {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(`${error.message}\n${USAGE}`);
+        process.exitCode = 2;
+        return;
+    }
+
+    if (options.help) {
+        console.log(USAGE);
+        return;
+    }
+
+    try {
+        const manifest = await packageTour(options);
+        const megabytes = manifest.files.reduce((sum, file) => sum + file.size, 0) / (1024 * 1024);
+        console.log(`Packaged ${manifest.files.length} files (${megabytes.toFixed(1)} MB) into ${options.out}, version ${manifest.version}`);
+
+        if (options.zip) {
+            const outDir = path.resolve(options.out);
+            const entries = (await listFiles(outDir)).sort().map(file => ({
+                name: file.split(path.sep).join('/'),
+                file: path.join(outDir, file)
+            }));
+            await writeZip(`${outDir}.zip`, entries);
+            console.log(`Wrote ${path.relative(process.cwd(), `${outDir}.zip`)}`);
+        }
+    } catch (error) {
+        console.error(`Failed to package the tour: ${error.message}`);
+        process.exitCode = 1;
+    }
+}
+
+main();
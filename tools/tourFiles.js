@@ -0,0 +1,80 @@
+/**
+ * Depth Tour Files
+ *
+ * Where a tour keeps its files on disk, shared by the validate-tour,
+ * package-tour and convert-textures tools and the dev server plugin.
+ */
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { SCENE_IMAGES, sniffTextureFormat, checkSceneImageFormat } from '../textureFormats.js';
+
+// Bytes needed to tell image formats apart, up to a KTX2 file's Vulkan format
+const HEADER_BYTES = 16;
+
+// Folder of a tiled scene's pyramid, see tools/cutTiles.js
+export const TILES_FOLDER = 'tiles';
+
+export async function fileExists(file) {
+    try {
+        return (await fs.stat(file)).isFile();
+    } catch (error) {
+        return false;
+    }
+}
+
+// First bytes of a file
+async function readHeader(file) {
+    const handle = await fs.open(file, 'r');
+    try {
+        const { buffer, bytesRead } = await handle.read(Buffer.alloc(HEADER_BYTES), 0, HEADER_BYTES, 0);
+        return buffer.subarray(0, bytesRead);
+    } finally {
+        await handle.close();
+    }
+}
+
+/**
+ * The file the tour loads as a scene image (a SCENE_IMAGES key): the one named in the
+ * scene's "files", else the first default name that exists. Resolves to
+ * { name, file, format, problem }, problem saying why the tour can't use the file,
+ * or null when there is none.
+ */
+export async function findSceneImage(sceneDir, scene, role) {
+    const declared = scene.files && scene.files[role];
+    for (const name of declared ? [declared] : SCENE_IMAGES[role].files) {
+        const file = path.resolve(sceneDir, name);
+        if (!await fileExists(file)) continue;
+
+        const header = await readHeader(file);
+        const format = sniffTextureFormat(header);
+        return { name, file, format, problem: checkSceneImageFormat(role, format, header) };
+    }
+    return null;
+}
+
+/**
+ * Read and parse a JSON file; null if it doesn't exist
+ */
+export async function readJson(file) {
+    let text;
+    try {
+        text = await fs.readFile(file, 'utf8');
+    } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+    }
+    try {
+        return JSON.parse(text);
+    } catch (error) {
+        throw new Error(`Invalid JSON: ${error.message}`);
+    }
+}
+
+// Write JSON the way the repository's files are formatted: two-space indent,
+// arrays of plain values such as "uv" and "position" kept on one line
+export async function writeJson(file, data) {
+    const json = JSON.stringify(data, null, 2)
+        .replace(/\[\s+([^[\]{}]*?)\s+\]/g, (match, items) => `[${items.split(/,\s+/).join(', ')}]`);
+    await fs.writeFile(file, json + '\n', 'utf8');
+}
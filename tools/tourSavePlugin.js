@@ -0,0 +1,195 @@
+/**
+ * Depth Tour Save Plugin
+ *
+ * Vite dev-server plugin that lets authoring mode write hotspots.json and
+ * scenes.json back to disk. Only active under `vite` (serve), never in builds.
+ * Requests must be JSON from a page of the dev server itself, so other web
+ * pages open in the browser can't rewrite the tour.
+ *
+ * Endpoints:
+ *   POST /__tour/hotspots  { "scene": "<scene id>", "hotspots": [ ... ] }
+ *   POST /__tour/config    { "config": { "start": ..., "scenes": { ... } }, "source": "/scenes.json" }
+ *
+ * "source" is the URL path the tour loaded its config from; a config loaded
+ * from anywhere but the served configFile is refused rather than written over it.
+ */
+
+import fs from 'node:fs/promises';
+import net from 'node:net';
+import path from 'node:path';
+import { validateConfig, validateHotspots, getSceneDepthEncoding } from '../tourValidation.js';
+import { writeJson } from './tourFiles.js';
+
+// Largest accepted request body
+const MAX_BODY_BYTES = 5 * 1024 * 1024;
+
+// Error with an HTTP status for the response
+class RequestError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+// Read and parse a JSON request body
+async function readJsonBody(req) {
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of req) {
+        size += chunk.length;
+        if (size > MAX_BODY_BYTES) {
+            throw new RequestError(413, 'Request body too large');
+        }
+        chunks.push(chunk);
+    }
+
+    try {
+        return JSON.parse(Buffer.concat(chunks).toString('utf8'));
+    } catch (error) {
+        throw new RequestError(400, `Invalid JSON: ${error.message}`);
+    }
+}
+
+// Whether a Host header names this machine: an IP address, localhost, or a name
+// the server is configured for. Other names may point here through DNS rebinding.
+function isAllowedHost(host, serverOptions) {
+    let hostname;
+    try {
+        hostname = new URL(`http://${host}`).hostname.replace(/^\[|\]$/g, '');
+    } catch (error) {
+        return false;
+    }
+    if (net.isIP(hostname) || hostname === 'localhost' || hostname.endsWith('.localhost')) {
+        return true;
+    }
+    if (serverOptions.allowedHosts === true || hostname === serverOptions.host) {
+        return true;
+    }
+    return (serverOptions.allowedHosts || []).some(allowed =>
+        allowed.startsWith('.') ? hostname === allowed.slice(1) || hostname.endsWith(allowed) : hostname === allowed);
+}
+
+// Refuse what another web page could send: simple cross-site POSTs (text/plain forms
+// need no preflight), requests from other origins and requests through other host names
+function checkRequestSource(req, serverOptions) {
+    const contentType = (req.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+    if (contentType !== 'application/json') {
+        throw new RequestError(415, 'Content-Type must be application/json');
+    }
+
+    const host = req.headers.host;
+    if (!host || !isAllowedHost(host, serverOptions)) {
+        throw new RequestError(403, `Host ${host} is not this dev server`);
+    }
+
+    // Browsers always send Origin with POST requests; tools like curl may leave it out
+    const origin = req.headers.origin;
+    if (origin !== undefined) {
+        let originHost = null;
+        try {
+            originHost = new URL(origin).host;
+        } catch (error) {
+            // "null" and other opaque origins
+        }
+        if (originHost !== host) {
+            throw new RequestError(403, `Requests from ${origin} are not allowed`);
+        }
+    }
+}
+
+// Send a JSON response
+function sendJson(res, status, body) {
+    res.statusCode = status;
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify(body));
+}
+
+// Resolve a path from the config relative to root, refusing anything outside it
+function resolveInside(root, relativePath) {
+    const resolved = path.resolve(root, relativePath);
+    if (resolved !== root && !resolved.startsWith(root + path.sep)) {
+        throw new RequestError(400, `Path escapes the project: ${relativePath}`);
+    }
+    return resolved;
+}
+
+/**
+ * Create the plugin. Options: configFile (scenes.json path relative to the Vite root)
+ */
+export function tourSavePlugin(options = {}) {
+    const configFile = options.configFile || 'scenes.json';
+    let root = process.cwd();
+    let base = '/';
+    let serverOptions = {};
+
+    async function readConfig() {
+        const text = await fs.readFile(resolveInside(root, configFile), 'utf8');
+        return JSON.parse(text);
+    }
+
+    async function saveHotspots(body) {
+        const config = await readConfig();
+        const scene = config.scenes && config.scenes[body.scene];
+        if (!scene) {
+            throw new RequestError(400, `Unknown scene "${body.scene}"`);
+        }
+
+        const errors = validateHotspots(body.hotspots, Object.keys(config.scenes), getSceneDepthEncoding(config, body.scene));
+        if (errors.length > 0) {
+            throw new RequestError(400, errors.join('; '));
+        }
+
+        const file = resolveInside(root, path.join(scene.path, 'hotspots.json'));
+        await writeJson(file, body.hotspots);
+        return path.relative(root, file);
+    }
+
+    async function saveConfig(body) {
+        const configUrl = path.posix.join(base, configFile);
+        if (body.source !== undefined && body.source !== configUrl) {
+            throw new RequestError(409, `The tour was loaded from ${body.source}, the dev server only saves ${configUrl}`);
+        }
+
+        const errors = validateConfig(body.config);
+        if (errors.length > 0) {
+            throw new RequestError(400, errors.join('; '));
+        }
+        Object.values(body.config.scenes).forEach(scene => resolveInside(root, scene.path));
+
+        const file = resolveInside(root, configFile);
+        await writeJson(file, body.config);
+        return path.relative(root, file);
+    }
+
+    // Wrap an endpoint handler with method check, body parsing and error responses
+    const endpoint = (handler) => async (req, res) => {
+        if (req.method !== 'POST') {
+            sendJson(res, 405, { error: 'Method not allowed' });
+            return;
+        }
+        try {
+            checkRequestSource(req, serverOptions);
+            const file = await handler(await readJsonBody(req));
+            console.log(`[depth-tour] Saved ${file}`);
+            sendJson(res, 200, { ok: true, file });
+        } catch (error) {
+            sendJson(res, error.status || 500, { error: error.message });
+        }
+    };
+
+    return {
+        name: 'depth-tour-save',
+        apply: 'serve',
+
+        configResolved(config) {
+            root = path.resolve(config.root);
+            base = config.base || '/';
+            serverOptions = config.server;
+        },
+
+        configureServer(server) {
+            server.middlewares.use('/__tour/hotspots', endpoint(saveHotspots));
+            server.middlewares.use('/__tour/config', endpoint(saveConfig));
+        }
+    };
+}
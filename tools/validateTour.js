@@ -0,0 +1,218 @@
+/**
+ * Depth Tour Validator
+ *
+ * Checks a tour folder: scenes.json and every scene's hotspots.json against
+ * the schemas, missing panorama, depth and floor plan files, images in a
+ * format the tour can't use, dangling link targets, duplicate hotspot ids and scenes no link leads to.
+ *
+ * Usage:
+ *   npm run validate-tour -- [tour folder] [--config scenes.json] [--fix]
+ *   npm run validate-tour -- --schema scenes|hotspots
+ *
+ * --fix converts hotspots with version 1 uv coordinates (see hotspotUv.js)
+ * in place. Exits with status 1 when errors were found; warnings alone pass.
+ */
+
+import path from 'node:path';
+import { SCENES_SCHEMA, HOTSPOTS_SCHEMA } from '../tourSchema.js';
+import { validateConfig, validateHotspots, getSceneDepthEncoding, findUnreachableScenes } from '../tourValidation.js';
+import { SCENE_IMAGES } from '../textureFormats.js';
+import { needsUvMigration, migrateHotspot } from '../hotspotUv.js';
+import { TILES_FOLDER, findSceneImage, fileExists, readJson, writeJson } from './tourFiles.js';
+
+const SCHEMAS = { scenes: SCENES_SCHEMA, hotspots: HOTSPOTS_SCHEMA };
+
+const USAGE = 'Usage: validate-tour [tour folder] [--config scenes.json] [--fix] | --schema scenes|hotspots';
+
+// Parse command line arguments
+function parseArgs(args) {
+    const options = { folder: '.', config: 'scenes.json', schema: null, fix: false };
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        if (arg === '--config' || arg === '--schema') {
+            if (i + 1 >= args.length) {
+                throw new Error(`${arg} needs a value`);
+            }
+            options[arg.slice(2)] = args[++i];
+        } else if (arg === '--fix') {
+            options.fix = true;
+        } else if (arg === '--help' || arg === '-h') {
+            options.help = true;
+        } else if (arg.startsWith('-')) {
+            throw new Error(`Unknown option ${arg}`);
+        } else {
+            options.folder = arg;
+        }
+    }
+    return options;
+}
+
+// Check a tile pyramid's manifest and preview, returns error messages
+async function checkTiles(tilesDir, sceneId, relative) {
+    const manifestPath = path.join(tilesDir, 'tiles.json');
+    let manifest;
+    try {
+        manifest = await readJson(manifestPath);
+    } catch (error) {
+        return [`${relative(manifestPath)}: ${error.message}`];
+    }
+    if (manifest === null) {
+        return [`${relative(tilesDir)}: scene "${sceneId}" is tiled but has no tiles.json (run npm run cut-tiles)`];
+    }
+    if (typeof manifest.preview !== 'string' || !await fileExists(path.join(tilesDir, manifest.preview))) {
+        return [`${relative(manifestPath)}: preview image "${manifest.preview}" not found`];
+    }
+    return [];
+}
+
+/**
+ * Validate a tour folder, returns { errors, warnings, fixes } as "file: message" strings.
+ * fix: convert outdated hotspot uv coordinates in place instead of warning about them.
+ */
+async function validateTour(folder, configFile = 'scenes.json', fix = false) {
+    const fixes = [];
+    const errors = [];
+    const warnings = [];
+    const relative = (file) => path.relative(process.cwd(), file) || '.';
+
+    const configPath = path.resolve(folder, configFile);
+    let config;
+    try {
+        config = await readJson(configPath);
+    } catch (error) {
+        errors.push(`${relative(configPath)}: ${error.message}`);
+        return { errors, warnings, fixes };
+    }
+    if (config === null) {
+        errors.push(`${relative(configPath)}: file not found`);
+        return { errors, warnings, fixes };
+    }
+
+    const configErrors = validateConfig(config);
+    errors.push(...configErrors.map(message => `${relative(configPath)}: ${message}`));
+    if (configErrors.length > 0 && (!config || typeof config.scenes !== 'object' || !config.scenes)) {
+        return { errors, warnings, fixes };
+    }
+
+    // Scene paths are relative to the folder holding scenes.json, like URLs in the browser
+    const baseDir = path.dirname(configPath);
+    const sceneIds = Object.keys(config.scenes);
+    const hotspotsByScene = {};
+    
+    if (config.floorPlan && typeof config.floorPlan.image === 'string') {
+        const imagePath = path.resolve(baseDir, config.floorPlan.image);
+        if (!await fileExists(imagePath)) {
+            errors.push(`${relative(configPath)}: floor plan image ${relative(imagePath)} not found`);
+        }
+    }
+
+    for (const sceneId of sceneIds) {
+        const scene = config.scenes[sceneId];
+        if (!scene || typeof scene.path !== 'string') continue;
+
+        const sceneDir = path.resolve(baseDir, scene.path);
+        const image = async (role) => {
+            const found = await findSceneImage(sceneDir, scene, role);
+            if (found && found.problem) {
+                errors.push(`${relative(found.file)}: ${role} of scene "${sceneId}" ${found.problem}`);
+            }
+            return found;
+        };
+        const expected = (role) => scene.files && scene.files[role]
+            ? `"files.${role}": ${scene.files[role]} not found`
+            : SCENE_IMAGES[role].files.join(', ');
+
+        if (scene.tiles) {
+            errors.push(...await checkTiles(path.join(sceneDir, TILES_FOLDER), sceneId, relative));
+        } else if (!await image('panorama')) {
+            errors.push(`${relative(sceneDir)}: scene "${sceneId}" has no panorama (${expected('panorama')})`);
+        }
+        if (!await image('depth')) {
+            warnings.push(`${relative(sceneDir)}: scene "${sceneId}" has no depth map (${expected('depth')}), it will be shown flat`);
+        }
+        if (!await image('background') && scene.files && scene.files.background) {
+            warnings.push(`${relative(sceneDir)}: scene "${sceneId}" has no background (${expected('background')}), holes are filled from the panorama`);
+        }
+
+        const hotspotsPath = path.join(sceneDir, 'hotspots.json');
+        let hotspots;
+        try {
+            hotspots = await readJson(hotspotsPath);
+        } catch (error) {
+            errors.push(`${relative(hotspotsPath)}: ${error.message}`);
+            continue;
+        }
+        if (hotspots === null) continue;
+
+        const outdated = Array.isArray(hotspots) ? hotspots.filter(needsUvMigration).length : 0;
+        if (outdated > 0 && fix) {
+            hotspots = hotspots.map(migrateHotspot);
+            await writeJson(hotspotsPath, hotspots);
+            fixes.push(`${relative(hotspotsPath)}: converted ${outdated} hotspots to uv version 2`);
+        } else if (outdated > 0) {
+            warnings.push(`${relative(hotspotsPath)}: ${outdated} hotspots use uv version 1, which the tour converts on load (run with --fix)`);
+        }
+
+        hotspotsByScene[sceneId] = hotspots;
+        errors.push(...validateHotspots(hotspots, sceneIds, getSceneDepthEncoding(config, sceneId)).map(message => `${relative(hotspotsPath)}: ${message}`));
+    }
+
+    // Guided tour steps can only open hotspots of their own scene
+    if (configErrors.length === 0 && config.guidedTour) {
+        config.guidedTour.steps.forEach((step, index) => {
+            const hotspots = hotspotsByScene[step.scene];
+            if (!step.hotspot || !Array.isArray(hotspots)) return;
+            if (!hotspots.some(hotspot => hotspot && hotspot.id === step.hotspot)) {
+                errors.push(`${relative(configPath)}: guidedTour.steps[${index}].hotspot "${step.hotspot}" is not a hotspot of scene "${step.scene}"`);
+            }
+        });
+    }
+
+    if (Object.hasOwn(config.scenes, config.start)) {
+        findUnreachableScenes(config, hotspotsByScene).forEach(sceneId => {
+            warnings.push(`${relative(configPath)}: scene "${sceneId}" is not reachable from "${config.start}" through link hotspots`);
+        });
+    }
+
+    return { errors, warnings, fixes };
+}
+
+async function main() {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(`${error.message}\n${USAGE}`);
+        process.exitCode = 2;
+        return;
+    }
+
+    if (options.help) {
+        console.log(USAGE);
+        return;
+    }
+
+    if (options.schema) {
+        const schema = SCHEMAS[options.schema];
+        if (!schema) {
+            console.error(`Unknown schema "${options.schema}", expected ${Object.keys(SCHEMAS).join(' or ')}`);
+            process.exitCode = 2;
+            return;
+        }
+        console.log(JSON.stringify(schema, null, 2));
+        return;
+    }
+
+    const { errors, warnings, fixes } = await validateTour(options.folder, options.config, options.fix);
+    fixes.forEach(message => console.log(`fixed    ${message}`));
+    warnings.forEach(message => console.warn(`warning  ${message}`));
+    errors.forEach(message => console.error(`error    ${message}`));
+
+    const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+    console.log(`${plural(errors.length, 'error')}, ${plural(warnings.length, 'warning')}`);
+    if (errors.length > 0) {
+        process.exitCode = 1;
+    }
+}
+
+main();
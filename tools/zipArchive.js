@@ -0,0 +1,121 @@
+/**
+ * Depth Tour Zip Writer
+ *
+ * Minimal .zip writer for package-tour, so a packaged tour can be handed
+ * around as one file. Text files are deflated; images, audio and video are
+ * already compressed and stored as they are. No Zip64, so archives must
+ * stay below 4 GB.
+ */
+
+import fs from 'node:fs/promises';
+import zlib from 'node:zlib';
+
+// Largest size and offset the classic zip format can record
+const ZIP_LIMIT = 0xffffffff;
+
+// Extensions worth deflating
+const DEFLATE_EXTENSIONS = new Set(['html', 'js', 'css', 'json', 'svg', 'txt', 'map', 'exr', 'ktx2', 'wasm']);
+
+const CRC_TABLE = new Uint32Array(256).map((value, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c >>> 0;
+});
+
+function crc32(buffer) {
+    let crc = 0xffffffff;
+    for (let i = 0; i < buffer.length; i++) {
+        crc = CRC_TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+// Modification time in MS-DOS format
+function dosDateTime(date) {
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+        date: ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+}
+
+/**
+ * Write a zip archive of entries [{ name, file }], name being the path inside the archive
+ */
+export async function writeZip(zipPath, entries) {
+    const handle = await fs.open(zipPath, 'w');
+    const central = [];
+    let offset = 0;
+
+    const write = async (buffer) => {
+        await handle.write(buffer);
+        offset += buffer.length;
+    };
+
+    try {
+        for (const entry of entries) {
+            const data = await fs.readFile(entry.file);
+            const stat = await fs.stat(entry.file);
+            const extension = entry.name.split('.').pop().toLowerCase();
+            const deflated = DEFLATE_EXTENSIONS.has(extension) ? zlib.deflateRawSync(data) : null;
+            const method = deflated && deflated.length < data.length ? 8 : 0;
+            const body = method === 8 ? deflated : data;
+            const name = Buffer.from(entry.name, 'utf8');
+            const crc = crc32(data);
+            const { time, date } = dosDateTime(stat.mtime);
+
+            if (offset + body.length > ZIP_LIMIT) {
+                throw new Error('Package is too large for a zip archive (4 GB)');
+            }
+
+            const header = Buffer.alloc(30);
+            header.writeUInt32LE(0x04034b50, 0);
+            header.writeUInt16LE(20, 4);         // Version needed
+            header.writeUInt16LE(0x0800, 6);     // UTF-8 names
+            header.writeUInt16LE(method, 8);
+            header.writeUInt16LE(time, 10);
+            header.writeUInt16LE(date, 12);
+            header.writeUInt32LE(crc, 14);
+            header.writeUInt32LE(body.length, 18);
+            header.writeUInt32LE(data.length, 22);
+            header.writeUInt16LE(name.length, 26);
+            header.writeUInt16LE(0, 28);         // Extra field length
+
+            central.push({ name, method, time, date, crc, compressedSize: body.length, size: data.length, offset });
+            await write(header);
+            await write(name);
+            await write(body);
+        }
+
+        const centralStart = offset;
+        for (const item of central) {
+            const record = Buffer.alloc(46);
+            record.writeUInt32LE(0x02014b50, 0);
+            record.writeUInt16LE(20, 4);         // Version made by
+            record.writeUInt16LE(20, 6);         // Version needed
+            record.writeUInt16LE(0x0800, 8);
+            record.writeUInt16LE(item.method, 10);
+            record.writeUInt16LE(item.time, 12);
+            record.writeUInt16LE(item.date, 14);
+            record.writeUInt32LE(item.crc, 16);
+            record.writeUInt32LE(item.compressedSize, 20);
+            record.writeUInt32LE(item.size, 24);
+            record.writeUInt16LE(item.name.length, 28);
+            // Extra, comment, disk, attributes: all zero
+            record.writeUInt32LE(item.offset, 42);
+            await write(record);
+            await write(item.name);
+        }
+
+        const end = Buffer.alloc(22);
+        end.writeUInt32LE(0x06054b50, 0);
+        end.writeUInt16LE(central.length, 8);
+        end.writeUInt16LE(central.length, 10);
+        end.writeUInt32LE(offset - centralStart, 12);
+        end.writeUInt32LE(centralStart, 16);
+        await write(end);
+    } finally {
+        await handle.close();
+    }
+}
@@ -0,0 +1,203 @@
+/**
+ * Depth Tour Schemas
+ *
+ * JSON Schemas of scenes.json and a scene's hotspots.json. The tour checks
+ * its files against them at load time (tourValidation.js), the
+ * validate-tour CLI uses them for whole tour folders, and
+ * `npm run validate-tour -- --schema scenes|hotspots` prints them for
+ * editors that understand JSON Schema.
+ *
+ * Extra properties are allowed so apps can keep their own data in the files.
+ */
+
+import { TransitionType } from './transitions.js';
+import { Projection } from './projections.js';
+import { DepthEncoding, DEPTH_UNITS } from './depthEncoding.js';
+import { HotspotOcclusion } from './hotspotLayout.js';
+import { SCENE_IMAGES } from './textureFormats.js';
+import { HOTSPOT_UV_VERSION } from './hotspotUv.js';
+
+const JSON_SCHEMA_DRAFT = 'http://json-schema.org/draft-07/schema#';
+
+const number = (minimum, maximum) => ({ type: 'number', minimum, maximum });
+const positive = { type: 'number', exclusiveMinimum: 0 };
+const numberArray = (length, items = { type: 'number' }) =>
+    ({ type: 'array', items, minItems: length, maxItems: length });
+
+// Text shown to visitors: a string, or strings by language tag ({ "en": "Lobby", "de": "Eingangshalle" })
+const localized = (text) => ({
+    anyOf: [text, { type: 'object', minProperties: 1, additionalProperties: text }],
+    errorMessage: 'must be a string or an object of strings by language'
+});
+const LOCALIZED_TEXT = localized({ type: 'string' });
+const LOCALIZED_URL = localized({ type: 'string', minLength: 1 });
+
+// Initial view and view limits in degrees
+const VIEW_SCHEMA = {
+    type: 'object',
+    properties: {
+        yaw: { type: 'number' },
+        pitch: number(-90, 90),
+        fov: number(1, 179),
+        minFov: number(1, 179),
+        maxFov: number(1, 179),
+        minPolarAngle: number(0, 180),
+        maxPolarAngle: number(0, 180)
+    }
+};
+
+// Settings a scene can override, with fallbacks in "defaults"
+const SCENE_SETTINGS = {
+    depthScale: { type: 'number' },
+    depthBias: { type: 'number' },
+    depthFlip: { type: 'boolean' },
+    depthEncoding: { enum: Object.values(DepthEncoding) },
+    depthUnit: { enum: Object.keys(DEPTH_UNITS) },
+    depthNear: positive,
+    depthFar: positive,
+    cameraHeight: positive,
+    seamFix: number(-1, 1),
+    exposure: { type: 'number', minimum: 0 },
+    projection: { enum: Object.values(Projection) },
+    fisheyeFov: number(180, 360),
+    hotspotOcclusion: { enum: Object.values(HotspotOcclusion) },
+    hotspotScaling: { type: 'boolean' },
+    hotspotDeclutter: { type: 'boolean' },
+    view: VIEW_SCHEMA
+};
+
+const TESSELLATION_SCHEMA = {
+    type: 'object',
+    properties: {
+        vertexBudget: { type: 'integer', minimum: 1 },
+        errorThreshold: { type: 'number', minimum: 0 },
+        maxLevel: { type: 'integer', minimum: 0 },
+        baseColumns: { type: 'integer', minimum: 1 },
+        baseRows: { type: 'integer', minimum: 1 }
+    }
+};
+
+// Image files of a scene relative to its path, instead of trying the default names
+const SCENE_FILES_SCHEMA = {
+    type: 'object',
+    properties: Object.fromEntries(Object.keys(SCENE_IMAGES).map(role => [role, { type: 'string', minLength: 1 }]))
+};
+
+// Scene position on the floor plan as fractions of the image size from its top left,
+// and the direction on the plan (degrees clockwise from up) the scene's yaw 0 faces
+const SCENE_FLOOR_PLAN_SCHEMA = {
+    type: 'object',
+    required: ['x', 'y'],
+    properties: {
+        x: number(0, 1),
+        y: number(0, 1),
+        heading: { type: 'number' }
+    }
+};
+
+// One step of the guided tour: the scene and view to show, what to open and say, and for how long
+const GUIDED_TOUR_STEP_SCHEMA = {
+    type: 'object',
+    required: ['scene'],
+    properties: {
+        scene: { type: 'string', minLength: 1 },
+        title: LOCALIZED_TEXT,
+        text: LOCALIZED_TEXT,
+        yaw: { type: 'number' },
+        pitch: number(-90, 90),
+        fov: number(1, 179),
+        hotspot: { type: 'string', minLength: 1 },
+        audio: LOCALIZED_URL,
+        duration: { type: 'number', minimum: 0 },
+        transition: { enum: Object.values(TransitionType) }
+    }
+};
+
+/**
+ * scenes.json
+ */
+export const SCENES_SCHEMA = {
+    $schema: JSON_SCHEMA_DRAFT,
+    title: 'Depth Tour scenes',
+    type: 'object',
+    required: ['start', 'scenes'],
+    properties: {
+        start: { type: 'string', minLength: 1 },
+        // Language tags the tour is written in; the switcher offers them in this order
+        languages: { type: 'array', items: { type: 'string', minLength: 1 }, minItems: 1 },
+        defaultLanguage: { type: 'string', minLength: 1 },
+        floorPlan: {
+            type: 'object',
+            required: ['image'],
+            properties: {
+                image: { type: 'string', minLength: 1 }
+            }
+        },
+        guidedTour: {
+            type: 'object',
+            required: ['steps'],
+            properties: {
+                loop: { type: 'boolean' },
+                steps: { type: 'array', items: GUIDED_TOUR_STEP_SCHEMA, minItems: 1 }
+            }
+        },
+        defaults: {
+            type: 'object',
+            properties: SCENE_SETTINGS
+        },
+        scenes: {
+            type: 'object',
+            minProperties: 1,
+            additionalProperties: {
+                type: 'object',
+                required: ['path'],
+                properties: {
+                    title: LOCALIZED_TEXT,
+                    path: { type: 'string', minLength: 1 },
+                    tiles: { type: 'boolean' },
+                    files: SCENE_FILES_SCHEMA,
+                    floorPlan: SCENE_FLOOR_PLAN_SCHEMA,
+                    ...SCENE_SETTINGS,
+                    tessellation: TESSELLATION_SCHEMA
+                }
+            }
+        }
+    }
+};
+
+/**
+ * hotspots.json of a scene
+ */
+export const HOTSPOTS_SCHEMA = {
+    $schema: JSON_SCHEMA_DRAFT,
+    title: 'Depth Tour hotspots',
+    type: 'array',
+    items: {
+        type: 'object',
+        required: ['id'],
+        properties: {
+            id: { type: 'string', minLength: 1 },
+            title: LOCALIZED_TEXT,
+            type: { type: 'string', minLength: 1 },
+            uv: numberArray(2, number(0, 1)),
+            uvVersion: { enum: [1, HOTSPOT_UV_VERSION] }, // See hotspotUv.js, 1 when missing
+            d: { type: 'number', minimum: 0 }, // Depth map value, above 1 for metric depth
+            position: numberArray(3),
+            target: { type: 'string', minLength: 1 },
+            transition: { enum: Object.values(TransitionType) },
+            transitionDuration: { type: 'number', minimum: 0 },
+            content: LOCALIZED_TEXT,
+            format: { enum: ['markdown', 'html'] },
+            src: { type: 'string', minLength: 1 },
+            url: { type: 'string', minLength: 1 },
+            html: LOCALIZED_TEXT,
+            loop: { type: 'boolean' },
+            refDistance: positive
+        },
+        // Placed on the depth surface by uv, or at a fixed world position
+        anyOf: [{ required: ['uv'] }, { required: ['position'] }],
+        errorMessage: 'needs uv or position',
+        if: { properties: { type: { const: 'link' } }, required: ['type'] },
+        then: { required: ['target'] }
+    }
+};
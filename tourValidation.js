@@ -0,0 +1,247 @@
+/**
+ * Depth Tour Validation
+ *
+ * Checks scenes.json and hotspots.json data against the schemas in
+ * tourSchema.js, plus the checks a schema can't express (start scene,
+ * floor plan, projections of tiled scenes, depth ranges, guided tour
+ * scenes, duplicate ids, link targets). Every check returns a list of
+ * readable messages such as 'hotspots[2].uv[0] must be at most 1'; an
+ * empty list means the data is valid. Shared by the tour, the save plugin
+ * and the validate-tour CLI.
+ */
+
+import { SCENES_SCHEMA, HOTSPOTS_SCHEMA } from './tourSchema.js';
+import { Projection } from './projections.js';
+import { DepthEncoding } from './depthEncoding.js';
+
+// How each JSON type reads in messages
+const TYPE_NAMES = {
+    object: 'an object',
+    array: 'an array',
+    string: 'a string',
+    number: 'a number',
+    integer: 'an integer',
+    boolean: 'true or false'
+};
+
+// JSON type of a parsed value, as named by JSON Schema
+function getJsonType(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+    return typeof value;
+}
+
+function matchesType(value, type) {
+    const actual = getJsonType(value);
+    return actual === type || (type === 'number' && actual === 'integer');
+}
+
+// Property path for messages: scenes.lobby.view, hotspots[2].uv[0]
+const childPath = (path, key) => typeof key === 'number' ? `${path}[${key}]` : `${path}.${key}`;
+
+/**
+ * Check a value against a JSON Schema, returns a list of messages.
+ *
+ * Covers the keywords tourSchema.js uses: type, enum, const, required,
+ * properties, additionalProperties, minProperties, items, minItems,
+ * maxItems, minLength, minimum, maximum, exclusiveMinimum, anyOf
+ * (reported with the schema's "errorMessage") and if/then.
+ */
+export function validateSchema(value, schema, path) {
+    if (schema.type && !matchesType(value, schema.type)) {
+        return [`${path} must be ${TYPE_NAMES[schema.type]}`];
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+        return [`${path} must be one of ${schema.enum.map(item => JSON.stringify(item)).join(', ')}`];
+    }
+    if ('const' in schema && value !== schema.const) {
+        return [`${path} must be ${JSON.stringify(schema.const)}`];
+    }
+
+    const errors = [];
+    const type = getJsonType(value);
+
+    if (type === 'object') {
+        (schema.required || []).forEach(key => {
+            if (value[key] === undefined) {
+                errors.push(`${childPath(path, key)} is required`);
+            }
+        });
+        Object.entries(value).forEach(([key, item]) => {
+            const itemSchema = schema.properties && Object.hasOwn(schema.properties, key)
+                ? schema.properties[key]
+                : schema.additionalProperties;
+            if (itemSchema && typeof itemSchema === 'object') {
+                errors.push(...validateSchema(item, itemSchema, childPath(path, key)));
+            }
+        });
+        if (schema.minProperties !== undefined && Object.keys(value).length < schema.minProperties) {
+            errors.push(`${path} must not be empty`);
+        }
+    }
+
+    if (type === 'array') {
+        const { minItems, maxItems } = schema;
+        if (minItems !== undefined && minItems === maxItems && value.length !== minItems) {
+            errors.push(`${path} must have ${minItems} items`);
+        } else if (minItems !== undefined && value.length < minItems) {
+            errors.push(`${path} must have at least ${minItems} items`);
+        } else if (maxItems !== undefined && value.length > maxItems) {
+            errors.push(`${path} must have at most ${maxItems} items`);
+        }
+        if (schema.items) {
+            value.forEach((item, index) => {
+                errors.push(...validateSchema(item, schema.items, childPath(path, index)));
+            });
+        }
+    }
+
+    if (type === 'string' && schema.minLength && value.length < schema.minLength) {
+        errors.push(`${path} must not be empty`);
+    }
+
+    if (type === 'number' || type === 'integer') {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            errors.push(`${path} must be at least ${schema.minimum}`);
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            errors.push(`${path} must be at most ${schema.maximum}`);
+        }
+        if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+            errors.push(`${path} must be greater than ${schema.exclusiveMinimum}`);
+        }
+    }
+
+    if (schema.anyOf && !schema.anyOf.some(option => validateSchema(value, option, path).length === 0)) {
+        errors.push(`${path} ${schema.errorMessage || 'does not match any allowed form'}`);
+    }
+
+    if (schema.if && schema.then && validateSchema(value, schema.if, path).length === 0) {
+        errors.push(...validateSchema(value, schema.then, path));
+    }
+
+    return errors;
+}
+
+/**
+ * Check a scenes.json object
+ */
+export function validateConfig(config) {
+    const errors = validateSchema(config, SCENES_SCHEMA, 'config');
+    if (errors.length > 0) {
+        return errors;
+    }
+
+    if (!Object.hasOwn(config.scenes, config.start)) {
+        errors.push(`config.start "${config.start}" is not a scene id`);
+    }
+
+    if (config.defaultLanguage && config.languages && !config.languages.includes(config.defaultLanguage)) {
+        errors.push(`config.defaultLanguage "${config.defaultLanguage}" is not one of config.languages`);
+    }
+
+    const defaults = config.defaults || {};
+    Object.entries(config.scenes).forEach(([sceneId, scene]) => {
+        const setting = (key) => scene[key] ?? defaults[key];
+        const label = `config.scenes.${sceneId}`;
+        
+        if (scene.floorPlan && !config.floorPlan) {
+            errors.push(`${label}.floorPlan needs a top-level floorPlan image`);
+        }
+        
+        // Tile pyramids are cut from equirectangular panoramas only
+        const projection = setting('projection') ?? Projection.EQUIRECT;
+        if (scene.tiles && projection !== Projection.EQUIRECT) {
+            errors.push(`${label}.tiles needs the "${Projection.EQUIRECT}" projection, not "${projection}"`);
+        }
+        
+        // Linear and inverse depth values are spread between near and far
+        const encoding = setting('depthEncoding');
+        if (encoding === DepthEncoding.LINEAR || encoding === DepthEncoding.INVERSE) {
+            const near = setting('depthNear');
+            const far = setting('depthFar');
+            if (near === undefined || far === undefined) {
+                errors.push(`${label} needs depthNear and depthFar for "${encoding}" depth`);
+            } else if (far <= near) {
+                errors.push(`${label}.depthFar must be greater than depthNear`);
+            }
+        }
+    });
+
+    if (config.guidedTour) {
+        config.guidedTour.steps.forEach((step, index) => {
+            if (!Object.hasOwn(config.scenes, step.scene)) {
+                errors.push(`config.guidedTour.steps[${index}].scene "${step.scene}" is not a scene id`);
+            }
+        });
+    }
+    return errors;
+}
+
+/**
+ * Depth encoding of a scene of the config, from the scene or the config's defaults
+ */
+export function getSceneDepthEncoding(config, sceneId) {
+    const scene = (config.scenes && config.scenes[sceneId]) || {};
+    return scene.depthEncoding ?? (config.defaults && config.defaults.depthEncoding) ?? DepthEncoding.NORMALIZED;
+}
+
+/**
+ * Check a hotspots array. Link targets are checked when sceneIds is given,
+ * depth values ("d") against the scene's depthEncoding when that is given.
+ */
+export function validateHotspots(hotspots, sceneIds = null, depthEncoding = null) {
+    const errors = validateSchema(hotspots, HOTSPOTS_SCHEMA, 'hotspots');
+    if (!Array.isArray(hotspots)) {
+        return errors;
+    }
+
+    const ids = new Set();
+    hotspots.forEach((hotspot, index) => {
+        if (getJsonType(hotspot) !== 'object') return;
+
+        const label = `hotspots[${index}]`;
+        if (typeof hotspot.id === 'string') {
+            if (ids.has(hotspot.id)) {
+                errors.push(`${label}.id "${hotspot.id}" is used by another hotspot`);
+            }
+            ids.add(hotspot.id);
+        }
+        if (hotspot.type === 'link' && typeof hotspot.target === 'string' &&
+            sceneIds && !sceneIds.includes(hotspot.target)) {
+            errors.push(`${label}.target "${hotspot.target}" is not a scene id`);
+        }
+        // Only metric depth values go past the [0,1] range of the texture
+        if (typeof hotspot.d === 'number' && hotspot.d > 1 &&
+            depthEncoding && depthEncoding !== DepthEncoding.METRIC) {
+            errors.push(`${label}.d must be at most 1 for "${depthEncoding}" depth`);
+        }
+    });
+
+    return errors;
+}
+
+/**
+ * Scene ids that can't be reached from the start scene through link hotspots.
+ * hotspotsByScene maps scene ids to their hotspots arrays.
+ */
+export function findUnreachableScenes(config, hotspotsByScene) {
+    const reached = new Set([config.start]);
+    const queue = [config.start];
+
+    while (queue.length > 0) {
+        const hotspots = hotspotsByScene[queue.shift()];
+        if (!Array.isArray(hotspots)) continue;
+
+        hotspots.forEach(hotspot => {
+            const target = hotspot && hotspot.type === 'link' ? hotspot.target : null;
+            if (Object.hasOwn(config.scenes, target) && !reached.has(target)) {
+                reached.add(target);
+                queue.push(target);
+            }
+        });
+    }
+
+    return Object.keys(config.scenes).filter(sceneId => !reached.has(sceneId));
+}
@@ -0,0 +1,122 @@
+/**
+ * Depth Tour Scene Transitions
+ *
+ * Renders the outgoing and incoming scenes into offscreen targets and
+ * blends them on a fullscreen quad, so scene changes never show a black frame.
+ */
+
+import * as THREE from 'three';
+
+// Transition types accepted in link hotspots ("transition" field)
+export const TransitionType = {
+    CUT: 'cut',
+    CROSSFADE: 'crossfade',
+    FLY_THROUGH: 'fly-through'
+};
+
+// Default durations in seconds
+export const DEFAULT_TRANSITION_DURATIONS = {
+    [TransitionType.CUT]: 0,
+    [TransitionType.CROSSFADE]: 1.0,
+    [TransitionType.FLY_THROUGH]: 1.6
+};
+
+// Fullscreen quad shaders for blending two rendered scenes
+const blendVertexShader = `
+    varying vec2 vUv;
+
+    void main() {
+        vUv = uv;
+        gl_Position = vec4(position.xy, 0.0, 1.0);
+    }
+`;
+
+const blendFragmentShader = `
+    uniform sampler2D tFrom;
+    uniform sampler2D tTo;
+    uniform float mixRatio;
+
+    varying vec2 vUv;
+
+    void main() {
+        vec4 fromColor = texture2D(tFrom, vUv);
+        vec4 toColor = texture2D(tTo, vUv);
+        gl_FragColor = mix(fromColor, toColor, mixRatio);
+    }
+`;
+
+// Smooth acceleration and deceleration for camera moves and blends
+export function easeInOutCubic(t) {
+    return t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2;
+}
+
+/**
+ * Offscreen renderer that blends two scene groups
+ */
+export class TransitionRenderer {
+    constructor(renderer) {
+        this.renderer = renderer;
+
+        const size = renderer.getDrawingBufferSize(new THREE.Vector2());
+        this.fromTarget = new THREE.WebGLRenderTarget(size.x, size.y);
+        this.toTarget = new THREE.WebGLRenderTarget(size.x, size.y);
+
+        this.material = new THREE.ShaderMaterial({
+            uniforms: {
+                tFrom: { value: this.fromTarget.texture },
+                tTo: { value: this.toTarget.texture },
+                mixRatio: { value: 0.0 }
+            },
+            vertexShader: blendVertexShader,
+            fragmentShader: blendFragmentShader,
+            depthTest: false,
+            depthWrite: false
+        });
+
+        this.quadScene = new THREE.Scene();
+        this.quadCamera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0, 1);
+        this.quad = new THREE.Mesh(new THREE.PlaneGeometry(2, 2), this.material);
+        this.quadScene.add(this.quad);
+    }
+
+    /**
+     * Match the render targets to the drawing buffer
+     */
+    setSize(width, height) {
+        const pixelRatio = this.renderer.getPixelRatio();
+        this.fromTarget.setSize(width * pixelRatio, height * pixelRatio);
+        this.toTarget.setSize(width * pixelRatio, height * pixelRatio);
+    }
+
+    /**
+     * Render fromGroup with fromCamera and toGroup with toCamera, then blend by mixRatio
+     */
+    render(scene, fromGroup, fromCamera, toGroup, toCamera, mixRatio) {
+        const renderer = this.renderer;
+        const previousTarget = renderer.getRenderTarget();
+
+        toGroup.visible = false;
+        fromGroup.visible = true;
+        renderer.setRenderTarget(this.fromTarget);
+        renderer.render(scene, fromCamera);
+
+        fromGroup.visible = false;
+        toGroup.visible = true;
+        renderer.setRenderTarget(this.toTarget);
+        renderer.render(scene, toCamera);
+
+        renderer.setRenderTarget(previousTarget);
+        this.material.uniforms.mixRatio.value = mixRatio;
+        renderer.render(this.quadScene, this.quadCamera);
+    }
+
+    /**
+     * Release GPU resources
+     */
+    dispose() {
+        this.fromTarget.dispose();
+        this.toTarget.dispose();
+        this.quad.geometry.dispose();
+        this.material.dispose();
+    }
+}
@@ -0,0 +1,378 @@
+/**
+ * Depth Tour UI Strings
+ *
+ * The tour's own texts by language and key, with {name} placeholders.
+ * Plural forms use the Intl.PluralRules categories as key suffixes
+ * (.one, .few, .many, .other). Keys missing in a language fall back to
+ * English.
+ */
+
+export const UI_STRINGS = {
+    en: {
+        'root.label': 'Panorama tour. Arrow keys look around, Tab moves between hotspots.',
+        'root.description': 'panorama tour',
+        'language.label': 'Language',
+
+        'hud.loading': 'Scene: Loading...',
+        'hud.scene': 'Scene: {title}',
+        'hud.depthScale': 'Depth Scale: {value}',
+        'hud.depthEncoding': 'Depth: {encoding} (meters)',
+        'hud.exposure': 'Exposure: {value}',
+        'hud.edges': 'Edges: {mode} {threshold}',
+        'hud.holeFill': '+ fill',
+        'hud.headMotion': 'HEAD MOTION - WASD / Shift+drag / tilt to move, R to recenter',
+        'hud.authoring': 'AUTHORING MODE - Long-press to place hotspots, Ctrl+S to save, E/C to export hotspots/scene config',
+
+        'loading.panorama': 'Loading panorama...',
+        'popup.close': 'Close',
+        'hotspot.untitled': 'Untitled',
+        'hotspot.noInformation': 'No additional information available.',
+        'hotspotType.link': 'Link',
+        'hotspotType.info': 'Information',
+        'hotspotType.image': 'Image',
+        'hotspotType.video': 'Video',
+        'hotspotType.audio': 'Sound',
+        'hotspotType.url': 'Web page',
+        'hotspotType.html': 'Information',
+        'scene.loaded.one': '{title}, {count} hotspot',
+        'scene.loaded.other': '{title}, {count} hotspots',
+
+        'key.mouse': 'Mouse',
+        'key.touch': 'Touch',
+        'key.space': 'Space',
+        'help.title': 'Controls:',
+        'help.close': 'Got it!',
+        'help.mouse': 'Look around',
+        'help.touch': 'Drag to look around, pinch to zoom, Motion button to look by turning the device',
+        'help.authoring': 'Toggle authoring mode',
+        'help.debugDepth': 'Toggle depth debug view',
+        'help.flipDepth': 'Flip depth direction',
+        'help.depthScale': 'Decrease/Increase depth scale',
+        'help.exposure': 'Decrease/Increase exposure',
+        'help.edgeMode': 'Cycle edge tearing (off / discard / fade)',
+        'help.edgeThreshold': 'Decrease/Increase edge threshold',
+        'help.holeFill': 'Fill torn edges from background layer',
+        'help.exportHotspots': 'Export hotspots (authoring mode)',
+        'help.exportConfig': 'Export scene config (authoring mode)',
+        'help.save': 'Save hotspots and scene config to disk (authoring mode, npm run dev)',
+        'help.headMotion': 'Toggle head motion (WASD / Shift+drag / tilt to move)',
+        'help.recenter': 'Recenter view',
+        'help.guidedTour': 'Play/pause the guided tour',
+        'help.recordStep': 'Record the view as a guided tour step (authoring mode)',
+        'help.hide': 'Hide this help',
+
+        'hotkeys.title': 'Controls:',
+        'hotkeys.look': 'Look around',
+        'hotkeys.authoring': 'Authoring mode',
+        'hotkeys.debugDepth': 'Debug depth',
+        'hotkeys.flipDepth': 'Flip depth',
+        'hotkeys.depthScale': 'Depth scale',
+        'hotkeys.exposure': 'Exposure',
+        'hotkeys.edgeMode': 'Edge tearing mode',
+        'hotkeys.edgeThreshold': 'Edge threshold',
+        'hotkeys.holeFill': 'Fill torn edges',
+        'hotkeys.exportHotspots': 'Export hotspots',
+        'hotkeys.exportConfig': 'Export scene config',
+        'hotkeys.headMotion': 'Head motion',
+        'hotkeys.recenter': 'Recenter view',
+        'hotkeys.guidedTour': 'Guided tour',
+        'hotkeys.recordStep': 'Record tour step',
+        'hotkeys.test': 'Test controls',
+        'hotkeys.close': 'Close overlays',
+
+        'guidedTour.start': 'Start guided tour',
+        'guidedTour.previous': 'Previous step',
+        'guidedTour.next': 'Next step',
+        'guidedTour.play': 'Play',
+        'guidedTour.pause': 'Pause',
+        'guidedTour.stop': 'End guided tour',
+        'guidedTour.shortcut': '{action} (Space)',
+
+        'gyro.button': 'Motion',
+        'gyro.title': 'Look around by moving your device',
+        'gyro.unavailable': 'Motion sensors are not available',
+        'minimap.image': 'Floor plan',
+
+        'offline.progress': 'Offline download',
+        'offline.downloading': 'Saving tour for offline use: {percent}%',
+        'offline.ready': 'Tour available offline',
+        'offline.failed': 'Offline download failed: {message}',
+
+        'editor.title': 'Hotspot Editor',
+        'editor.undo': 'Undo',
+        'editor.undoTitle': 'Undo (Ctrl+Z)',
+        'editor.redo': 'Redo',
+        'editor.redoTitle': 'Redo (Ctrl+Y)',
+        'editor.save': 'Save',
+        'editor.saveTitle': 'Save to disk (Ctrl+S)',
+        'editor.hint': 'Press and hold the panorama to place a hotspot. Click a hotspot to edit it, drag it to move it.',
+        'editor.id': 'ID',
+        'editor.hotspotTitle': 'Title',
+        'editor.type': 'Type',
+        'editor.target': 'Target',
+        'editor.transition': 'Transition',
+        'editor.src': 'Media URL',
+        'editor.url': 'Web page URL',
+        'editor.content': 'Content',
+        'editor.html': 'HTML',
+        'editor.delete': 'Delete hotspot',
+
+        'hotspot.newTitle': 'New Hotspot',
+        'hotspot.newContent': 'This is a new hotspot created in authoring mode.',
+        'edges.off': 'Off',
+        'edges.discard': 'Discard',
+        'edges.fade': 'Fade',
+        'save.saving': 'Saving...',
+        'save.saved': 'Saved hotspots and scene config for "{scene}"',
+        'save.savedHotspots': 'Saved hotspots for "{scene}"; the scene config wasn\'t loaded from the dev server, export it with C',
+        'save.failed': 'Save failed: {message}',
+        'save.unreachable': 'dev server not reachable (run "npm run dev")',
+        'guidedTour.recorded': 'Recorded guided tour step {step} of {count}'
+    },
+
+    de: {
+        'root.label': 'Panorama-Tour. Mit den Pfeiltasten umsehen, Tab wechselt zwischen Hotspots.',
+        'root.description': 'Panorama-Tour',
+        'language.label': 'Sprache',
+
+        'hud.loading': 'Szene: Wird geladen...',
+        'hud.scene': 'Szene: {title}',
+        'hud.depthScale': 'Tiefenskala: {value}',
+        'hud.depthEncoding': 'Tiefe: {encoding} (Meter)',
+        'hud.exposure': 'Belichtung: {value}',
+        'hud.edges': 'Kanten: {mode} {threshold}',
+        'hud.holeFill': '+ Füllung',
+        'hud.headMotion': 'KOPFBEWEGUNG - WASD / Umschalt+Ziehen / Neigen zum Bewegen, R zum Zentrieren',
+        'hud.authoring': 'BEARBEITUNGSMODUS - Lange drücken setzt Hotspots, Strg+S speichert, E/C exportiert Hotspots/Szenenkonfiguration',
+
+        'loading.panorama': 'Panorama wird geladen...',
+        'popup.close': 'Schließen',
+        'hotspot.untitled': 'Ohne Titel',
+        'hotspot.noInformation': 'Keine weiteren Informationen verfügbar.',
+        'hotspotType.link': 'Link',
+        'hotspotType.info': 'Information',
+        'hotspotType.image': 'Bild',
+        'hotspotType.video': 'Video',
+        'hotspotType.audio': 'Ton',
+        'hotspotType.url': 'Webseite',
+        'hotspotType.html': 'Information',
+        'scene.loaded.one': '{title}, {count} Hotspot',
+        'scene.loaded.other': '{title}, {count} Hotspots',
+
+        'key.mouse': 'Maus',
+        'key.touch': 'Touch',
+        'key.space': 'Leertaste',
+        'help.title': 'Steuerung:',
+        'help.close': 'Verstanden!',
+        'help.mouse': 'Umsehen',
+        'help.touch': 'Ziehen zum Umsehen, zwei Finger zum Zoomen, Taste „Bewegung“ zum Umsehen durch Drehen des Geräts',
+        'help.authoring': 'Bearbeitungsmodus ein/aus',
+        'help.debugDepth': 'Tiefen-Debugansicht ein/aus',
+        'help.flipDepth': 'Tiefenrichtung umkehren',
+        'help.depthScale': 'Tiefenskala verringern/erhöhen',
+        'help.exposure': 'Belichtung verringern/erhöhen',
+        'help.edgeMode': 'Kantenreißen wechseln (aus / verwerfen / überblenden)',
+        'help.edgeThreshold': 'Kantenschwelle verringern/erhöhen',
+        'help.holeFill': 'Gerissene Kanten aus der Hintergrundebene füllen',
+        'help.exportHotspots': 'Hotspots exportieren (Bearbeitungsmodus)',
+        'help.exportConfig': 'Szenenkonfiguration exportieren (Bearbeitungsmodus)',
+        'help.save': 'Hotspots und Szenenkonfiguration speichern (Bearbeitungsmodus, npm run dev)',
+        'help.headMotion': 'Kopfbewegung ein/aus (WASD / Umschalt+Ziehen / Neigen zum Bewegen)',
+        'help.recenter': 'Ansicht zentrieren',
+        'help.guidedTour': 'Geführte Tour abspielen/anhalten',
+        'help.recordStep': 'Ansicht als Schritt der geführten Tour aufnehmen (Bearbeitungsmodus)',
+        'help.hide': 'Hilfe ausblenden',
+
+        'hotkeys.title': 'Steuerung:',
+        'hotkeys.look': 'Umsehen',
+        'hotkeys.authoring': 'Bearbeitungsmodus',
+        'hotkeys.debugDepth': 'Tiefen-Debug',
+        'hotkeys.flipDepth': 'Tiefe umkehren',
+        'hotkeys.depthScale': 'Tiefenskala',
+        'hotkeys.exposure': 'Belichtung',
+        'hotkeys.edgeMode': 'Kantenmodus',
+        'hotkeys.edgeThreshold': 'Kantenschwelle',
+        'hotkeys.holeFill': 'Kanten füllen',
+        'hotkeys.exportHotspots': 'Hotspots exportieren',
+        'hotkeys.exportConfig': 'Szenenkonfiguration exportieren',
+        'hotkeys.headMotion': 'Kopfbewegung',
+        'hotkeys.recenter': 'Ansicht zentrieren',
+        'hotkeys.guidedTour': 'Geführte Tour',
+        'hotkeys.recordStep': 'Tourschritt aufnehmen',
+        'hotkeys.test': 'Steuerung testen',
+        'hotkeys.close': 'Fenster schließen',
+
+        'guidedTour.start': 'Geführte Tour starten',
+        'guidedTour.previous': 'Vorheriger Schritt',
+        'guidedTour.next': 'Nächster Schritt',
+        'guidedTour.play': 'Abspielen',
+        'guidedTour.pause': 'Pause',
+        'guidedTour.stop': 'Geführte Tour beenden',
+        'guidedTour.shortcut': '{action} (Leertaste)',
+
+        'gyro.button': 'Bewegung',
+        'gyro.title': 'Durch Bewegen des Geräts umsehen',
+        'gyro.unavailable': 'Bewegungssensoren sind nicht verfügbar',
+        'minimap.image': 'Grundriss',
+
+        'offline.progress': 'Offline-Download',
+        'offline.downloading': 'Tour wird für die Offline-Nutzung gespeichert: {percent} %',
+        'offline.ready': 'Tour offline verfügbar',
+        'offline.failed': 'Offline-Download fehlgeschlagen: {message}',
+
+        'editor.title': 'Hotspot-Editor',
+        'editor.undo': 'Rückgängig',
+        'editor.undoTitle': 'Rückgängig (Strg+Z)',
+        'editor.redo': 'Wiederholen',
+        'editor.redoTitle': 'Wiederholen (Strg+Y)',
+        'editor.save': 'Speichern',
+        'editor.saveTitle': 'Auf der Festplatte speichern (Strg+S)',
+        'editor.hint': 'Panorama gedrückt halten, um einen Hotspot zu setzen. Hotspot anklicken, um ihn zu bearbeiten, ziehen, um ihn zu verschieben.',
+        'editor.id': 'ID',
+        'editor.hotspotTitle': 'Titel',
+        'editor.type': 'Typ',
+        'editor.target': 'Ziel',
+        'editor.transition': 'Übergang',
+        'editor.src': 'Medien-URL',
+        'editor.url': 'Webseiten-URL',
+        'editor.content': 'Inhalt',
+        'editor.html': 'HTML',
+        'editor.delete': 'Hotspot löschen',
+
+        'hotspot.newTitle': 'Neuer Hotspot',
+        'hotspot.newContent': 'Dieser Hotspot wurde im Bearbeitungsmodus erstellt.',
+        'edges.off': 'Aus',
+        'edges.discard': 'Verwerfen',
+        'edges.fade': 'Ausblenden',
+        'save.saving': 'Wird gespeichert...',
+        'save.saved': 'Hotspots und Szenenkonfiguration für „{scene}“ gespeichert',
+        'save.savedHotspots': 'Hotspots für „{scene}“ gespeichert; die Szenenkonfiguration stammt nicht vom Entwicklungsserver, mit C exportieren',
+        'save.failed': 'Speichern fehlgeschlagen: {message}',
+        'save.unreachable': 'Entwicklungsserver nicht erreichbar („npm run dev“ ausführen)',
+        'guidedTour.recorded': 'Tourschritt {step} von {count} aufgenommen'
+    },
+
+    pl: {
+        'root.label': 'Wirtualny spacer. Strzałki służą do rozglądania się, Tab przechodzi między punktami.',
+        'root.description': 'wirtualny spacer',
+        'language.label': 'Język',
+
+        'hud.loading': 'Scena: Wczytywanie...',
+        'hud.scene': 'Scena: {title}',
+        'hud.depthScale': 'Skala głębi: {value}',
+        'hud.depthEncoding': 'Głębia: {encoding} (metry)',
+        'hud.exposure': 'Ekspozycja: {value}',
+        'hud.edges': 'Krawędzie: {mode} {threshold}',
+        'hud.holeFill': '+ wypełnienie',
+        'hud.headMotion': 'RUCH GŁOWY - WASD / Shift+przeciąganie / przechylenie, R wyśrodkowuje',
+        'hud.authoring': 'TRYB EDYCJI - Przytrzymaj, aby dodać punkt, Ctrl+S zapisuje, E/C eksportuje punkty/konfigurację sceny',
+
+        'loading.panorama': 'Wczytywanie panoramy...',
+        'popup.close': 'Zamknij',
+        'hotspot.untitled': 'Bez tytułu',
+        'hotspot.noInformation': 'Brak dodatkowych informacji.',
+        'hotspotType.link': 'Przejście',
+        'hotspotType.info': 'Informacja',
+        'hotspotType.image': 'Obraz',
+        'hotspotType.video': 'Wideo',
+        'hotspotType.audio': 'Dźwięk',
+        'hotspotType.url': 'Strona internetowa',
+        'hotspotType.html': 'Informacja',
+        'scene.loaded.one': '{title}, {count} punkt',
+        'scene.loaded.few': '{title}, {count} punkty',
+        'scene.loaded.many': '{title}, {count} punktów',
+        'scene.loaded.other': '{title}, {count} punktu',
+
+        'key.mouse': 'Mysz',
+        'key.touch': 'Dotyk',
+        'key.space': 'Spacja',
+        'help.title': 'Sterowanie:',
+        'help.close': 'Rozumiem!',
+        'help.mouse': 'Rozglądanie się',
+        'help.touch': 'Przeciągnij, aby się rozglądać, rozsuń palce, aby przybliżyć, przycisk „Ruch” obraca widok razem z urządzeniem',
+        'help.authoring': 'Włącz/wyłącz tryb edycji',
+        'help.debugDepth': 'Włącz/wyłącz podgląd głębi',
+        'help.flipDepth': 'Odwróć kierunek głębi',
+        'help.depthScale': 'Zmniejsz/zwiększ skalę głębi',
+        'help.exposure': 'Zmniejsz/zwiększ ekspozycję',
+        'help.edgeMode': 'Przełącz rozrywanie krawędzi (wył. / odrzucanie / przenikanie)',
+        'help.edgeThreshold': 'Zmniejsz/zwiększ próg krawędzi',
+        'help.holeFill': 'Wypełnij rozerwane krawędzie warstwą tła',
+        'help.exportHotspots': 'Eksportuj punkty (tryb edycji)',
+        'help.exportConfig': 'Eksportuj konfigurację sceny (tryb edycji)',
+        'help.save': 'Zapisz punkty i konfigurację sceny na dysk (tryb edycji, npm run dev)',
+        'help.headMotion': 'Włącz/wyłącz ruch głowy (WASD / Shift+przeciąganie / przechylenie)',
+        'help.recenter': 'Wyśrodkuj widok',
+        'help.guidedTour': 'Odtwórz/wstrzymaj wycieczkę z przewodnikiem',
+        'help.recordStep': 'Zapisz widok jako krok wycieczki (tryb edycji)',
+        'help.hide': 'Ukryj pomoc',
+
+        'hotkeys.title': 'Sterowanie:',
+        'hotkeys.look': 'Rozglądanie się',
+        'hotkeys.authoring': 'Tryb edycji',
+        'hotkeys.debugDepth': 'Podgląd głębi',
+        'hotkeys.flipDepth': 'Odwróć głębię',
+        'hotkeys.depthScale': 'Skala głębi',
+        'hotkeys.exposure': 'Ekspozycja',
+        'hotkeys.edgeMode': 'Tryb krawędzi',
+        'hotkeys.edgeThreshold': 'Próg krawędzi',
+        'hotkeys.holeFill': 'Wypełnij krawędzie',
+        'hotkeys.exportHotspots': 'Eksport punktów',
+        'hotkeys.exportConfig': 'Eksport konfiguracji',
+        'hotkeys.headMotion': 'Ruch głowy',
+        'hotkeys.recenter': 'Wyśrodkuj widok',
+        'hotkeys.guidedTour': 'Wycieczka z przewodnikiem',
+        'hotkeys.recordStep': 'Zapisz krok wycieczki',
+        'hotkeys.test': 'Test sterowania',
+        'hotkeys.close': 'Zamknij okna',
+
+        'guidedTour.start': 'Rozpocznij wycieczkę z przewodnikiem',
+        'guidedTour.previous': 'Poprzedni krok',
+        'guidedTour.next': 'Następny krok',
+        'guidedTour.play': 'Odtwórz',
+        'guidedTour.pause': 'Wstrzymaj',
+        'guidedTour.stop': 'Zakończ wycieczkę',
+        'guidedTour.shortcut': '{action} (Spacja)',
+
+        'gyro.button': 'Ruch',
+        'gyro.title': 'Rozglądaj się, poruszając urządzeniem',
+        'gyro.unavailable': 'Czujniki ruchu są niedostępne',
+        'minimap.image': 'Plan piętra',
+
+        'offline.progress': 'Pobieranie offline',
+        'offline.downloading': 'Zapisywanie wycieczki do użytku offline: {percent}%',
+        'offline.ready': 'Wycieczka dostępna offline',
+        'offline.failed': 'Pobieranie offline nie powiodło się: {message}',
+
+        'editor.title': 'Edytor punktów',
+        'editor.undo': 'Cofnij',
+        'editor.undoTitle': 'Cofnij (Ctrl+Z)',
+        'editor.redo': 'Ponów',
+        'editor.redoTitle': 'Ponów (Ctrl+Y)',
+        'editor.save': 'Zapisz',
+        'editor.saveTitle': 'Zapisz na dysku (Ctrl+S)',
+        'editor.hint': 'Przytrzymaj panoramę, aby dodać punkt. Kliknij punkt, aby go edytować, przeciągnij, aby go przesunąć.',
+        'editor.id': 'ID',
+        'editor.hotspotTitle': 'Tytuł',
+        'editor.type': 'Typ',
+        'editor.target': 'Cel',
+        'editor.transition': 'Przejście',
+        'editor.src': 'Adres URL multimediów',
+        'editor.url': 'Adres strony',
+        'editor.content': 'Treść',
+        'editor.html': 'HTML',
+        'editor.delete': 'Usuń punkt',
+
+        'hotspot.newTitle': 'Nowy punkt',
+        'hotspot.newContent': 'Ten punkt utworzono w trybie edycji.',
+        'edges.off': 'Wył.',
+        'edges.discard': 'Odrzucanie',
+        'edges.fade': 'Zanikanie',
+        'save.saving': 'Zapisywanie...',
+        'save.saved': 'Zapisano punkty i konfigurację sceny „{scene}”',
+        'save.savedHotspots': 'Zapisano punkty sceny „{scene}”; konfiguracja scen nie pochodzi z serwera deweloperskiego, wyeksportuj ją klawiszem C',
+        'save.failed': 'Zapis nie powiódł się: {message}',
+        'save.unreachable': 'Serwer deweloperski jest niedostępny (uruchom „npm run dev”)',
+        'guidedTour.recorded': 'Zapisano krok wycieczki {step} z {count}'
+    }
+};
@@ -0,0 +1,58 @@
+/**
+ * Depth Tour URL State
+ *
+ * Encodes the current scene, view direction, FOV and open hotspot in the
+ * URL hash, e.g. #scene=hall&yaw=42.0&pitch=-5.0&fov=75&hotspot=info-hall
+ * The language goes in the query string instead (?lang=de), so a link keeps
+ * it while the hash follows the view.
+ */
+
+// Parse a number parameter, ignoring missing or malformed values
+function parseNumber(params, name) {
+    if (!params.has(name)) return undefined;
+    const value = parseFloat(params.get(name));
+    return Number.isFinite(value) ? value : undefined;
+}
+
+/**
+ * Read tour state from a location hash
+ */
+export function parseUrlState(hash) {
+    const params = new URLSearchParams(hash.replace(/^#/, ''));
+    return {
+        scene: params.get('scene') || undefined,
+        yaw: parseNumber(params, 'yaw'),
+        pitch: parseNumber(params, 'pitch'),
+        fov: parseNumber(params, 'fov'),
+        hotspot: params.get('hotspot') || undefined
+    };
+}
+
+/**
+ * Format tour state as a location hash
+ */
+export function formatUrlState(state) {
+    const params = new URLSearchParams();
+    params.set('scene', state.scene);
+    if (state.yaw !== undefined) params.set('yaw', state.yaw.toFixed(1));
+    if (state.pitch !== undefined) params.set('pitch', state.pitch.toFixed(1));
+    if (state.fov !== undefined) params.set('fov', state.fov.toFixed(0));
+    if (state.hotspot) params.set('hotspot', state.hotspot);
+    return `#${params.toString()}`;
+}
+
+/**
+ * Language requested by a location's ?lang= parameter, or null
+ */
+export function getLanguageParam(search) {
+    return new URLSearchParams(search).get('lang') || null;
+}
+
+/**
+ * URL with its ?lang= parameter set to language
+ */
+export function setLanguageParam(href, language) {
+    const url = new URL(href);
+    url.searchParams.set('lang', language);
+    return url.toString();
+}
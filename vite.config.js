@@ -0,0 +1,17 @@
+import { defineConfig } from 'vite';
+import { tourSavePlugin } from './tools/tourSavePlugin.js';
+import { basisTranscoderPlugin } from './tools/basisTranscoderPlugin.js';
+
+export default defineConfig({
+    plugins: [
+        // Lets authoring mode save hotspots and scene config during `npm run dev`
+        tourSavePlugin(),
+        // KTX2Loader's transcoder for compressed textures, at basis/
+        basisTranscoderPlugin()
+    ],
+    // `npm test`: unit tests in test/, with a DOM
+    test: {
+        environment: 'jsdom',
+        include: ['test/**/*.test.js']
+    }
+});
@@ -0,0 +1,103 @@
+/**
+ * Depth Tour WebXR helpers
+ *
+ * WebGL stand-ins for the parts of the tour that only exist in the DOM
+ * (CSS2D hotspots) plus controller ray visuals for immersive-vr sessions.
+ */
+
+import * as THREE from 'three';
+
+// Hotspot colors, kept in sync with the .hotspot.* rules in main.css
+const HOTSPOT_COLORS = {
+    link: 'rgba(0, 150, 255, 0.9)',
+    info: 'rgba(255, 165, 0, 0.9)',
+    image: 'rgba(155, 89, 182, 0.9)',
+    video: 'rgba(155, 89, 182, 0.9)',
+    audio: 'rgba(46, 204, 113, 0.9)',
+    url: 'rgba(52, 73, 94, 0.9)',
+    html: 'rgba(52, 73, 94, 0.9)',
+    default: 'rgba(255, 255, 255, 0.9)'
+};
+
+// Sprite height in world units (meters in XR)
+const SPRITE_HEIGHT = 0.08;
+
+// Draw a rounded pill shape on a 2D canvas context
+function drawPill(ctx, x, y, width, height) {
+    const radius = height / 2;
+    ctx.beginPath();
+    ctx.moveTo(x + radius, y);
+    ctx.lineTo(x + width - radius, y);
+    ctx.arc(x + width - radius, y + radius, radius, -Math.PI / 2, Math.PI / 2);
+    ctx.lineTo(x + radius, y + height);
+    ctx.arc(x + radius, y + radius, radius, Math.PI / 2, Math.PI * 1.5);
+    ctx.closePath();
+}
+
+// Create a sprite rendering a hotspot label, used in place of the CSS2DObject in XR
+export function createHotspotSprite(hotspotData) {
+    const title = hotspotData.title || 'Untitled';
+    const type = hotspotData.type || 'info';
+
+    // Measure label text to size the canvas
+    const fontSize = 48;
+    const padding = 32;
+    const canvas = document.createElement('canvas');
+    const ctx = canvas.getContext('2d');
+    ctx.font = `600 ${fontSize}px 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif`;
+    const textWidth = Math.ceil(ctx.measureText(title).width);
+
+    canvas.width = textWidth + padding * 2;
+    canvas.height = fontSize + padding;
+
+    // Canvas resize resets the context state
+    ctx.font = `600 ${fontSize}px 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif`;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+
+    drawPill(ctx, 2, 2, canvas.width - 4, canvas.height - 4);
+    ctx.fillStyle = HOTSPOT_COLORS[type] || HOTSPOT_COLORS.default;
+    ctx.fill();
+    ctx.lineWidth = 4;
+    ctx.strokeStyle = '#ffffff';
+    ctx.stroke();
+
+    ctx.fillStyle = HOTSPOT_COLORS[type] ? '#ffffff' : '#333333';
+    ctx.fillText(title, canvas.width / 2, canvas.height / 2);
+
+    const texture = new THREE.CanvasTexture(canvas);
+    texture.colorSpace = THREE.SRGBColorSpace;
+
+    const material = new THREE.SpriteMaterial({
+        map: texture,
+        // Always draw labels on top of the depth mesh, like the CSS2D overlay does
+        depthTest: false,
+        transparent: true
+    });
+
+    const sprite = new THREE.Sprite(material);
+    sprite.scale.set(SPRITE_HEIGHT * canvas.width / canvas.height, SPRITE_HEIGHT, 1);
+    sprite.renderOrder = 10;
+
+    return sprite;
+}
+
+// Dispose a sprite created by createHotspotSprite
+export function disposeHotspotSprite(sprite) {
+    sprite.material.map.dispose();
+    sprite.material.dispose();
+}
+
+// Create the pointer ray shown on an XR controller
+export function createControllerRay(length = 5) {
+    const geometry = new THREE.BufferGeometry().setFromPoints([
+        new THREE.Vector3(0, 0, 0),
+        new THREE.Vector3(0, 0, -1)
+    ]);
+
+    const line = new THREE.Line(geometry, new THREE.LineBasicMaterial({ color: 0xffffff }));
+    line.name = 'ray';
+    line.scale.z = length;
+
+    return line;
+}